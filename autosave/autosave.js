@@ -0,0 +1,348 @@
+/**
+ * Autosave and Draft Recovery
+ * Persists editor snapshots and offers to restore them on the next load
+ * ES6 Module version for React projects
+ */
+
+import Translator from './i18n.js';
+import { formatDate, createButton } from './utils.js';
+
+/**
+ * INTERNAL: localStorage draft store
+ * Keeps every version of a document under a single key
+ */
+class LocalStorageDraftStore {
+    constructor(prefix = 'quilld-draft:') {
+        this.prefix = prefix;
+    }
+
+    async load(key) {
+        const raw = window.localStorage.getItem(this.prefix + key);
+        if (!raw) {
+            return [];
+        }
+        try {
+            return JSON.parse(raw);
+        } catch (error) {
+            console.warn('Autosave: Ignoring unreadable draft data for', key);
+            return [];
+        }
+    }
+
+    async save(key, versions) {
+        try {
+            window.localStorage.setItem(this.prefix + key, JSON.stringify(versions));
+        } catch (error) {
+            // Quota exceeded: keep only the newest version rather than losing it
+            if (versions.length > 1) {
+                return this.save(key, versions.slice(-1));
+            }
+            throw error;
+        }
+        return versions;
+    }
+
+    async clear(key) {
+        window.localStorage.removeItem(this.prefix + key);
+    }
+}
+
+/**
+ * INTERNAL: IndexedDB draft store
+ * Suitable for large documents that do not fit in localStorage
+ */
+class IndexedDBDraftStore {
+    constructor(databaseName = 'quilld-drafts', storeName = 'drafts') {
+        this.databaseName = databaseName;
+        this.storeName = storeName;
+        this.database = null;
+    }
+
+    open() {
+        if (!this.database) {
+            this.database = new Promise((resolve, reject) => {
+                const request = window.indexedDB.open(this.databaseName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.storeName, { keyPath: 'key' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.database;
+    }
+
+    async request(mode, operation) {
+        const database = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            const fail = () => reject(transaction.error || request.error);
+            // A write can still abort after its request succeeds (e.g. over quota)
+            if (mode === 'readwrite') {
+                transaction.oncomplete = () => resolve(request.result);
+            } else {
+                request.onsuccess = () => resolve(request.result);
+            }
+            request.onerror = fail;
+            transaction.onerror = fail;
+            transaction.onabort = fail;
+        });
+    }
+
+    async load(key) {
+        const record = await this.request('readonly', store => store.get(key));
+        return record ? record.versions : [];
+    }
+
+    async save(key, versions) {
+        await this.request('readwrite', store => store.put({ key, versions }));
+        return versions;
+    }
+
+    async clear(key) {
+        await this.request('readwrite', store => store.delete(key));
+    }
+}
+
+/**
+ * PUBLIC: Autosave Manager Class
+ * Saves exportContent() snapshots and emits draft-saved / draft-restored events
+ */
+class AutosaveManager {
+    static defaults = {
+        key: null,
+        storage: 'localStorage',
+        debounce: 1000,
+        maxVersions: 10,
+        restore: 'prompt',
+        contentUpdatedAt: null
+    };
+
+    /**
+     * @param {Object} quill - Enhanced Quill instance (needs exportContent/importContent)
+     * @param {Object} options - Autosave configuration
+     * @param {string} options.key - Document key drafts are stored under
+     * @param {string|Object} options.storage - 'localStorage', 'indexedDB' or a custom store
+     * @param {number} options.debounce - Milliseconds to wait after the last change
+     * @param {number} options.maxVersions - Number of versions to keep
+     * @param {string} options.restore - 'prompt', 'auto' or 'manual'
+     * @param {number|string|Date} options.contentUpdatedAt - When the initial content was last saved
+     * @param {string} options.locale - Language of the draft banner (see i18n.js)
+     * @param {Object} options.messages - Message keys to override
+     */
+    constructor(quill, options = {}) {
+        this.quill = quill;
+        this.options = { ...AutosaveManager.defaults, ...options };
+        this.translator = new Translator({ locale: this.options.locale, messages: this.options.messages });
+
+        if (!this.options.key) {
+            throw new Error('Autosave: A document key is required');
+        }
+
+        this.store = this.createStore(this.options.storage);
+        this.timer = null;
+        this.banner = null;
+        this.pendingDraft = null;
+
+        this.handleTextChange = (delta, oldDelta, source) => {
+            // Once the user edits, the draft from page load is older than their work
+            if (source === 'user' && this.pendingDraft) {
+                this.pendingDraft = null;
+                this.removeBanner();
+            }
+            this.scheduleSave();
+        };
+        this.handleBeforeUnload = () => this.flush();
+
+        this.quill.on('text-change', this.handleTextChange);
+        window.addEventListener('beforeunload', this.handleBeforeUnload);
+
+        // Saving waits for the draft check so the initial content never overwrites a newer draft
+        this.ready = this.checkForDraft().catch(error => {
+            console.error('Autosave: Failed to check for drafts:', error);
+        });
+    }
+
+    /**
+     * PUBLIC: Save a snapshot now
+     * @returns {Promise<Object|null>} The saved version, or null if nothing changed
+     */
+    async save() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        await this.ready;
+
+        const versions = await this.store.load(this.options.key);
+        const latest = versions[versions.length - 1];
+        const content = this.createSnapshot();
+
+        if (latest && this.isSameContent(latest.content, content)) {
+            return null;
+        }
+
+        const version = { savedAt: Date.now(), content };
+        versions.push(version);
+        const saved = await this.store.save(this.options.key, versions.slice(-this.options.maxVersions));
+
+        this.quill.emitter.emit('draft-saved', {
+            key: this.options.key,
+            version,
+            versions: saved.length
+        });
+        return version;
+    }
+
+    /**
+     * PUBLIC: Restore a stored draft
+     * @param {Object} draft - Version to restore (defaults to the latest)
+     * @returns {Promise<boolean>} Whether a draft was restored
+     */
+    async restore(draft = null) {
+        const version = draft || this.pendingDraft || (await this.getDrafts()).pop();
+        if (!version) {
+            return false;
+        }
+
+        this.quill.importContent({ delta: version.content.delta });
+        this.pendingDraft = null;
+        this.removeBanner();
+
+        this.quill.emitter.emit('draft-restored', {
+            key: this.options.key,
+            version
+        });
+        return true;
+    }
+
+    /**
+     * PUBLIC: List stored versions, oldest first
+     */
+    async getDrafts() {
+        return this.store.load(this.options.key);
+    }
+
+    /**
+     * PUBLIC: Delete every stored version of this document
+     */
+    async clear() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.pendingDraft = null;
+        this.removeBanner();
+        await this.store.clear(this.options.key);
+    }
+
+    /**
+     * PUBLIC: Save any pending change immediately
+     */
+    flush() {
+        if (this.timer) {
+            return this.save();
+        }
+        return Promise.resolve(null);
+    }
+
+    /**
+     * PUBLIC: Stop autosaving and remove listeners and UI
+     */
+    destroy() {
+        this.flush().catch(error => {
+            console.error('Autosave: Failed to save draft:', error);
+        });
+        this.quill.off('text-change', this.handleTextChange);
+        window.removeEventListener('beforeunload', this.handleBeforeUnload);
+        this.removeBanner();
+    }
+
+    // PRIVATE: Internal methods (not part of public API)
+    createStore(storage) {
+        if (storage && typeof storage === 'object') {
+            return storage;
+        }
+        if (storage === 'indexedDB') {
+            return new IndexedDBDraftStore();
+        }
+        return new LocalStorageDraftStore();
+    }
+
+    createSnapshot() {
+        const content = this.quill.exportContent();
+        return {
+            delta: { ops: content.delta.ops },
+            html: content.html,
+            text: content.text
+        };
+    }
+
+    isSameContent(a, b) {
+        return JSON.stringify(a.delta.ops) === JSON.stringify(b.delta.ops);
+    }
+
+    scheduleSave() {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => {
+            this.save().catch(error => {
+                console.error('Autosave: Failed to save draft:', error);
+            });
+        }, this.options.debounce);
+    }
+
+    async checkForDraft() {
+        const versions = await this.store.load(this.options.key);
+        const latest = versions[versions.length - 1];
+        if (!latest) {
+            return;
+        }
+
+        const contentTime = this.options.contentUpdatedAt
+            ? new Date(this.options.contentUpdatedAt).getTime()
+            : 0;
+        const isNewer = latest.savedAt > contentTime &&
+            !this.isSameContent(latest.content, this.createSnapshot());
+
+        if (!isNewer) {
+            return;
+        }
+
+        this.pendingDraft = latest;
+        this.quill.emitter.emit('draft-available', {
+            key: this.options.key,
+            version: latest
+        });
+
+        if (this.options.restore === 'auto') {
+            await this.restore(latest);
+        } else if (this.options.restore === 'prompt') {
+            this.showBanner(latest);
+        }
+    }
+
+    showBanner(draft) {
+        const banner = document.createElement('div');
+        banner.className = 'quilld-draft-banner';
+        banner.setAttribute('role', 'status');
+        banner.dir = this.translator.dir;
+
+        const message = document.createElement('span');
+        message.textContent = this.translator.t('autosave.available', { date: formatDate(draft.savedAt, this.translator.locale) });
+
+        banner.appendChild(message);
+        banner.appendChild(createButton(this.translator.t('autosave.restore'), 'quilld-draft-restore', () => this.restore(draft)));
+        banner.appendChild(createButton(this.translator.t('autosave.discard'), 'quilld-draft-discard', () => this.clear()));
+
+        const parent = this.quill.container.parentNode;
+        parent.insertBefore(banner, parent.firstChild);
+        this.banner = banner;
+    }
+
+    removeBanner() {
+        if (this.banner && this.banner.parentNode) {
+            this.banner.parentNode.removeChild(this.banner);
+        }
+        this.banner = null;
+    }
+}
+
+export default AutosaveManager;
+export { AutosaveManager, LocalStorageDraftStore, IndexedDBDraftStore };
@@ -0,0 +1,502 @@
+/**
+ * Collaborative Editing
+ * Syncs editor Deltas through a transport with operational transform and shows remote cursors
+ * ES6 Module version for React projects
+ */
+
+import Quill from 'quill';
+import { getRangeRects } from './utils.js';
+
+// Remote cursor colors, picked by client id when a user has none
+const CURSOR_COLORS = ['#e6194b', '#3cb44b', '#4363d8', '#f58231', '#911eb4', '#008080', '#f032e6', '#9a6324'];
+
+/**
+ * PUBLIC: WebSocket transport
+ * The reference transport for collab/server.js. Any object with the same
+ * connect/send/close methods can be passed to CollabManager instead.
+ */
+class WebSocketTransport {
+    static defaults = {
+        reconnectDelay: 1000,
+        maxReconnectDelay: 10000
+    };
+
+    /**
+     * @param {string} url - Server URL, e.g. 'wss://example.com/collab'
+     * @param {Object} options - Reconnection settings
+     * @param {number} options.reconnectDelay - Milliseconds before the first reconnect attempt
+     * @param {number} options.maxReconnectDelay - Upper bound for the doubling delay
+     */
+    constructor(url, options = {}) {
+        this.url = url;
+        this.options = { ...WebSocketTransport.defaults, ...options };
+        this.socket = null;
+        this.handlers = null;
+        this.timer = null;
+        this.attempts = 0;
+        this.closed = false;
+    }
+
+    /**
+     * PUBLIC: Open the connection and keep it open until close()
+     * @param {Object} handlers - { open(), message(message), close() }
+     */
+    connect(handlers) {
+        this.handlers = handlers;
+        this.closed = false;
+        this.open();
+    }
+
+    /**
+     * PUBLIC: Send a message
+     * @returns {boolean} Whether the message was sent
+     */
+    send(message) {
+        if (!this.socket || this.socket.readyState !== WebSocket.OPEN) {
+            return false;
+        }
+        this.socket.send(JSON.stringify(message));
+        return true;
+    }
+
+    /**
+     * PUBLIC: Close the connection without reconnecting
+     */
+    close() {
+        this.closed = true;
+        clearTimeout(this.timer);
+        if (this.socket) {
+            this.socket.close();
+            this.socket = null;
+        }
+    }
+
+    // PRIVATE: Internal methods (not part of public API)
+    open() {
+        const socket = new WebSocket(this.url);
+        this.socket = socket;
+
+        socket.onopen = () => {
+            this.attempts = 0;
+            this.handlers.open();
+        };
+
+        socket.onmessage = (event) => {
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            } catch (error) {
+                console.warn('Collab: Ignoring unreadable message');
+                return;
+            }
+            this.handlers.message(message);
+        };
+
+        socket.onclose = () => {
+            if (this.socket !== socket) {
+                return;
+            }
+            this.socket = null;
+            this.handlers.close();
+            if (!this.closed) {
+                const delay = Math.min(this.options.reconnectDelay * 2 ** this.attempts, this.options.maxReconnectDelay);
+                this.attempts++;
+                this.timer = setTimeout(() => this.open(), delay);
+            }
+        };
+    }
+}
+
+/**
+ * PUBLIC: Collaboration Manager Class
+ * Runs the client side of the protocol in collab/server.js:
+ * one change in flight at a time, later local changes buffered, and remote
+ * changes transformed against both before they are applied.
+ * Embeds such as quotes are single-length inserts, so they move and are replaced as a unit.
+ */
+class CollabManager {
+    static defaults = {
+        url: null,
+        transport: null,
+        document: 'default',
+        user: {},
+        cursors: true
+    };
+
+    /**
+     * @param {Object} quill - Quill instance
+     * @param {Object} options - Collaboration configuration
+     * @param {string} options.url - WebSocket server URL (used when no transport is given)
+     * @param {Object} options.transport - { connect(handlers), send(message), close() }
+     * @param {string} options.document - Document id shared by everyone editing it
+     * @param {Object} options.user - { id, name, color } shown with this user's cursor
+     * @param {boolean} options.cursors - Show remote cursors and selections (default true)
+     */
+    constructor(quill, options = {}) {
+        this.quill = quill;
+        this.options = { ...CollabManager.defaults, ...options };
+
+        this.transport = this.options.transport ||
+            (this.options.url ? new WebSocketTransport(this.options.url) : null);
+        if (!this.transport) {
+            throw new Error('Collab: A url or transport is required');
+        }
+
+        this.status = 'connecting';
+        this.client = null;
+        this.version = null;
+        this.outstanding = null;
+        this.buffer = null;
+        this.changeCount = 0;
+        this.applyingRemote = false;
+        this.localRange = null;
+        this.sentRange = null;
+        this.users = new Map();
+        this.overlay = null;
+
+        this.handleTextChange = (delta) => this.onLocalChange(delta);
+        this.handleSelectionChange = (range) => {
+            this.localRange = range ? { index: range.index, length: range.length } : null;
+            this.sendCursor();
+        };
+        this.handleLayout = () => this.renderCursors();
+
+        this.quill.on('text-change', this.handleTextChange);
+        this.quill.on('selection-change', this.handleSelectionChange);
+        if (this.options.cursors) {
+            this.quill.root.addEventListener('scroll', this.handleLayout);
+            window.addEventListener('resize', this.handleLayout);
+        }
+
+        this.transport.connect({
+            open: () => this.join(),
+            message: (message) => this.handleMessage(message),
+            close: () => this.setStatus('disconnected')
+        });
+    }
+
+    /**
+     * PUBLIC: Connection status
+     * @returns {string} 'connecting', 'connected' or 'disconnected'
+     */
+    getStatus() {
+        return this.status;
+    }
+
+    /**
+     * PUBLIC: Other people editing the document
+     * @returns {Array} [{ client, id, name, color, range }]
+     */
+    getUsers() {
+        return Array.from(this.users.values()).map(({ client, user, range }) => ({ client, ...user, range }));
+    }
+
+    /**
+     * PUBLIC: Whether every local change has been confirmed by the server
+     */
+    isSynced() {
+        return this.status === 'connected' && !this.outstanding && !this.buffer;
+    }
+
+    /**
+     * PUBLIC: Disconnect and remove listeners and cursors
+     */
+    destroy() {
+        this.quill.off('text-change', this.handleTextChange);
+        this.quill.off('selection-change', this.handleSelectionChange);
+        this.quill.root.removeEventListener('scroll', this.handleLayout);
+        window.removeEventListener('resize', this.handleLayout);
+        this.transport.close();
+        this.users.clear();
+        if (this.overlay) {
+            this.overlay.remove();
+            this.overlay = null;
+        }
+    }
+
+    // PRIVATE: Internal methods (not part of public API)
+    join() {
+        // A known version asks for the changes missed while offline instead of a full snapshot
+        this.transport.send({
+            type: 'join',
+            document: this.options.document,
+            user: this.options.user,
+            version: this.version
+        });
+    }
+
+    handleMessage(message) {
+        switch (message.type) {
+            case 'init':
+                this.onInit(message);
+                break;
+            case 'ack':
+                this.onAck(message);
+                break;
+            case 'op':
+                this.onRemoteChange(message);
+                break;
+            case 'cursor':
+            case 'join':
+                this.updateUser(message.client, message.user, message.range);
+                break;
+            case 'leave':
+                this.users.delete(message.client);
+                this.renderCursors();
+                this.quill.emitter.emit('collab-users', { users: this.getUsers() });
+                break;
+            case 'error':
+                console.warn('Collab: Server rejected a change:', message.message);
+                this.resync();
+                break;
+            default:
+                break;
+        }
+    }
+
+    onInit(message) {
+        this.client = message.client;
+        this.users.clear();
+        (message.clients || []).forEach(({ client, user, range }) => {
+            this.users.set(client, { client, user: this.withColor(user, client), range });
+        });
+
+        if (message.ops) {
+            // Catching up after a reconnect: our own change may be among the missed ones
+            this.version = message.version - message.ops.length;
+            message.ops.forEach(op => {
+                if (this.outstanding && op.id === this.outstanding.id) {
+                    this.onAck(op);
+                } else {
+                    this.onRemoteChange(op);
+                }
+            });
+        } else {
+            this.loadSnapshot(message);
+        }
+
+        this.setStatus('connected');
+        this.sendOutstanding();
+        this.sentRange = undefined;
+        this.sendCursor();
+        this.renderCursors();
+        this.quill.emitter.emit('collab-users', { users: this.getUsers() });
+    }
+
+    loadSnapshot(message) {
+        const Delta = Quill.import('delta');
+        const snapshot = new Delta(message.delta.ops);
+        const local = this.quill.getContents();
+        this.version = message.version;
+        this.outstanding = null;
+        this.buffer = null;
+
+        // The first editor to join an empty document seeds it with its content
+        if (message.version === 0) {
+            const seed = snapshot.diff(local);
+            if (seed.ops.length > 0) {
+                this.outstanding = { id: this.nextChangeId(), delta: seed };
+            }
+            return;
+        }
+
+        this.applyRemote(local.diff(snapshot));
+        const history = this.quill.getModule('history');
+        if (history) {
+            history.clear();
+        }
+    }
+
+    resync() {
+        this.version = null;
+        this.outstanding = null;
+        this.buffer = null;
+        this.join();
+    }
+
+    onLocalChange(delta) {
+        if (this.applyingRemote) {
+            return;
+        }
+
+        this.transformCursors(delta);
+        if (this.outstanding) {
+            this.buffer = this.buffer ? this.buffer.compose(delta) : delta;
+            return;
+        }
+        this.outstanding = { id: this.nextChangeId(), delta };
+        this.sendOutstanding();
+    }
+
+    sendOutstanding() {
+        if (!this.outstanding && this.buffer) {
+            this.outstanding = { id: this.nextChangeId(), delta: this.buffer };
+            this.buffer = null;
+        }
+        if (!this.outstanding || this.status !== 'connected') {
+            return;
+        }
+        this.transport.send({
+            type: 'op',
+            id: this.outstanding.id,
+            version: this.version,
+            // Plain JSON so later edits to embed values cannot leak into the sent change
+            delta: { ops: JSON.parse(JSON.stringify(this.outstanding.delta.ops)) }
+        });
+    }
+
+    onAck(message) {
+        if (!this.outstanding || message.id !== this.outstanding.id) {
+            return;
+        }
+        this.version = message.version;
+        this.outstanding = null;
+        this.sendOutstanding();
+        this.sendCursor();
+    }
+
+    onRemoteChange(message) {
+        const Delta = Quill.import('delta');
+        let remote = new Delta(message.delta.ops);
+
+        // The server applied the remote change first, so it wins ties against ours
+        if (this.outstanding) {
+            const outstanding = this.outstanding.delta;
+            this.outstanding.delta = remote.transform(outstanding, true);
+            remote = outstanding.transform(remote, false);
+        }
+        if (this.buffer) {
+            const buffer = this.buffer;
+            this.buffer = remote.transform(buffer, true);
+            remote = buffer.transform(remote, false);
+        }
+
+        this.version = message.version;
+        this.applyRemote(remote);
+    }
+
+    applyRemote(delta) {
+        if (delta.ops.length === 0) {
+            return;
+        }
+        this.applyingRemote = true;
+        try {
+            this.quill.updateContents(delta, Quill.sources.API);
+        } finally {
+            this.applyingRemote = false;
+        }
+        this.transformCursors(delta);
+    }
+
+    nextChangeId() {
+        this.changeCount++;
+        return `${this.client || 'local'}:${Date.now().toString(36)}:${this.changeCount}`;
+    }
+
+    setStatus(status) {
+        if (this.status === status) {
+            return;
+        }
+        this.status = status;
+        this.quill.emitter.emit('collab-status', { status });
+    }
+
+    // Cursors are sent only while nothing is in flight, so their index matches the server's version
+    sendCursor() {
+        if (this.status !== 'connected' || this.outstanding) {
+            return;
+        }
+        const range = this.localRange;
+        if (JSON.stringify(range) === JSON.stringify(this.sentRange)) {
+            return;
+        }
+        this.sentRange = range;
+        this.transport.send({ type: 'cursor', range });
+    }
+
+    updateUser(client, user, range = null) {
+        if (client === this.client) {
+            return;
+        }
+        const known = this.users.has(client);
+        const entry = this.users.get(client) || { client, user: this.withColor(user, client) };
+        entry.range = range;
+        this.users.set(client, entry);
+        this.renderCursors();
+        if (!known) {
+            this.quill.emitter.emit('collab-users', { users: this.getUsers() });
+        }
+    }
+
+    withColor(user = {}, client = '') {
+        if (user.color) {
+            return user;
+        }
+        const hash = Array.from(String(client)).reduce((sum, char) => sum + char.charCodeAt(0), 0);
+        return { ...user, color: CURSOR_COLORS[hash % CURSOR_COLORS.length] };
+    }
+
+    transformCursors(delta) {
+        this.users.forEach(entry => {
+            if (!entry.range) {
+                return;
+            }
+            const start = delta.transformPosition(entry.range.index);
+            const end = delta.transformPosition(entry.range.index + entry.range.length);
+            entry.range = { index: start, length: Math.max(0, end - start) };
+        });
+        this.renderCursors();
+    }
+
+    renderCursors() {
+        if (!this.options.cursors) {
+            return;
+        }
+        if (!this.overlay) {
+            this.overlay = document.createElement('div');
+            this.overlay.className = 'quilld-collab-cursors';
+            this.overlay.setAttribute('aria-hidden', 'true');
+            this.quill.container.appendChild(this.overlay);
+        }
+        this.overlay.textContent = '';
+
+        const length = this.quill.getLength();
+        this.users.forEach(({ user, range }) => {
+            if (!range || range.index >= length) {
+                return;
+            }
+
+            getRangeRects(this.quill, range).forEach(rect => {
+                const selection = document.createElement('div');
+                selection.className = 'quilld-collab-selection';
+                this.position(selection, rect, true);
+                selection.style.backgroundColor = user.color;
+                this.overlay.appendChild(selection);
+            });
+
+            const caret = document.createElement('div');
+            caret.className = 'quilld-collab-caret';
+            this.position(caret, this.quill.getBounds(range.index + range.length, 0));
+            caret.style.backgroundColor = user.color;
+
+            const name = document.createElement('span');
+            name.className = 'quilld-collab-name';
+            name.textContent = user.name || user.id || '';
+            name.style.backgroundColor = user.color;
+            caret.appendChild(name);
+            this.overlay.appendChild(caret);
+        });
+    }
+
+    position(element, rect, withWidth = false) {
+        element.style.left = `${rect.left}px`;
+        element.style.top = `${rect.top}px`;
+        element.style.height = `${rect.height}px`;
+        if (withWidth) {
+            element.style.width = `${rect.width}px`;
+        }
+    }
+}
+
+export default CollabManager;
+export { CollabManager, WebSocketTransport };
@@ -0,0 +1,233 @@
+/**
+ * Collaborative Editing Server
+ * Reference WebSocket server for collab/collab.js: keeps each document in memory,
+ * transforms concurrent changes and relays cursors
+ * Node ES module (needs the ws and quill-delta packages)
+ *
+ * Run locally: node collab/server.js [port]
+ */
+
+import { WebSocketServer } from 'ws';
+import Delta from 'quill-delta';
+import { fileURLToPath } from 'url';
+
+/**
+ * PUBLIC: Collaboration Server Class
+ */
+class CollabServer {
+    static defaults = {
+        port: 8080,
+        server: null,
+        path: undefined,
+        maxHistory: 1000
+    };
+
+    /**
+     * @param {Object} options - Server configuration
+     * @param {number} options.port - Port to listen on when no server is given
+     * @param {Object} options.server - Existing http.Server to attach to
+     * @param {string} options.path - Only accept connections on this path
+     * @param {number} options.maxHistory - Changes kept per document for reconnecting clients
+     */
+    constructor(options = {}) {
+        this.options = { ...CollabServer.defaults, ...options };
+        this.documents = new Map();
+        this.clientCount = 0;
+
+        const { server, port, path } = this.options;
+        this.wss = new WebSocketServer(server ? { server, path } : { port, path });
+        this.wss.on('connection', socket => this.handleConnection(socket));
+    }
+
+    /**
+     * PUBLIC: Current content and version of a document
+     * @returns {Object|null} { delta, version }
+     */
+    getDocument(id) {
+        const document = this.documents.get(id);
+        return document ? { delta: document.delta, version: document.version } : null;
+    }
+
+    /**
+     * PUBLIC: Disconnect every client and stop listening
+     * @returns {Promise<void>}
+     */
+    close() {
+        this.wss.clients.forEach(socket => socket.terminate());
+        return new Promise(resolve => this.wss.close(() => resolve()));
+    }
+
+    // PRIVATE: Internal methods (not part of public API)
+    handleConnection(socket) {
+        const connection = { socket, client: `c${++this.clientCount}`, user: {}, range: null, document: null };
+
+        socket.on('message', data => {
+            let message;
+            try {
+                message = JSON.parse(data);
+            } catch (error) {
+                this.send(socket, { type: 'error', message: 'Unreadable message' });
+                return;
+            }
+            this.handleMessage(connection, message);
+        });
+
+        socket.on('close', () => this.leave(connection));
+    }
+
+    handleMessage(connection, message) {
+        if (message.type === 'join') {
+            this.join(connection, message);
+            return;
+        }
+        if (!connection.document) {
+            this.send(connection.socket, { type: 'error', message: 'Join a document first' });
+            return;
+        }
+        if (message.type === 'op') {
+            this.applyChange(connection, message);
+        } else if (message.type === 'cursor') {
+            connection.range = this.isRange(message.range) ? message.range : null;
+            this.broadcast(connection, { type: 'cursor', client: connection.client, user: connection.user, range: connection.range });
+        }
+    }
+
+    getOrCreateDocument(id) {
+        if (!this.documents.has(id)) {
+            this.documents.set(id, {
+                delta: new Delta().insert('\n'),
+                version: 0,
+                history: [],
+                connections: new Set()
+            });
+        }
+        return this.documents.get(id);
+    }
+
+    join(connection, message) {
+        this.leave(connection);
+
+        const document = this.getOrCreateDocument(String(message.document || 'default'));
+        connection.document = document;
+        connection.user = message.user && typeof message.user === 'object' ? message.user : {};
+        connection.range = null;
+
+        const clients = Array.from(document.connections).map(({ client, user, range }) => ({ client, user, range }));
+        const init = { type: 'init', client: connection.client, version: document.version, clients };
+
+        // A returning client gets the changes it missed; everyone else gets a snapshot
+        const firstKept = document.version - document.history.length;
+        if (Number.isInteger(message.version) && message.version >= firstKept && message.version <= document.version) {
+            init.ops = document.history.slice(message.version - firstKept);
+        } else {
+            init.delta = document.delta;
+        }
+
+        document.connections.add(connection);
+        this.send(connection.socket, init);
+        this.broadcast(connection, { type: 'join', client: connection.client, user: connection.user });
+    }
+
+    leave(connection) {
+        const document = connection.document;
+        if (!document || !document.connections.delete(connection)) {
+            return;
+        }
+        connection.document = null;
+        this.broadcast(connection, { type: 'leave', client: connection.client }, document);
+    }
+
+    applyChange(connection, message) {
+        const document = connection.document;
+        const firstKept = document.version - document.history.length;
+
+        // Resent after a reconnect: it was applied before the connection dropped
+        const applied = document.history.find(entry => entry.id === message.id);
+        if (applied) {
+            this.send(connection.socket, { type: 'ack', id: message.id, version: applied.version });
+            return;
+        }
+
+        if (!Number.isInteger(message.version) || message.version < firstKept || message.version > document.version ||
+            !this.isDelta(message.delta)) {
+            this.send(connection.socket, { type: 'error', id: message.id, message: 'Invalid change' });
+            return;
+        }
+
+        // Changes the client had not seen come first
+        let change = new Delta(message.delta.ops);
+        document.history.slice(message.version - firstKept).forEach(entry => {
+            change = new Delta(entry.delta.ops).transform(change, true);
+        });
+
+        if (this.getBaseLength(change) > document.delta.length()) {
+            this.send(connection.socket, { type: 'error', id: message.id, message: 'Change does not fit the document' });
+            return;
+        }
+
+        document.delta = document.delta.compose(change);
+        document.version++;
+        const entry = { type: 'op', id: message.id, version: document.version, client: connection.client, delta: change };
+        document.history.push(entry);
+        if (document.history.length > this.options.maxHistory) {
+            document.history.shift();
+        }
+
+        // Stored cursors move with the text so late joiners see them in the right place
+        document.connections.forEach(other => {
+            if (other !== connection && other.range) {
+                const start = change.transformPosition(other.range.index);
+                const end = change.transformPosition(other.range.index + other.range.length);
+                other.range = { index: start, length: end - start };
+            }
+        });
+
+        this.send(connection.socket, { type: 'ack', id: message.id, version: document.version });
+        this.broadcast(connection, entry);
+    }
+
+    // Every insert is text or an embed with one key, such as { quote: {...} }
+    isDelta(delta) {
+        return Boolean(delta) && Array.isArray(delta.ops) && delta.ops.every(op => {
+            if (op.insert !== undefined) {
+                return (typeof op.insert === 'string' && op.insert.length > 0) ||
+                    (op.insert !== null && typeof op.insert === 'object' && Object.keys(op.insert).length === 1);
+            }
+            const length = op.retain !== undefined ? op.retain : op.delete;
+            return Number.isInteger(length) && length > 0;
+        });
+    }
+
+    isRange(range) {
+        return Boolean(range) && Number.isInteger(range.index) && Number.isInteger(range.length) &&
+            range.index >= 0 && range.length >= 0;
+    }
+
+    getBaseLength(delta) {
+        return delta.ops.reduce((length, op) => length + (op.retain || op.delete || 0), 0);
+    }
+
+    send(socket, message) {
+        if (socket.readyState === socket.OPEN) {
+            socket.send(JSON.stringify(message));
+        }
+    }
+
+    broadcast(sender, message, document = sender.document) {
+        document.connections.forEach(connection => {
+            if (connection !== sender) {
+                this.send(connection.socket, message);
+            }
+        });
+    }
+}
+
+// node collab/server.js [port]
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const port = Number(process.argv[2] || process.env.PORT || CollabServer.defaults.port);
+    new CollabServer({ port });
+    console.log(`Collab server listening on ws://localhost:${port}`);
+}
+
+export default CollabServer;
+export { CollabServer };
@@ -0,0 +1,359 @@
+/**
+ * Slash Commands
+ * Typing / at the start of a line opens a filterable palette of toolbar formats and registered commands
+ * ES6 Module version for React projects
+ */
+
+import Quill from 'quill';
+import Translator from './i18n.js';
+import { changeEnd, addListboxBindings, removeBindings, highlightOption } from './utils.js';
+
+const Delta = Quill.import('delta');
+const Parchment = Quill.import('parchment');
+
+// Message keys for toolbar controls: a key, or keys by control value
+const FORMAT_LABELS = {
+    bold: 'commands.bold',
+    italic: 'commands.italic',
+    underline: 'commands.underline',
+    strike: 'commands.strike',
+    code: 'commands.code',
+    script: { sub: 'commands.subscript', super: 'commands.superscript' },
+    list: { ordered: 'commands.orderedList', bullet: 'commands.bulletList', check: 'commands.checklist' },
+    blockquote: 'commands.blockquote',
+    'code-block': 'commands.codeBlock',
+    indent: { '+1': 'commands.indent', '-1': 'commands.outdent' },
+    align: { '': 'commands.alignLeft', center: 'commands.alignCenter', right: 'commands.alignRight', justify: 'commands.alignJustify' },
+    direction: { rtl: 'commands.rtl' },
+    clean: 'commands.clean'
+};
+
+// Link needs selected text, which the slash query replaces
+const SKIPPED_CONTROLS = ['link'];
+
+let paletteCount = 0;
+
+/**
+ * PUBLIC: Commands Manager Class
+ * Toolbar controls become commands automatically; anything else is added with registerCommand.
+ * A command is { name, label, keywords, run(quill) }; the label may be a message key from i18n.js.
+ * Emits command-executed.
+ */
+class CommandsManager {
+    static defaults = {
+        commands: [],
+        toolbar: true,
+        maxResults: 10,
+        maxQueryLength: 30
+    };
+
+    /**
+     * @param {Object} quill - Quill instance
+     * @param {Object} options - Commands configuration
+     * @param {Array} options.commands - Commands to add to the palette
+     * @param {boolean} options.toolbar - List the toolbar's formats (default true)
+     * @param {number} options.maxResults - Number of matches shown
+     * @param {number} options.maxQueryLength - Longest query that keeps the palette open
+     * @param {string} options.locale - Language of the palette (see i18n.js)
+     * @param {Object} options.messages - Message keys to override
+     */
+    constructor(quill, options = {}) {
+        this.quill = quill;
+        this.options = { ...CommandsManager.defaults, ...options };
+        this.translator = new Translator({ locale: this.options.locale, messages: this.options.messages });
+
+        this.commands = new Map();
+        this.trigger = null;
+        this.items = [];
+        this.activeIndex = 0;
+
+        this.options.commands.forEach(command => this.registerCommand(command));
+
+        this.createPalette();
+        this.bindings = addListboxBindings(this.quill, this, () => this.choose(this.items[this.activeIndex]));
+
+        this.handleTextChange = (delta, oldDelta, source) => {
+            if (source === Quill.sources.USER) {
+                this.update({ index: changeEnd(delta), length: 0 });
+            } else if (this.trigger) {
+                this.update(this.quill.getSelection());
+            }
+        };
+        this.handleSelectionChange = (range) => {
+            this.update(range);
+        };
+
+        this.quill.on('text-change', this.handleTextChange);
+        this.quill.on('selection-change', this.handleSelectionChange);
+    }
+
+    /**
+     * PUBLIC: Add a command, replacing any with the same name
+     * @param {Object} command - { name, label, keywords, run(quill) }
+     */
+    registerCommand(command) {
+        if (!command || !command.name || typeof command.run !== 'function') {
+            throw new Error('Commands: A command needs a name and a run function');
+        }
+        this.commands.set(command.name, { keywords: [], ...command });
+    }
+
+    /**
+     * PUBLIC: Remove a registered command
+     * @returns {boolean} Whether the command existed
+     */
+    unregisterCommand(name) {
+        return this.commands.delete(name);
+    }
+
+    /**
+     * PUBLIC: List the palette's commands, toolbar formats first
+     * @param {string} query - Optional filter matched against labels and keywords
+     * @returns {Array} [{ name, label, keywords }]
+     */
+    getCommands(query = '') {
+        return this.findCommands(query).map(({ name, label, keywords }) => ({ name, label, keywords }));
+    }
+
+    /**
+     * PUBLIC: Run a command at the current selection
+     * @param {string} name - Command name
+     * @returns {boolean} Whether the command was found
+     */
+    execute(name) {
+        const command = this.findCommands().find(item => item.name === name);
+        if (!command) {
+            return false;
+        }
+        command.run(this.quill);
+        this.quill.emitter.emit('command-executed', { name });
+        return true;
+    }
+
+    /**
+     * PUBLIC: Whether the palette is showing
+     */
+    isOpen() {
+        return !this.palette.hidden;
+    }
+
+    /**
+     * PUBLIC: Hide the palette
+     */
+    close() {
+        this.trigger = null;
+        this.items = [];
+        this.palette.hidden = true;
+        this.quill.root.removeAttribute('aria-activedescendant');
+        this.quill.root.removeAttribute('aria-controls');
+    }
+
+    /**
+     * PUBLIC: Remove the palette, keyboard bindings and listeners
+     */
+    destroy() {
+        this.close();
+        this.quill.off('text-change', this.handleTextChange);
+        this.quill.off('selection-change', this.handleSelectionChange);
+        removeBindings(this.quill, this.bindings);
+        this.bindings = [];
+        this.palette.remove();
+    }
+
+    // PRIVATE: Internal methods (not part of public API)
+    findCommands(query = '') {
+        const registered = Array.from(this.commands.values());
+        // A registered command replaces the toolbar control of the same name, e.g. the quote dialog
+        const toolbar = this.options.toolbar
+            ? this.getToolbarCommands().filter(command => !this.commands.has(command.format))
+            : [];
+
+        const commands = toolbar.concat(registered.map(command => ({
+            ...command,
+            label: this.translator.t(command.label || command.name)
+        })));
+
+        const terms = query.toLowerCase();
+        if (!terms) {
+            return commands;
+        }
+        const texts = command => [command.label, command.name, ...command.keywords].map(text => String(text).toLowerCase());
+        const matches = commands.filter(command => texts(command).some(text => text.includes(terms)));
+        // Prefix matches first, so /quo offers the quote dialog before Block quote
+        const rank = command => texts(command).some(text => text.startsWith(terms)) ? 0 : 1;
+        return matches.sort((a, b) => rank(a) - rank(b));
+    }
+
+    /**
+     * One command per toolbar button and per select option, applied the way the toolbar would
+     */
+    getToolbarCommands() {
+        const toolbar = this.quill.getModule('toolbar');
+        if (!toolbar || !Array.isArray(toolbar.controls)) {
+            return [];
+        }
+
+        const commands = [];
+        toolbar.controls.forEach(([format, input]) => {
+            // Buttons for extensions (comments, history, ...) are not formats; they contribute their own commands
+            if (SKIPPED_CONTROLS.includes(format) || (format !== 'clean' && !Parchment.query(format))) {
+                return;
+            }
+
+            const values = input.tagName === 'SELECT'
+                ? Array.from(input.options).map(option => option.getAttribute('value') || '')
+                : [input.hasAttribute('value') ? input.getAttribute('value') : null];
+
+            values.forEach(value => {
+                const [label, params] = this.describeControl(format, value);
+                commands.push({
+                    name: value ? `${format}:${value}` : format,
+                    format,
+                    label: this.translator.t(label, params),
+                    keywords: [format, value, format === 'header' && value ? `h${value}` : null].filter(Boolean),
+                    run: () => this.applyControl(toolbar, format, value, input.tagName === 'SELECT')
+                });
+            });
+        });
+        return commands;
+    }
+
+    describeControl(format, value) {
+        if (format === 'header') {
+            return value ? ['commands.heading', { level: value }] : ['commands.normal'];
+        }
+        const labels = FORMAT_LABELS[format];
+        if (typeof labels === 'string') {
+            return [labels];
+        }
+        if (labels && labels[value || ''] !== undefined) {
+            return [labels[value || '']];
+        }
+        return value ? ['commands.format', { format, value }] : [format];
+    }
+
+    // Mirrors Quill's toolbar: an active button turns its format off, handlers take over where defined
+    applyControl(toolbar, format, value, isSelect) {
+        const current = this.quill.getFormat()[format];
+        let next;
+        if (isSelect) {
+            next = value || false;
+        } else if (value === null) {
+            next = !current;
+        } else {
+            next = current === value ? false : value;
+        }
+
+        if (toolbar.handlers && toolbar.handlers[format]) {
+            toolbar.handlers[format].call(toolbar, next);
+        } else {
+            this.quill.format(format, next, Quill.sources.USER);
+        }
+    }
+
+    createPalette() {
+        this.paletteId = `quilld-commands-${++paletteCount}`;
+        this.palette = document.createElement('ul');
+        this.palette.id = this.paletteId;
+        this.palette.className = 'quilld-commands';
+        this.palette.dir = this.translator.dir;
+        this.palette.setAttribute('role', 'listbox');
+        this.palette.setAttribute('aria-label', this.translator.t('commands.label'));
+        this.palette.hidden = true;
+        this.quill.container.appendChild(this.palette);
+    }
+
+    /**
+     * A / as the first character of a line, followed by the query up to the cursor
+     */
+    findTrigger(range) {
+        if (!range || range.length > 0 || !this.quill.isEnabled()) {
+            return null;
+        }
+
+        const [line, offset] = this.quill.getLine(range.index);
+        if (!line || offset === 0 || offset > this.options.maxQueryLength + 1 || line.formats()['code-block']) {
+            return null;
+        }
+
+        // Embeds count as one character, and end the query
+        const text = this.quill.getContents(range.index - offset, offset).ops
+            .map(op => typeof op.insert === 'string' ? op.insert : ' ')
+            .join('');
+        if (!/^\/\S*$/.test(text)) {
+            return null;
+        }
+        return { index: range.index - offset, query: text.slice(1) };
+    }
+
+    update(range) {
+        const trigger = this.findTrigger(range);
+        if (!trigger) {
+            if (this.trigger) {
+                this.close();
+            }
+            return;
+        }
+        if (this.trigger && this.trigger.index === trigger.index && this.trigger.query === trigger.query) {
+            return;
+        }
+
+        this.trigger = trigger;
+        this.render(this.findCommands(trigger.query).slice(0, this.options.maxResults));
+    }
+
+    // The typed query goes first, so the command applies to the now empty line
+    choose(command) {
+        if (!this.trigger || !command) {
+            return;
+        }
+
+        const { index, query } = this.trigger;
+        this.close();
+        this.quill.updateContents(new Delta().retain(index).delete(1 + query.length), Quill.sources.USER);
+        this.quill.setSelection(index, 0, Quill.sources.USER);
+
+        command.run(this.quill);
+        this.quill.emitter.emit('command-executed', { name: command.name });
+    }
+
+    render(commands) {
+        this.items = commands;
+        this.activeIndex = 0;
+        this.palette.textContent = '';
+
+        if (commands.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'quilld-commands-empty';
+            empty.setAttribute('role', 'presentation');
+            empty.textContent = this.translator.t('commands.empty');
+            this.palette.appendChild(empty);
+        }
+
+        commands.forEach((command, index) => {
+            const option = document.createElement('li');
+            option.id = `${this.paletteId}-${index}`;
+            option.className = 'quilld-commands-item';
+            option.setAttribute('role', 'option');
+            option.textContent = command.label;
+            // Keep the editor focused: mousedown on the palette would blur it first
+            option.addEventListener('mousedown', e => e.preventDefault());
+            option.addEventListener('click', () => this.choose(command));
+            this.palette.appendChild(option);
+        });
+
+        const bounds = this.quill.getBounds(this.trigger.index, 0);
+        this.palette.style.left = `${bounds.left}px`;
+        this.palette.style.top = `${bounds.bottom + 4}px`;
+        this.palette.hidden = false;
+        this.quill.root.setAttribute('aria-controls', this.paletteId);
+        this.activeIndex = highlightOption(this.quill, this.palette, 0);
+    }
+
+    move(step) {
+        this.activeIndex = highlightOption(this.quill, this.palette, this.activeIndex + step);
+    }
+}
+
+export default CommandsManager;
+export { CommandsManager };
@@ -0,0 +1,502 @@
+/**
+ * Comment Threads
+ * Review comments anchored to text ranges, highlighted in the editor and listed in a side panel
+ * ES6 Module version for React projects
+ */
+
+import Translator from './i18n.js';
+import { createId, copy, formatDate, createButton, getRangeRects } from './utils.js';
+
+/**
+ * PUBLIC: Comments Manager Class
+ * Threads live outside the document Delta; their ranges follow every text change.
+ * A thread whose text is deleted stays in the panel as detached.
+ */
+class CommentsManager {
+    static defaults = {
+        user: {},
+        container: null,
+        threads: []
+    };
+
+    /**
+     * @param {Object} quill - Quill instance
+     * @param {Object} options - Comments configuration
+     * @param {Object} options.user - { id, name } of the person writing comments
+     * @param {string|HTMLElement} options.container - Element for the panel (default: next to the editor)
+     * @param {Array} options.threads - Threads to load, as returned by getThreads()
+     * @param {string} options.locale - Language of the panel (see i18n.js)
+     * @param {Object} options.messages - Message keys to override
+     */
+    constructor(quill, options = {}) {
+        this.quill = quill;
+        this.options = { ...CommentsManager.defaults, ...options };
+        this.translator = new Translator({ locale: this.options.locale, messages: this.options.messages });
+
+        this.threads = [];
+        this.activeId = null;
+        this.showResolved = false;
+        this.lastRange = null;
+        this.draftRange = null;
+        this.listeners = [];
+
+        this.createPanel();
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'quilld-comments-highlights';
+        this.overlay.setAttribute('aria-hidden', 'true');
+        this.quill.container.appendChild(this.overlay);
+
+        this.handleTextChange = (delta) => {
+            let detached = false;
+            this.threads.forEach(thread => {
+                const wasAttached = thread.range.length > 0;
+                thread.range = this.transformRange(thread.range, delta);
+                detached = detached || (wasAttached && thread.range.length === 0);
+            });
+            // The panel is only rebuilt when a card changes, so replies being typed survive edits
+            if (detached) {
+                this.renderPanel();
+            }
+            if (this.draftRange) {
+                this.draftRange = this.transformRange(this.draftRange, delta);
+            }
+            this.renderHighlights();
+        };
+        this.handleSelectionChange = (range) => {
+            if (!range) {
+                return;
+            }
+            this.lastRange = range;
+            this.addButton.disabled = range.length === 0;
+            const thread = this.findThreadAt(range.index);
+            if (thread) {
+                this.setActiveThread(thread.id);
+            }
+        };
+        this.handleModeChange = ({ mode }) => {
+            this.panel.hidden = mode === 'present';
+            this.overlay.hidden = mode === 'present';
+        };
+
+        this.quill.on('text-change', this.handleTextChange);
+        this.quill.on('selection-change', this.handleSelectionChange);
+        this.quill.on('mode-change', this.handleModeChange);
+        this.addListener(this.quill.root, 'scroll', () => this.renderHighlights());
+        this.addListener(window, 'resize', () => this.renderHighlights());
+
+        this.setThreads(this.options.threads);
+    }
+
+    /**
+     * PUBLIC: Start a thread on a range
+     * @param {string} text - First comment
+     * @param {Object} range - { index, length } (defaults to the current selection)
+     * @returns {Object|null} The thread, or null without a non-empty range or text
+     */
+    addComment(text, range = this.lastRange) {
+        if (!range || range.length === 0 || !String(text || '').trim()) {
+            return null;
+        }
+
+        const thread = {
+            id: createId(),
+            range: { index: range.index, length: range.length },
+            text: this.quill.getText(range.index, range.length),
+            resolved: false,
+            createdAt: Date.now(),
+            comments: [this.createComment(text)]
+        };
+        this.threads.push(thread);
+        this.activeId = thread.id;
+        this.update();
+
+        this.quill.emitter.emit('comment-added', { thread: copy(thread) });
+        return copy(thread);
+    }
+
+    /**
+     * PUBLIC: Add a reply to a thread
+     * @returns {Object|null} The new comment, or null if the thread does not exist
+     */
+    reply(threadId, text) {
+        const thread = this.getThread(threadId);
+        if (!thread || !String(text || '').trim()) {
+            return null;
+        }
+
+        const comment = this.createComment(text);
+        thread.comments.push(comment);
+        this.update();
+
+        this.quill.emitter.emit('comment-replied', { thread: copy(thread), comment: copy(comment) });
+        return copy(comment);
+    }
+
+    /**
+     * PUBLIC: Mark a thread resolved, or open it again
+     * @returns {boolean} Whether the thread exists
+     */
+    resolve(threadId, resolved = true) {
+        const thread = this.getThread(threadId);
+        if (!thread) {
+            return false;
+        }
+
+        thread.resolved = resolved;
+        this.update();
+
+        this.quill.emitter.emit(resolved ? 'comment-resolved' : 'comment-reopened', { thread: copy(thread) });
+        return true;
+    }
+
+    /**
+     * PUBLIC: Delete a thread and all its replies
+     * @returns {boolean} Whether a thread was deleted
+     */
+    deleteThread(threadId) {
+        const thread = this.getThread(threadId);
+        if (!thread) {
+            return false;
+        }
+
+        this.threads = this.threads.filter(other => other !== thread);
+        if (this.activeId === threadId) {
+            this.activeId = null;
+        }
+        this.update();
+
+        this.quill.emitter.emit('comment-deleted', { thread: copy(thread) });
+        return true;
+    }
+
+    /**
+     * PUBLIC: All threads, in document order, as plain data for storage
+     * @returns {Array} [{ id, range, text, resolved, createdAt, comments: [{ id, author, text, createdAt }] }]
+     */
+    getThreads() {
+        return copy(this.getSortedThreads());
+    }
+
+    /**
+     * PUBLIC: Replace all threads, e.g. with data saved from getThreads()
+     * Load them after the document content, since ranges refer to it.
+     */
+    setThreads(threads = []) {
+        const length = this.quill.getLength();
+        this.threads = (Array.isArray(threads) ? threads : [])
+            .filter(thread => thread && thread.range && Number.isInteger(thread.range.index) && Array.isArray(thread.comments))
+            .map(thread => {
+                const index = Math.min(Math.max(0, thread.range.index), length - 1);
+                const end = Math.min(index + Math.max(0, thread.range.length || 0), length - 1);
+                return {
+                    ...copy(thread),
+                    id: thread.id || createId(),
+                    range: { index, length: end - index },
+                    resolved: Boolean(thread.resolved)
+                };
+            });
+        this.activeId = null;
+        this.update();
+    }
+
+    /**
+     * PUBLIC: Open the new-comment form for the current selection
+     * @returns {boolean} Whether there was a selection to comment on
+     */
+    startComment() {
+        const range = this.quill.getSelection() || this.lastRange;
+        if (!range || range.length === 0) {
+            return false;
+        }
+
+        this.draftRange = { index: range.index, length: range.length };
+        this.renderPanel();
+        this.panel.querySelector('.quilld-comments-draft textarea').focus();
+        return true;
+    }
+
+    /**
+     * PUBLIC: Highlight a thread and scroll its card into view
+     */
+    setActiveThread(threadId) {
+        this.activeId = this.getThread(threadId) ? threadId : null;
+        this.panel.querySelectorAll('.quilld-comment-thread').forEach(card => {
+            const isActive = card.dataset.threadId === this.activeId;
+            card.classList.toggle('is-active', isActive);
+            if (isActive && typeof card.scrollIntoView === 'function') {
+                card.scrollIntoView({ block: 'nearest' });
+            }
+        });
+        this.renderHighlights();
+    }
+
+    /**
+     * PUBLIC: Remove the panel, highlights and listeners
+     */
+    destroy() {
+        this.quill.off('text-change', this.handleTextChange);
+        this.quill.off('selection-change', this.handleSelectionChange);
+        this.quill.off('mode-change', this.handleModeChange);
+        this.listeners.forEach(({ target, type, handler }) => target.removeEventListener(type, handler));
+        this.listeners = [];
+
+        this.overlay.remove();
+        if (this.ownsPanel) {
+            this.panel.remove();
+        } else {
+            this.panel.textContent = '';
+            this.panel.classList.remove('quilld-comments-panel');
+        }
+        if (this.layout) {
+            this.layout.classList.remove('quilld-has-comments');
+        }
+    }
+
+    // PRIVATE: Internal methods (not part of public API)
+    addListener(target, type, handler) {
+        target.addEventListener(type, handler);
+        this.listeners.push({ target, type, handler });
+    }
+
+    createComment(text) {
+        const user = this.options.user || {};
+        return {
+            id: createId(),
+            author: { id: user.id || null, name: user.name || '' },
+            text: String(text).trim(),
+            createdAt: Date.now()
+        };
+    }
+
+    getThread(threadId) {
+        return this.threads.find(thread => thread.id === threadId) || null;
+    }
+
+    getSortedThreads() {
+        return this.threads.slice().sort((a, b) => a.range.index - b.range.index || a.createdAt - b.createdAt);
+    }
+
+    findThreadAt(index) {
+        return this.getSortedThreads().find(thread => (this.showResolved || !thread.resolved) &&
+            thread.range.length > 0 && index >= thread.range.index && index <= thread.range.index + thread.range.length) || null;
+    }
+
+    // Text typed right before or after a thread stays outside it
+    transformRange(range, delta) {
+        const start = delta.transformPosition(range.index);
+        const end = Math.max(start, delta.transformPosition(range.index + range.length, true));
+        return { index: start, length: end - start };
+    }
+
+    update() {
+        this.renderPanel();
+        this.renderHighlights();
+    }
+
+    createPanel() {
+        let container = this.options.container;
+        if (typeof container === 'string') {
+            container = document.querySelector(container);
+        }
+
+        this.ownsPanel = !container;
+        this.panel = container || document.createElement('aside');
+        this.panel.classList.add('quilld-comments-panel');
+        this.panel.dir = this.translator.dir;
+        this.panel.setAttribute('aria-label', this.translator.t('comments.title'));
+
+        if (this.ownsPanel) {
+            // The editor's wrapper lays the panel out beside the editor
+            this.layout = this.quill.container.parentNode;
+            this.layout.classList.add('quilld-has-comments');
+            this.layout.appendChild(this.panel);
+        }
+
+        this.addButton = createButton(this.translator.t('comments.add'), 'quilld-comments-add', () => this.startComment());
+        this.addButton.disabled = true;
+        // Keep the editor selection: mousedown on a button would blur it first
+        this.addButton.addEventListener('mousedown', e => e.preventDefault());
+    }
+
+    renderPanel() {
+        const t = (key, params) => this.translator.t(key, params);
+        this.panel.textContent = '';
+
+        const header = document.createElement('div');
+        header.className = 'quilld-comments-header';
+
+        const title = document.createElement('h3');
+        title.textContent = t('comments.title');
+
+        const toggle = document.createElement('label');
+        toggle.className = 'quilld-comments-toggle';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = this.showResolved;
+        checkbox.addEventListener('change', () => {
+            this.showResolved = checkbox.checked;
+            this.update();
+        });
+        toggle.appendChild(checkbox);
+        toggle.appendChild(document.createTextNode(` ${t('comments.showResolved')}`));
+
+        header.appendChild(title);
+        header.appendChild(toggle);
+        header.appendChild(this.addButton);
+        this.panel.appendChild(header);
+
+        if (this.draftRange) {
+            this.panel.appendChild(this.createForm('quilld-comments-draft', t('comments.placeholder'), t('comments.save'), text => {
+                if (!text.trim()) {
+                    return;
+                }
+                const range = this.draftRange;
+                this.draftRange = null;
+                if (!this.addComment(text, range)) {
+                    this.renderPanel();
+                }
+            }, () => {
+                this.draftRange = null;
+                this.renderPanel();
+            }));
+        }
+
+        const threads = this.getSortedThreads().filter(thread => this.showResolved || !thread.resolved);
+        if (threads.length === 0 && !this.draftRange) {
+            const empty = document.createElement('p');
+            empty.className = 'quilld-comments-empty';
+            empty.textContent = t('comments.empty');
+            this.panel.appendChild(empty);
+            return;
+        }
+
+        const list = document.createElement('ol');
+        list.className = 'quilld-comments-list';
+        threads.forEach(thread => list.appendChild(this.createThreadCard(thread)));
+        this.panel.appendChild(list);
+    }
+
+    createThreadCard(thread) {
+        const t = (key, params) => this.translator.t(key, params);
+        const isDetached = thread.range.length === 0;
+
+        const card = document.createElement('li');
+        card.className = 'quilld-comment-thread';
+        card.dataset.threadId = thread.id;
+        card.classList.toggle('is-active', thread.id === this.activeId);
+        card.classList.toggle('is-resolved', thread.resolved);
+        card.classList.toggle('is-detached', isDetached);
+        card.addEventListener('click', (e) => {
+            if (!e.target.closest('button, textarea')) {
+                this.setActiveThread(thread.id);
+            }
+        });
+
+        const anchor = document.createElement('blockquote');
+        anchor.className = 'quilld-comment-anchor';
+        anchor.textContent = isDetached
+            ? t('comments.detached')
+            : this.quill.getText(thread.range.index, thread.range.length).trim() || thread.text;
+        card.appendChild(anchor);
+
+        const messages = document.createElement('ul');
+        messages.className = 'quilld-comment-messages';
+        thread.comments.forEach(comment => {
+            const item = document.createElement('li');
+
+            const author = document.createElement('strong');
+            author.textContent = comment.author && comment.author.name ? comment.author.name : '—';
+
+            const time = document.createElement('time');
+            if (Number.isFinite(comment.createdAt)) {
+                time.dateTime = new Date(comment.createdAt).toISOString();
+                time.textContent = formatDate(comment.createdAt, this.translator.locale);
+            }
+
+            const text = document.createElement('p');
+            text.textContent = comment.text;
+
+            item.appendChild(author);
+            item.appendChild(document.createTextNode(' '));
+            item.appendChild(time);
+            item.appendChild(text);
+            messages.appendChild(item);
+        });
+        card.appendChild(messages);
+
+        if (!thread.resolved) {
+            card.appendChild(this.createForm('quilld-comment-reply', t('comments.replyPlaceholder'), t('comments.reply'),
+                text => this.reply(thread.id, text)));
+        }
+
+        const actions = document.createElement('div');
+        actions.className = 'quilld-comment-actions';
+        actions.appendChild(createButton(t(thread.resolved ? 'comments.reopen' : 'comments.resolve'),
+            'quilld-comment-resolve', () => this.resolve(thread.id, !thread.resolved)));
+        actions.appendChild(createButton(t('comments.delete'), 'quilld-comment-delete', () => this.deleteThread(thread.id)));
+        card.appendChild(actions);
+
+        return card;
+    }
+
+    createForm(className, placeholder, submitLabel, onSubmit, onCancel = null) {
+        const form = document.createElement('form');
+        form.className = className;
+
+        const textarea = document.createElement('textarea');
+        textarea.rows = 2;
+        textarea.placeholder = placeholder;
+        textarea.setAttribute('aria-label', placeholder);
+        form.appendChild(textarea);
+
+        const buttons = document.createElement('div');
+        buttons.className = 'quilld-comment-form-buttons';
+        if (onCancel) {
+            buttons.appendChild(createButton(this.translator.t('comments.cancel'), 'quilld-comment-cancel', onCancel));
+        }
+        const submit = createButton(submitLabel, 'quilld-comment-submit');
+        submit.type = 'submit';
+        buttons.appendChild(submit);
+        form.appendChild(buttons);
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            onSubmit(textarea.value);
+        });
+        textarea.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                onSubmit(textarea.value);
+            } else if (e.key === 'Escape' && onCancel) {
+                e.preventDefault();
+                onCancel();
+            }
+        });
+
+        return form;
+    }
+
+    renderHighlights() {
+        this.overlay.textContent = '';
+        const length = this.quill.getLength();
+
+        this.threads
+            .filter(thread => (this.showResolved || !thread.resolved) && thread.range.length > 0 && thread.range.index < length)
+            .forEach(thread => {
+                getRangeRects(this.quill, thread.range).forEach(rect => {
+                    const highlight = document.createElement('div');
+                    highlight.className = 'quilld-comment-highlight';
+                    highlight.classList.toggle('is-active', thread.id === this.activeId);
+                    highlight.classList.toggle('is-resolved', thread.resolved);
+                    highlight.style.left = `${rect.left}px`;
+                    highlight.style.top = `${rect.top}px`;
+                    highlight.style.width = `${rect.width}px`;
+                    highlight.style.height = `${rect.height}px`;
+                    this.overlay.appendChild(highlight);
+                });
+            });
+    }
+}
+
+export default CommentsManager;
+export { CommentsManager };
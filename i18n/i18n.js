@@ -0,0 +1,879 @@
+/**
+ * Translator
+ * UI strings for QuillD, QuillM and the quote system, with interpolation and plurals
+ * ES6 Module version for React projects
+ */
+
+// Languages written right to left
+const RTL_LANGUAGES = ['ar', 'fa', 'he', 'ur'];
+
+const DEFAULT_LOCALE = 'en';
+
+/**
+ * Bundled message packs
+ * A value is a string with {placeholders}, or an object of Intl.PluralRules
+ * categories (zero, one, two, few, many, other) chosen by the count parameter
+ */
+const MESSAGES = {
+    en: {
+        'editor.placeholder': 'Start typing...',
+        'editor.placeholderSimple': 'Type here...',
+        'editor.placeholderBubble': 'Click to start typing...',
+
+        'wordCount.words': 'Words: {count}',
+        'wordCount.wordsOfMax': 'Words: {count}/{max}',
+        'wordCount.chars': 'Characters: {count}',
+        'wordCount.charsOfMax': 'Characters: {count}/{max}',
+        'wordCount.charsNoSpaces': 'Characters (no spaces): {count}',
+
+        'statistics.readingTime': 'Reading time',
+        'statistics.speakingTime': 'Speaking time',
+        'statistics.sentences': 'Sentences',
+        'statistics.paragraphs': 'Paragraphs',
+        'statistics.averageSentenceLength': 'Avg. sentence length',
+        'statistics.readability': 'Reading ease',
+        'statistics.sections': 'Sections',
+        'statistics.section': 'Section',
+        'statistics.words': 'Words',
+        'statistics.introduction': 'Introduction',
+        'statistics.wordCount': { one: '{count} word', other: '{count} words' },
+        'duration.seconds': { one: '{count} sec', other: '{count} sec' },
+        'duration.minutes': { one: '{count} min', other: '{count} min' },
+
+        'quote.dialog.insertTitle': 'Insert Quote',
+        'quote.dialog.editTitle': 'Edit Quote',
+        'quote.dialog.insert': 'Insert Quote',
+        'quote.dialog.save': 'Save Quote',
+        'quote.dialog.cancel': 'Cancel',
+        'quote.dialog.content': 'Quote',
+        'quote.dialog.contentPlaceholder': 'Enter quote content...',
+        'quote.dialog.author': 'Author',
+        'quote.dialog.authorPlaceholder': 'Author (optional)',
+        'quote.dialog.citation': 'Citation (optional)',
+        'quote.dialog.sourceTitle': 'Source title',
+        'quote.dialog.sourceUrl': 'Source URL',
+        'quote.dialog.date': 'Publication date',
+        'quote.dialog.locator': 'Page or locator',
+        'quote.dialog.hint': 'Press Ctrl+Enter to save, Escape to cancel.',
+        'quote.delete': 'Delete quote',
+
+        'quote.error.noCursor': 'Please place cursor where you want to insert the quote',
+        'quote.error.noSelection': 'Select the text you want to turn into a quote',
+        'quote.error.nested': 'Quotes cannot be nested inside other quotes',
+        'quote.error.nestedPaste': 'Cannot paste quotes inside existing quotes',
+        'quote.error.invalidPosition': 'Invalid quote position',
+        'quote.error.invalidUrl': 'Source URL must be a relative path or an http(s), mailto or tel link',
+        'quote.error.notFound': 'Quote not found',
+        'quote.error.insertFailed': 'Failed to insert quote',
+        'quote.error.invalidContent': 'Cannot insert quote: {reasons}',
+        'quote.error.invalidContentUnknown': 'Invalid quote content detected',
+
+        'quote.reason.quoteBlocks': 'Contains quote block elements',
+        'quote.reason.blockquotes': 'Contains HTML blockquote elements',
+        'quote.reason.quoteMarkers': 'Contains quote markers (lines starting with >)',
+        'quote.reason.quoteClasses': 'Contains elements with quote-related CSS classes',
+        'quote.reason.quoteAttributes': 'Contains elements with quote-related attributes',
+
+        'comments.title': 'Comments',
+        'comments.add': 'Comment',
+        'comments.placeholder': 'Write a comment…',
+        'comments.reply': 'Reply',
+        'comments.replyPlaceholder': 'Reply…',
+        'comments.save': 'Save',
+        'comments.cancel': 'Cancel',
+        'comments.resolve': 'Resolve',
+        'comments.reopen': 'Reopen',
+        'comments.delete': 'Delete',
+        'comments.showResolved': 'Show resolved',
+        'comments.empty': 'No comments yet. Select text and choose Comment.',
+        'comments.detached': 'The commented text was removed',
+        'suggestions.label': 'Suggestion',
+        'suggestions.insert': 'Insertion',
+        'suggestions.delete': 'Deletion',
+        'suggestions.format': 'Formatting: {formats}',
+        'suggestions.accept': 'Accept',
+        'suggestions.reject': 'Reject',
+        'revisions.title': 'Version history',
+        'revisions.create': 'Save version',
+        'revisions.labelPlaceholder': 'Version name (optional)',
+        'revisions.current': 'Current document',
+        'revisions.untitled': 'Untitled version',
+        'revisions.compareTo': 'Compare with',
+        'revisions.restore': 'Restore this version',
+        'revisions.close': 'Close',
+        'revisions.empty': 'No saved versions yet.',
+        'revisions.noChanges': 'No changes between these versions.',
+        'mentions.label': 'Mention suggestions',
+        'mentions.loading': 'Searching…',
+        'mentions.empty': 'No matches',
+        'commands.label': 'Commands',
+        'commands.empty': 'No matching commands',
+        'commands.normal': 'Normal text',
+        'commands.heading': 'Heading {level}',
+        'commands.bold': 'Bold',
+        'commands.italic': 'Italic',
+        'commands.underline': 'Underline',
+        'commands.strike': 'Strikethrough',
+        'commands.code': 'Inline code',
+        'commands.subscript': 'Subscript',
+        'commands.superscript': 'Superscript',
+        'commands.orderedList': 'Numbered list',
+        'commands.bulletList': 'Bulleted list',
+        'commands.checklist': 'Checklist',
+        'commands.blockquote': 'Block quote',
+        'commands.codeBlock': 'Code block',
+        'commands.indent': 'Indent',
+        'commands.outdent': 'Outdent',
+        'commands.alignLeft': 'Align left',
+        'commands.alignCenter': 'Align center',
+        'commands.alignRight': 'Align right',
+        'commands.alignJustify': 'Justify',
+        'commands.rtl': 'Right to left',
+        'commands.clean': 'Clear formatting',
+        'commands.quote': 'Quote…',
+        'commands.suggest': 'Suggest changes',
+        'commands.format': '{format}: {value}',
+        'autosave.available': 'A newer draft from {date} is available.',
+        'autosave.restore': 'Restore draft',
+        'autosave.discard': 'Discard'
+    },
+
+    es: {
+        'editor.placeholder': 'Empieza a escribir...',
+        'editor.placeholderSimple': 'Escribe aquí...',
+        'editor.placeholderBubble': 'Haz clic para empezar a escribir...',
+
+        'wordCount.words': 'Palabras: {count}',
+        'wordCount.wordsOfMax': 'Palabras: {count}/{max}',
+        'wordCount.chars': 'Caracteres: {count}',
+        'wordCount.charsOfMax': 'Caracteres: {count}/{max}',
+        'wordCount.charsNoSpaces': 'Caracteres (sin espacios): {count}',
+
+        'statistics.readingTime': 'Tiempo de lectura',
+        'statistics.speakingTime': 'Tiempo de locución',
+        'statistics.sentences': 'Oraciones',
+        'statistics.paragraphs': 'Párrafos',
+        'statistics.averageSentenceLength': 'Longitud media de oración',
+        'statistics.readability': 'Facilidad de lectura',
+        'statistics.sections': 'Secciones',
+        'statistics.section': 'Sección',
+        'statistics.words': 'Palabras',
+        'statistics.introduction': 'Introducción',
+        'statistics.wordCount': { one: '{count} palabra', other: '{count} palabras' },
+        'duration.seconds': { one: '{count} s', other: '{count} s' },
+        'duration.minutes': { one: '{count} min', other: '{count} min' },
+
+        'quote.dialog.insertTitle': 'Insertar cita',
+        'quote.dialog.editTitle': 'Editar cita',
+        'quote.dialog.insert': 'Insertar cita',
+        'quote.dialog.save': 'Guardar cita',
+        'quote.dialog.cancel': 'Cancelar',
+        'quote.dialog.content': 'Cita',
+        'quote.dialog.contentPlaceholder': 'Escribe el texto de la cita...',
+        'quote.dialog.author': 'Autor',
+        'quote.dialog.authorPlaceholder': 'Autor (opcional)',
+        'quote.dialog.citation': 'Referencia (opcional)',
+        'quote.dialog.sourceTitle': 'Título de la fuente',
+        'quote.dialog.sourceUrl': 'URL de la fuente',
+        'quote.dialog.date': 'Fecha de publicación',
+        'quote.dialog.locator': 'Página o ubicación',
+        'quote.dialog.hint': 'Pulsa Ctrl+Intro para guardar o Escape para cancelar.',
+        'quote.delete': 'Eliminar cita',
+
+        'quote.error.noCursor': 'Coloca el cursor donde quieras insertar la cita',
+        'quote.error.noSelection': 'Selecciona el texto que quieres convertir en cita',
+        'quote.error.nested': 'Las citas no se pueden anidar dentro de otras citas',
+        'quote.error.nestedPaste': 'No se pueden pegar citas dentro de una cita',
+        'quote.error.invalidPosition': 'Posición de cita no válida',
+        'quote.error.invalidUrl': 'La URL de la fuente debe ser una ruta relativa o un enlace http(s), mailto o tel',
+        'quote.error.notFound': 'No se encontró la cita',
+        'quote.error.insertFailed': 'No se pudo insertar la cita',
+        'quote.error.invalidContent': 'No se puede insertar la cita: {reasons}',
+        'quote.error.invalidContentUnknown': 'El contenido de la cita no es válido',
+
+        'quote.reason.quoteBlocks': 'Contiene bloques de cita',
+        'quote.reason.blockquotes': 'Contiene elementos blockquote de HTML',
+        'quote.reason.quoteMarkers': 'Contiene marcas de cita (líneas que empiezan por >)',
+        'quote.reason.quoteClasses': 'Contiene elementos con clases CSS de cita',
+        'quote.reason.quoteAttributes': 'Contiene elementos con atributos de cita',
+
+        'comments.title': 'Comentarios',
+        'comments.add': 'Comentar',
+        'comments.placeholder': 'Escribe un comentario…',
+        'comments.reply': 'Responder',
+        'comments.replyPlaceholder': 'Responder…',
+        'comments.save': 'Guardar',
+        'comments.cancel': 'Cancelar',
+        'comments.resolve': 'Resolver',
+        'comments.reopen': 'Reabrir',
+        'comments.delete': 'Eliminar',
+        'comments.showResolved': 'Mostrar resueltos',
+        'comments.empty': 'Aún no hay comentarios. Selecciona texto y elige Comentar.',
+        'comments.detached': 'Se eliminó el texto comentado',
+        'suggestions.label': 'Sugerencia',
+        'suggestions.insert': 'Inserción',
+        'suggestions.delete': 'Eliminación',
+        'suggestions.format': 'Formato: {formats}',
+        'suggestions.accept': 'Aceptar',
+        'suggestions.reject': 'Rechazar',
+        'revisions.title': 'Historial de versiones',
+        'revisions.create': 'Guardar versión',
+        'revisions.labelPlaceholder': 'Nombre de la versión (opcional)',
+        'revisions.current': 'Documento actual',
+        'revisions.untitled': 'Versión sin título',
+        'revisions.compareTo': 'Comparar con',
+        'revisions.restore': 'Restaurar esta versión',
+        'revisions.close': 'Cerrar',
+        'revisions.empty': 'Aún no hay versiones guardadas.',
+        'revisions.noChanges': 'No hay cambios entre estas versiones.',
+        'mentions.label': 'Sugerencias de menciones',
+        'mentions.loading': 'Buscando…',
+        'mentions.empty': 'Sin resultados',
+        'commands.label': 'Comandos',
+        'commands.empty': 'Ningún comando coincide',
+        'commands.normal': 'Texto normal',
+        'commands.heading': 'Título {level}',
+        'commands.bold': 'Negrita',
+        'commands.italic': 'Cursiva',
+        'commands.underline': 'Subrayado',
+        'commands.strike': 'Tachado',
+        'commands.code': 'Código en línea',
+        'commands.subscript': 'Subíndice',
+        'commands.superscript': 'Superíndice',
+        'commands.orderedList': 'Lista numerada',
+        'commands.bulletList': 'Lista con viñetas',
+        'commands.checklist': 'Lista de tareas',
+        'commands.blockquote': 'Cita en bloque',
+        'commands.codeBlock': 'Bloque de código',
+        'commands.indent': 'Aumentar sangría',
+        'commands.outdent': 'Reducir sangría',
+        'commands.alignLeft': 'Alinear a la izquierda',
+        'commands.alignCenter': 'Centrar',
+        'commands.alignRight': 'Alinear a la derecha',
+        'commands.alignJustify': 'Justificar',
+        'commands.rtl': 'De derecha a izquierda',
+        'commands.clean': 'Borrar formato',
+        'commands.quote': 'Cita…',
+        'commands.suggest': 'Sugerir cambios',
+        'commands.format': '{format}: {value}',
+        'autosave.available': 'Hay un borrador más reciente del {date}.',
+        'autosave.restore': 'Restaurar borrador',
+        'autosave.discard': 'Descartar'
+    },
+
+    fr: {
+        'editor.placeholder': 'Commencez à écrire...',
+        'editor.placeholderSimple': 'Saisissez ici...',
+        'editor.placeholderBubble': 'Cliquez pour commencer à écrire...',
+
+        'wordCount.words': 'Mots : {count}',
+        'wordCount.wordsOfMax': 'Mots : {count}/{max}',
+        'wordCount.chars': 'Caractères : {count}',
+        'wordCount.charsOfMax': 'Caractères : {count}/{max}',
+        'wordCount.charsNoSpaces': 'Caractères (sans espaces) : {count}',
+
+        'statistics.readingTime': 'Temps de lecture',
+        'statistics.speakingTime': 'Temps de parole',
+        'statistics.sentences': 'Phrases',
+        'statistics.paragraphs': 'Paragraphes',
+        'statistics.averageSentenceLength': 'Longueur moyenne des phrases',
+        'statistics.readability': 'Facilité de lecture',
+        'statistics.sections': 'Sections',
+        'statistics.section': 'Section',
+        'statistics.words': 'Mots',
+        'statistics.introduction': 'Introduction',
+        'statistics.wordCount': { one: '{count} mot', other: '{count} mots' },
+        'duration.seconds': { one: '{count} s', other: '{count} s' },
+        'duration.minutes': { one: '{count} min', other: '{count} min' },
+
+        'quote.dialog.insertTitle': 'Insérer une citation',
+        'quote.dialog.editTitle': 'Modifier la citation',
+        'quote.dialog.insert': 'Insérer',
+        'quote.dialog.save': 'Enregistrer',
+        'quote.dialog.cancel': 'Annuler',
+        'quote.dialog.content': 'Citation',
+        'quote.dialog.contentPlaceholder': 'Saisissez la citation...',
+        'quote.dialog.author': 'Auteur',
+        'quote.dialog.authorPlaceholder': 'Auteur (facultatif)',
+        'quote.dialog.citation': 'Référence (facultatif)',
+        'quote.dialog.sourceTitle': 'Titre de la source',
+        'quote.dialog.sourceUrl': 'URL de la source',
+        'quote.dialog.date': 'Date de publication',
+        'quote.dialog.locator': 'Page ou emplacement',
+        'quote.dialog.hint': 'Ctrl+Entrée pour enregistrer, Échap pour annuler.',
+        'quote.delete': 'Supprimer la citation',
+
+        'quote.error.noCursor': 'Placez le curseur à l’endroit où insérer la citation',
+        'quote.error.noSelection': 'Sélectionnez le texte à transformer en citation',
+        'quote.error.nested': 'Une citation ne peut pas être imbriquée dans une autre',
+        'quote.error.nestedPaste': 'Impossible de coller des citations dans une citation',
+        'quote.error.invalidPosition': 'Position de citation non valide',
+        'quote.error.invalidUrl': 'L’URL de la source doit être un chemin relatif ou un lien http(s), mailto ou tel',
+        'quote.error.notFound': 'Citation introuvable',
+        'quote.error.insertFailed': 'Échec de l’insertion de la citation',
+        'quote.error.invalidContent': 'Impossible d’insérer la citation : {reasons}',
+        'quote.error.invalidContentUnknown': 'Contenu de citation non valide',
+
+        'quote.reason.quoteBlocks': 'Contient des blocs de citation',
+        'quote.reason.blockquotes': 'Contient des éléments HTML blockquote',
+        'quote.reason.quoteMarkers': 'Contient des marques de citation (lignes commençant par >)',
+        'quote.reason.quoteClasses': 'Contient des éléments avec des classes CSS de citation',
+        'quote.reason.quoteAttributes': 'Contient des éléments avec des attributs de citation',
+
+        'comments.title': 'Commentaires',
+        'comments.add': 'Commenter',
+        'comments.placeholder': 'Écrire un commentaire…',
+        'comments.reply': 'Répondre',
+        'comments.replyPlaceholder': 'Répondre…',
+        'comments.save': 'Enregistrer',
+        'comments.cancel': 'Annuler',
+        'comments.resolve': 'Résoudre',
+        'comments.reopen': 'Rouvrir',
+        'comments.delete': 'Supprimer',
+        'comments.showResolved': 'Afficher les résolus',
+        'comments.empty': 'Aucun commentaire. Sélectionnez du texte et choisissez Commenter.',
+        'comments.detached': 'Le texte commenté a été supprimé',
+        'suggestions.label': 'Suggestion',
+        'suggestions.insert': 'Insertion',
+        'suggestions.delete': 'Suppression',
+        'suggestions.format': 'Mise en forme : {formats}',
+        'suggestions.accept': 'Accepter',
+        'suggestions.reject': 'Refuser',
+        'revisions.title': 'Historique des versions',
+        'revisions.create': 'Enregistrer la version',
+        'revisions.labelPlaceholder': 'Nom de la version (facultatif)',
+        'revisions.current': 'Document actuel',
+        'revisions.untitled': 'Version sans titre',
+        'revisions.compareTo': 'Comparer avec',
+        'revisions.restore': 'Restaurer cette version',
+        'revisions.close': 'Fermer',
+        'revisions.empty': 'Aucune version enregistrée pour le moment.',
+        'revisions.noChanges': 'Aucune modification entre ces versions.',
+        'mentions.label': 'Suggestions de mentions',
+        'mentions.loading': 'Recherche…',
+        'mentions.empty': 'Aucun résultat',
+        'commands.label': 'Commandes',
+        'commands.empty': 'Aucune commande correspondante',
+        'commands.normal': 'Texte normal',
+        'commands.heading': 'Titre {level}',
+        'commands.bold': 'Gras',
+        'commands.italic': 'Italique',
+        'commands.underline': 'Souligné',
+        'commands.strike': 'Barré',
+        'commands.code': 'Code en ligne',
+        'commands.subscript': 'Indice',
+        'commands.superscript': 'Exposant',
+        'commands.orderedList': 'Liste numérotée',
+        'commands.bulletList': 'Liste à puces',
+        'commands.checklist': 'Liste de tâches',
+        'commands.blockquote': 'Bloc de citation',
+        'commands.codeBlock': 'Bloc de code',
+        'commands.indent': 'Augmenter le retrait',
+        'commands.outdent': 'Diminuer le retrait',
+        'commands.alignLeft': 'Aligner à gauche',
+        'commands.alignCenter': 'Centrer',
+        'commands.alignRight': 'Aligner à droite',
+        'commands.alignJustify': 'Justifier',
+        'commands.rtl': 'De droite à gauche',
+        'commands.clean': 'Effacer la mise en forme',
+        'commands.quote': 'Citation…',
+        'commands.suggest': 'Suggérer des modifications',
+        'commands.format': '{format} : {value}',
+        'autosave.available': 'Un brouillon plus récent du {date} est disponible.',
+        'autosave.restore': 'Restaurer le brouillon',
+        'autosave.discard': 'Ignorer'
+    },
+
+    de: {
+        'editor.placeholder': 'Mit dem Schreiben beginnen...',
+        'editor.placeholderSimple': 'Hier eingeben...',
+        'editor.placeholderBubble': 'Zum Schreiben klicken...',
+
+        'wordCount.words': 'Wörter: {count}',
+        'wordCount.wordsOfMax': 'Wörter: {count}/{max}',
+        'wordCount.chars': 'Zeichen: {count}',
+        'wordCount.charsOfMax': 'Zeichen: {count}/{max}',
+        'wordCount.charsNoSpaces': 'Zeichen (ohne Leerzeichen): {count}',
+
+        'statistics.readingTime': 'Lesezeit',
+        'statistics.speakingTime': 'Sprechzeit',
+        'statistics.sentences': 'Sätze',
+        'statistics.paragraphs': 'Absätze',
+        'statistics.averageSentenceLength': 'Ø Satzlänge',
+        'statistics.readability': 'Lesbarkeit',
+        'statistics.sections': 'Abschnitte',
+        'statistics.section': 'Abschnitt',
+        'statistics.words': 'Wörter',
+        'statistics.introduction': 'Einleitung',
+        'statistics.wordCount': { one: '{count} Wort', other: '{count} Wörter' },
+        'duration.seconds': { one: '{count} Sek.', other: '{count} Sek.' },
+        'duration.minutes': { one: '{count} Min.', other: '{count} Min.' },
+
+        'quote.dialog.insertTitle': 'Zitat einfügen',
+        'quote.dialog.editTitle': 'Zitat bearbeiten',
+        'quote.dialog.insert': 'Zitat einfügen',
+        'quote.dialog.save': 'Zitat speichern',
+        'quote.dialog.cancel': 'Abbrechen',
+        'quote.dialog.content': 'Zitat',
+        'quote.dialog.contentPlaceholder': 'Zitattext eingeben...',
+        'quote.dialog.author': 'Autor',
+        'quote.dialog.authorPlaceholder': 'Autor (optional)',
+        'quote.dialog.citation': 'Quellenangabe (optional)',
+        'quote.dialog.sourceTitle': 'Titel der Quelle',
+        'quote.dialog.sourceUrl': 'URL der Quelle',
+        'quote.dialog.date': 'Erscheinungsdatum',
+        'quote.dialog.locator': 'Seite oder Fundstelle',
+        'quote.dialog.hint': 'Strg+Eingabe zum Speichern, Escape zum Abbrechen.',
+        'quote.delete': 'Zitat löschen',
+
+        'quote.error.noCursor': 'Bitte den Cursor an die Stelle setzen, an der das Zitat eingefügt werden soll',
+        'quote.error.noSelection': 'Text auswählen, der zum Zitat werden soll',
+        'quote.error.nested': 'Zitate können nicht in andere Zitate verschachtelt werden',
+        'quote.error.nestedPaste': 'Zitate können nicht in ein Zitat eingefügt werden',
+        'quote.error.invalidPosition': 'Ungültige Zitatposition',
+        'quote.error.invalidUrl': 'Die Quell-URL muss ein relativer Pfad oder ein http(s)-, mailto- oder tel-Link sein',
+        'quote.error.notFound': 'Zitat nicht gefunden',
+        'quote.error.insertFailed': 'Zitat konnte nicht eingefügt werden',
+        'quote.error.invalidContent': 'Zitat kann nicht eingefügt werden: {reasons}',
+        'quote.error.invalidContentUnknown': 'Ungültiger Zitatinhalt',
+
+        'quote.reason.quoteBlocks': 'Enthält Zitatblöcke',
+        'quote.reason.blockquotes': 'Enthält HTML-blockquote-Elemente',
+        'quote.reason.quoteMarkers': 'Enthält Zitatzeichen (Zeilen, die mit > beginnen)',
+        'quote.reason.quoteClasses': 'Enthält Elemente mit zitatbezogenen CSS-Klassen',
+        'quote.reason.quoteAttributes': 'Enthält Elemente mit zitatbezogenen Attributen',
+
+        'comments.title': 'Kommentare',
+        'comments.add': 'Kommentieren',
+        'comments.placeholder': 'Kommentar schreiben…',
+        'comments.reply': 'Antworten',
+        'comments.replyPlaceholder': 'Antworten…',
+        'comments.save': 'Speichern',
+        'comments.cancel': 'Abbrechen',
+        'comments.resolve': 'Erledigt',
+        'comments.reopen': 'Wieder öffnen',
+        'comments.delete': 'Löschen',
+        'comments.showResolved': 'Erledigte anzeigen',
+        'comments.empty': 'Noch keine Kommentare. Text markieren und Kommentieren wählen.',
+        'comments.detached': 'Der kommentierte Text wurde entfernt',
+        'suggestions.label': 'Vorschlag',
+        'suggestions.insert': 'Einfügung',
+        'suggestions.delete': 'Löschung',
+        'suggestions.format': 'Formatierung: {formats}',
+        'suggestions.accept': 'Annehmen',
+        'suggestions.reject': 'Ablehnen',
+        'revisions.title': 'Versionsverlauf',
+        'revisions.create': 'Version speichern',
+        'revisions.labelPlaceholder': 'Versionsname (optional)',
+        'revisions.current': 'Aktuelles Dokument',
+        'revisions.untitled': 'Unbenannte Version',
+        'revisions.compareTo': 'Vergleichen mit',
+        'revisions.restore': 'Diese Version wiederherstellen',
+        'revisions.close': 'Schließen',
+        'revisions.empty': 'Noch keine gespeicherten Versionen.',
+        'revisions.noChanges': 'Keine Änderungen zwischen diesen Versionen.',
+        'mentions.label': 'Erwähnungsvorschläge',
+        'mentions.loading': 'Suche…',
+        'mentions.empty': 'Keine Treffer',
+        'commands.label': 'Befehle',
+        'commands.empty': 'Keine passenden Befehle',
+        'commands.normal': 'Normaler Text',
+        'commands.heading': 'Überschrift {level}',
+        'commands.bold': 'Fett',
+        'commands.italic': 'Kursiv',
+        'commands.underline': 'Unterstrichen',
+        'commands.strike': 'Durchgestrichen',
+        'commands.code': 'Inline-Code',
+        'commands.subscript': 'Tiefgestellt',
+        'commands.superscript': 'Hochgestellt',
+        'commands.orderedList': 'Nummerierte Liste',
+        'commands.bulletList': 'Aufzählung',
+        'commands.checklist': 'Checkliste',
+        'commands.blockquote': 'Blockzitat',
+        'commands.codeBlock': 'Codeblock',
+        'commands.indent': 'Einzug vergrößern',
+        'commands.outdent': 'Einzug verkleinern',
+        'commands.alignLeft': 'Linksbündig',
+        'commands.alignCenter': 'Zentriert',
+        'commands.alignRight': 'Rechtsbündig',
+        'commands.alignJustify': 'Blocksatz',
+        'commands.rtl': 'Rechts nach links',
+        'commands.clean': 'Formatierung entfernen',
+        'commands.quote': 'Zitat…',
+        'commands.suggest': 'Änderungen vorschlagen',
+        'commands.format': '{format}: {value}',
+        'autosave.available': 'Ein neuerer Entwurf vom {date} ist verfügbar.',
+        'autosave.restore': 'Entwurf wiederherstellen',
+        'autosave.discard': 'Verwerfen'
+    },
+
+    ja: {
+        'editor.placeholder': '入力を始めてください...',
+        'editor.placeholderSimple': 'ここに入力...',
+        'editor.placeholderBubble': 'クリックして入力を開始...',
+
+        'wordCount.words': '単語数: {count}',
+        'wordCount.wordsOfMax': '単語数: {count}/{max}',
+        'wordCount.chars': '文字数: {count}',
+        'wordCount.charsOfMax': '文字数: {count}/{max}',
+        'wordCount.charsNoSpaces': '文字数（空白を除く）: {count}',
+
+        'statistics.readingTime': '読了時間',
+        'statistics.speakingTime': '音読時間',
+        'statistics.sentences': '文',
+        'statistics.paragraphs': '段落',
+        'statistics.averageSentenceLength': '平均文長',
+        'statistics.readability': '読みやすさ',
+        'statistics.sections': 'セクション',
+        'statistics.section': 'セクション',
+        'statistics.words': '単語数',
+        'statistics.introduction': '導入',
+        'statistics.wordCount': { other: '{count} 語' },
+        'duration.seconds': { other: '{count} 秒' },
+        'duration.minutes': { other: '{count} 分' },
+
+        'quote.dialog.insertTitle': '引用を挿入',
+        'quote.dialog.editTitle': '引用を編集',
+        'quote.dialog.insert': '挿入',
+        'quote.dialog.save': '保存',
+        'quote.dialog.cancel': 'キャンセル',
+        'quote.dialog.content': '引用',
+        'quote.dialog.contentPlaceholder': '引用文を入力...',
+        'quote.dialog.author': '著者',
+        'quote.dialog.authorPlaceholder': '著者（任意）',
+        'quote.dialog.citation': '出典（任意）',
+        'quote.dialog.sourceTitle': '出典のタイトル',
+        'quote.dialog.sourceUrl': '出典のURL',
+        'quote.dialog.date': '発行日',
+        'quote.dialog.locator': 'ページまたは位置',
+        'quote.dialog.hint': 'Ctrl+Enterで保存、Escapeでキャンセルします。',
+        'quote.delete': '引用を削除',
+
+        'quote.error.noCursor': '引用を挿入する位置にカーソルを置いてください',
+        'quote.error.noSelection': '引用にするテキストを選択してください',
+        'quote.error.nested': '引用の中に引用を入れることはできません',
+        'quote.error.nestedPaste': '引用の中に引用を貼り付けることはできません',
+        'quote.error.invalidPosition': '引用の位置が正しくありません',
+        'quote.error.invalidUrl': '出典のURLは相対パス、またはhttp(s)、mailto、telのリンクにしてください',
+        'quote.error.notFound': '引用が見つかりません',
+        'quote.error.insertFailed': '引用を挿入できませんでした',
+        'quote.error.invalidContent': '引用を挿入できません: {reasons}',
+        'quote.error.invalidContentUnknown': '引用の内容が正しくありません',
+
+        'quote.reason.quoteBlocks': '引用ブロックが含まれています',
+        'quote.reason.blockquotes': 'HTMLのblockquote要素が含まれています',
+        'quote.reason.quoteMarkers': '引用記号（>で始まる行）が含まれています',
+        'quote.reason.quoteClasses': '引用用のCSSクラスを持つ要素が含まれています',
+        'quote.reason.quoteAttributes': '引用用の属性を持つ要素が含まれています',
+
+        'comments.title': 'コメント',
+        'comments.add': 'コメント',
+        'comments.placeholder': 'コメントを入力…',
+        'comments.reply': '返信',
+        'comments.replyPlaceholder': '返信…',
+        'comments.save': '保存',
+        'comments.cancel': 'キャンセル',
+        'comments.resolve': '解決',
+        'comments.reopen': '再開',
+        'comments.delete': '削除',
+        'comments.showResolved': '解決済みを表示',
+        'comments.empty': 'コメントはまだありません。テキストを選択して「コメント」を選んでください。',
+        'comments.detached': 'コメント対象のテキストは削除されました',
+        'suggestions.label': '提案',
+        'suggestions.insert': '挿入',
+        'suggestions.delete': '削除',
+        'suggestions.format': '書式: {formats}',
+        'suggestions.accept': '承認',
+        'suggestions.reject': '却下',
+        'revisions.title': '版の履歴',
+        'revisions.create': '版を保存',
+        'revisions.labelPlaceholder': '版の名前（任意）',
+        'revisions.current': '現在のドキュメント',
+        'revisions.untitled': '無題の版',
+        'revisions.compareTo': '比較対象',
+        'revisions.restore': 'この版に戻す',
+        'revisions.close': '閉じる',
+        'revisions.empty': '保存された版はまだありません。',
+        'revisions.noChanges': 'これらの版の間に変更はありません。',
+        'mentions.label': 'メンション候補',
+        'mentions.loading': '検索中…',
+        'mentions.empty': '一致するものがありません',
+        'commands.label': 'コマンド',
+        'commands.empty': '一致するコマンドがありません',
+        'commands.normal': '標準テキスト',
+        'commands.heading': '見出し {level}',
+        'commands.bold': '太字',
+        'commands.italic': '斜体',
+        'commands.underline': '下線',
+        'commands.strike': '取り消し線',
+        'commands.code': 'インラインコード',
+        'commands.subscript': '下付き',
+        'commands.superscript': '上付き',
+        'commands.orderedList': '番号付きリスト',
+        'commands.bulletList': '箇条書き',
+        'commands.checklist': 'チェックリスト',
+        'commands.blockquote': 'ブロック引用',
+        'commands.codeBlock': 'コードブロック',
+        'commands.indent': 'インデント',
+        'commands.outdent': 'インデント解除',
+        'commands.alignLeft': '左揃え',
+        'commands.alignCenter': '中央揃え',
+        'commands.alignRight': '右揃え',
+        'commands.alignJustify': '両端揃え',
+        'commands.rtl': '右から左',
+        'commands.clean': '書式をクリア',
+        'commands.quote': '引用…',
+        'commands.suggest': '変更を提案',
+        'commands.format': '{format}: {value}',
+        'autosave.available': '{date}の新しい下書きがあります。',
+        'autosave.restore': '下書きを復元',
+        'autosave.discard': '破棄'
+    },
+
+    ar: {
+        'editor.placeholder': 'ابدأ الكتابة...',
+        'editor.placeholderSimple': 'اكتب هنا...',
+        'editor.placeholderBubble': 'انقر لبدء الكتابة...',
+
+        'wordCount.words': 'الكلمات: {count}',
+        'wordCount.wordsOfMax': 'الكلمات: {count}/{max}',
+        'wordCount.chars': 'الأحرف: {count}',
+        'wordCount.charsOfMax': 'الأحرف: {count}/{max}',
+        'wordCount.charsNoSpaces': 'الأحرف (دون مسافات): {count}',
+
+        'statistics.readingTime': 'وقت القراءة',
+        'statistics.speakingTime': 'وقت الإلقاء',
+        'statistics.sentences': 'الجمل',
+        'statistics.paragraphs': 'الفقرات',
+        'statistics.averageSentenceLength': 'متوسط طول الجملة',
+        'statistics.readability': 'سهولة القراءة',
+        'statistics.sections': 'الأقسام',
+        'statistics.section': 'القسم',
+        'statistics.words': 'الكلمات',
+        'statistics.introduction': 'المقدمة',
+        'statistics.wordCount': {
+            zero: '{count} كلمة',
+            one: 'كلمة واحدة',
+            two: 'كلمتان',
+            few: '{count} كلمات',
+            many: '{count} كلمة',
+            other: '{count} كلمة'
+        },
+        'duration.seconds': {
+            zero: '{count} ثانية',
+            one: 'ثانية واحدة',
+            two: 'ثانيتان',
+            few: '{count} ثوانٍ',
+            many: '{count} ثانية',
+            other: '{count} ثانية'
+        },
+        'duration.minutes': {
+            zero: '{count} دقيقة',
+            one: 'دقيقة واحدة',
+            two: 'دقيقتان',
+            few: '{count} دقائق',
+            many: '{count} دقيقة',
+            other: '{count} دقيقة'
+        },
+
+        'quote.dialog.insertTitle': 'إدراج اقتباس',
+        'quote.dialog.editTitle': 'تعديل الاقتباس',
+        'quote.dialog.insert': 'إدراج',
+        'quote.dialog.save': 'حفظ',
+        'quote.dialog.cancel': 'إلغاء',
+        'quote.dialog.content': 'الاقتباس',
+        'quote.dialog.contentPlaceholder': 'أدخل نص الاقتباس...',
+        'quote.dialog.author': 'المؤلف',
+        'quote.dialog.authorPlaceholder': 'المؤلف (اختياري)',
+        'quote.dialog.citation': 'المصدر (اختياري)',
+        'quote.dialog.sourceTitle': 'عنوان المصدر',
+        'quote.dialog.sourceUrl': 'رابط المصدر',
+        'quote.dialog.date': 'تاريخ النشر',
+        'quote.dialog.locator': 'الصفحة أو الموضع',
+        'quote.dialog.hint': 'اضغط Ctrl+Enter للحفظ أو Escape للإلغاء.',
+        'quote.delete': 'حذف الاقتباس',
+
+        'quote.error.noCursor': 'ضع المؤشر في المكان الذي تريد إدراج الاقتباس فيه',
+        'quote.error.noSelection': 'حدد النص الذي تريد تحويله إلى اقتباس',
+        'quote.error.nested': 'لا يمكن وضع اقتباس داخل اقتباس آخر',
+        'quote.error.nestedPaste': 'لا يمكن لصق اقتباسات داخل اقتباس',
+        'quote.error.invalidPosition': 'موضع الاقتباس غير صالح',
+        'quote.error.invalidUrl': 'يجب أن يكون رابط المصدر مسارًا نسبيًا أو رابط http(s) أو mailto أو tel',
+        'quote.error.notFound': 'لم يتم العثور على الاقتباس',
+        'quote.error.insertFailed': 'تعذر إدراج الاقتباس',
+        'quote.error.invalidContent': 'لا يمكن إدراج الاقتباس: {reasons}',
+        'quote.error.invalidContentUnknown': 'محتوى الاقتباس غير صالح',
+
+        'quote.reason.quoteBlocks': 'يحتوي على كتل اقتباس',
+        'quote.reason.blockquotes': 'يحتوي على عناصر HTML من نوع blockquote',
+        'quote.reason.quoteMarkers': 'يحتوي على علامات اقتباس (أسطر تبدأ بـ >)',
+        'quote.reason.quoteClasses': 'يحتوي على عناصر بفئات CSS خاصة بالاقتباس',
+        'quote.reason.quoteAttributes': 'يحتوي على عناصر بسمات خاصة بالاقتباس',
+
+        'comments.title': 'التعليقات',
+        'comments.add': 'تعليق',
+        'comments.placeholder': 'اكتب تعليقًا…',
+        'comments.reply': 'رد',
+        'comments.replyPlaceholder': 'اكتب ردًا…',
+        'comments.save': 'حفظ',
+        'comments.cancel': 'إلغاء',
+        'comments.resolve': 'حل',
+        'comments.reopen': 'إعادة فتح',
+        'comments.delete': 'حذف',
+        'comments.showResolved': 'إظهار المحلولة',
+        'comments.empty': 'لا توجد تعليقات بعد. حدد نصًا واختر تعليق.',
+        'comments.detached': 'تمت إزالة النص المعلق عليه',
+        'suggestions.label': 'اقتراح',
+        'suggestions.insert': 'إدراج',
+        'suggestions.delete': 'حذف',
+        'suggestions.format': 'تنسيق: {formats}',
+        'suggestions.accept': 'قبول',
+        'suggestions.reject': 'رفض',
+        'revisions.title': 'سجل الإصدارات',
+        'revisions.create': 'حفظ الإصدار',
+        'revisions.labelPlaceholder': 'اسم الإصدار (اختياري)',
+        'revisions.current': 'المستند الحالي',
+        'revisions.untitled': 'إصدار بلا عنوان',
+        'revisions.compareTo': 'مقارنة مع',
+        'revisions.restore': 'استعادة هذا الإصدار',
+        'revisions.close': 'إغلاق',
+        'revisions.empty': 'لا توجد إصدارات محفوظة بعد.',
+        'revisions.noChanges': 'لا توجد تغييرات بين هذين الإصدارين.',
+        'mentions.label': 'اقتراحات الإشارة',
+        'mentions.loading': 'جارٍ البحث…',
+        'mentions.empty': 'لا توجد نتائج',
+        'commands.label': 'الأوامر',
+        'commands.empty': 'لا توجد أوامر مطابقة',
+        'commands.normal': 'نص عادي',
+        'commands.heading': 'عنوان {level}',
+        'commands.bold': 'غامق',
+        'commands.italic': 'مائل',
+        'commands.underline': 'تسطير',
+        'commands.strike': 'يتوسطه خط',
+        'commands.code': 'رمز ضمن السطر',
+        'commands.subscript': 'منخفض',
+        'commands.superscript': 'مرتفع',
+        'commands.orderedList': 'قائمة مرقمة',
+        'commands.bulletList': 'قائمة نقطية',
+        'commands.checklist': 'قائمة مهام',
+        'commands.blockquote': 'اقتباس كتلة',
+        'commands.codeBlock': 'كتلة رمز',
+        'commands.indent': 'زيادة المسافة البادئة',
+        'commands.outdent': 'إنقاص المسافة البادئة',
+        'commands.alignLeft': 'محاذاة لليسار',
+        'commands.alignCenter': 'توسيط',
+        'commands.alignRight': 'محاذاة لليمين',
+        'commands.alignJustify': 'ضبط',
+        'commands.rtl': 'من اليمين إلى اليسار',
+        'commands.clean': 'مسح التنسيق',
+        'commands.quote': 'اقتباس…',
+        'commands.suggest': 'اقتراح تغييرات',
+        'commands.format': '{format}: {value}',
+        'autosave.available': 'تتوفر مسودة أحدث من {date}.',
+        'autosave.restore': 'استعادة المسودة',
+        'autosave.discard': 'تجاهل'
+    }
+};
+
+/**
+ * PUBLIC: Translator Class
+ * Resolves messages for one locale: exact locale, then its language, then English
+ */
+class Translator {
+    /**
+     * @param {Object} options - { locale, messages }
+     *   locale: BCP 47 tag such as 'fr' or 'ar-EG' (default 'en')
+     *   messages: message keys to override for this translator
+     */
+    constructor(options = {}) {
+        this.locale = Translator.resolveLocale(options.locale || DEFAULT_LOCALE);
+        this.language = this.locale.split('-')[0].toLowerCase();
+        this.dir = RTL_LANGUAGES.includes(this.language) ? 'rtl' : 'ltr';
+        this.messages = {
+            ...MESSAGES[DEFAULT_LOCALE],
+            ...MESSAGES[this.language],
+            ...MESSAGES[this.locale],
+            ...options.messages
+        };
+        this.pluralRules = new Intl.PluralRules(this.locale);
+        this.numberFormat = new Intl.NumberFormat(this.locale);
+        this.listFormat = typeof Intl.ListFormat === 'function'
+            ? new Intl.ListFormat(this.locale, { type: 'conjunction', style: 'narrow' })
+            : null;
+    }
+
+    /**
+     * PUBLIC: Translate a message key
+     * Numbers are formatted for the locale; a count parameter selects the plural form
+     * @param {string} key - Message key, e.g. 'wordCount.words'
+     * @param {Object} params - Values for {placeholders}
+     * @returns {string} The message, or the key when no pack defines it
+     */
+    t(key, params = {}) {
+        let message = this.messages[key];
+        if (message === undefined) {
+            return key;
+        }
+
+        if (typeof message === 'object') {
+            const category = typeof params.count === 'number' ? this.pluralRules.select(params.count) : 'other';
+            message = message[category] !== undefined ? message[category] : message.other;
+        }
+
+        return String(message).replace(/\{(\w+)\}/g, (match, name) => {
+            const value = params[name];
+            if (value === undefined || value === null) {
+                return match;
+            }
+            return typeof value === 'number' ? this.formatNumber(value) : String(value);
+        });
+    }
+
+    /**
+     * PUBLIC: Format a number for the locale
+     * @param {number} value - Number to format
+     * @returns {string} e.g. "1,234" in English or "١٬٢٣٤" in Arabic
+     */
+    formatNumber(value) {
+        return this.numberFormat.format(value);
+    }
+
+    /**
+     * PUBLIC: Join items into a list for the locale
+     * @param {Array<string>} items - Items to join
+     * @returns {string} e.g. "a, b, c"
+     */
+    list(items) {
+        return this.listFormat ? this.listFormat.format(items) : items.join(', ');
+    }
+
+    /**
+     * PUBLIC: Add or override messages for a locale in every translator created afterwards
+     * @param {string} locale - Locale or language, e.g. 'pt-BR' or 'pt'
+     * @param {Object} messages - Message keys and values
+     */
+    static register(locale, messages) {
+        MESSAGES[locale] = { ...MESSAGES[locale], ...messages };
+    }
+
+    /**
+     * PUBLIC: Locales with a bundled or registered pack
+     * @returns {Array<string>} Locale tags
+     */
+    static getLocales() {
+        return Object.keys(MESSAGES);
+    }
+
+    // PRIVATE: Internal methods (not part of public API)
+    static resolveLocale(locale) {
+        try {
+            return Intl.getCanonicalLocales(locale)[0];
+        } catch (error) {
+            console.warn(`Translator: Invalid locale "${locale}", using "${DEFAULT_LOCALE}"`);
+            return DEFAULT_LOCALE;
+        }
+    }
+}
+
+export default Translator;
+export { Translator };
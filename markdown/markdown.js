@@ -0,0 +1,642 @@
+/**
+ * Markdown Converter
+ * Converts between Quill Deltas and Markdown, including quote blots
+ * ES6 Module version for React projects
+ */
+
+const INDENT = '    ';
+const ESCAPABLE = /[\\`*_\[\]<>]/g;
+const LIST_ITEM = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const HEADER = /^(#{1,6})\s+(.*)$/;
+const FENCE = /^\s*```/;
+const QUOTE_AUTHOR = /^[—–]\s*(.*)$/;
+
+/**
+ * PUBLIC: Markdown Converter Class
+ * Works on plain `{ ops }` objects so it can run without a DOM
+ */
+class MarkdownConverter {
+    /**
+     * Convert a Delta (or `{ ops }` object) to Markdown
+     * @param {Object} delta - Quill document Delta
+     * @returns {string} Markdown source
+     */
+    static toMarkdown(delta) {
+        const lines = this.splitLines(delta && delta.ops ? delta.ops : []);
+        const blocks = [];
+        let previous = null;
+
+        lines.forEach(line => {
+            const kind = this.getLineKind(line);
+            let text;
+
+            if (kind === 'quote') {
+                text = this.quoteToMarkdown(line.value);
+            } else if (kind === 'code') {
+                text = line.ops.map(op => op.insert).join('');
+            } else {
+                text = this.renderInline(line.ops);
+            }
+
+            // Consecutive lines of the same kind share one Markdown block
+            if (previous === kind && (kind === 'code' || kind === 'list' || kind === 'blockquote')) {
+                const block = blocks[blocks.length - 1];
+                if (kind === 'code') {
+                    block.lines.push(text);
+                } else if (kind === 'list') {
+                    block.lines.push(this.listItemPrefix(line.attributes) + text);
+                } else {
+                    block.lines.push('>', `> ${text}`.trimEnd());
+                }
+                return;
+            }
+
+            if (kind === 'code') {
+                blocks.push({ kind, lines: [text] });
+            } else if (kind === 'list') {
+                blocks.push({ kind, lines: [this.listItemPrefix(line.attributes) + text] });
+            } else if (kind === 'blockquote') {
+                blocks.push({ kind, lines: [`> ${text}`.trimEnd()] });
+            } else if (kind === 'header') {
+                blocks.push({ kind, lines: [`${'#'.repeat(line.attributes.header)} ${text}`] });
+            } else if (kind === 'quote') {
+                blocks.push({ kind, lines: [text] });
+            } else {
+                blocks.push({ kind, lines: [text.trim() ? this.escapeLineStart(text) : '<br>'] });
+            }
+            previous = kind;
+        });
+
+        // Drop the trailing empty paragraph every Quill document ends with
+        while (blocks.length > 0 &&
+               blocks[blocks.length - 1].kind === 'paragraph' &&
+               blocks[blocks.length - 1].lines[0] === '<br>') {
+            blocks.pop();
+        }
+
+        return blocks.map(block => {
+            if (block.kind === 'code') {
+                return ['```', ...block.lines, '```'].join('\n');
+            }
+            return block.lines.join('\n');
+        }).join('\n\n') + (blocks.length > 0 ? '\n' : '');
+    }
+
+    /**
+     * Convert Markdown to a Delta-compatible `{ ops }` object
+     * @param {string} markdown - Markdown source
+     * @returns {Object} Object with an `ops` array
+     */
+    static fromMarkdown(markdown) {
+        const lines = String(markdown || '').replace(/\r\n?/g, '\n').split('\n');
+        const ops = [];
+        let listStack = [];
+        let i = 0;
+
+        while (i < lines.length) {
+            const line = lines[i];
+
+            if (!line.trim()) {
+                i++;
+                continue;
+            }
+
+            if (FENCE.test(line)) {
+                i++;
+                while (i < lines.length && !FENCE.test(lines[i])) {
+                    this.pushOp(ops, lines[i]);
+                    this.pushOp(ops, '\n', { 'code-block': true });
+                    i++;
+                }
+                i++;
+                listStack = [];
+                continue;
+            }
+
+            if (/^\s*>/.test(line)) {
+                const quoted = [];
+                while (i < lines.length && /^\s*>/.test(lines[i])) {
+                    quoted.push(lines[i].replace(/^\s*>\s?/, ''));
+                    i++;
+                }
+                this.pushQuoteGroup(ops, quoted);
+                listStack = [];
+                continue;
+            }
+
+            const header = line.match(HEADER);
+            if (header) {
+                this.pushInline(ops, header[2].trim());
+                this.pushOp(ops, '\n', { header: header[1].length });
+                i++;
+                listStack = [];
+                continue;
+            }
+
+            const item = line.match(LIST_ITEM);
+            if (item) {
+                const width = item[1].replace(/\t/g, INDENT).length;
+                while (listStack.length > 0 && listStack[listStack.length - 1] > width) {
+                    listStack.pop();
+                }
+                if (listStack.length === 0 || listStack[listStack.length - 1] < width) {
+                    listStack.push(width);
+                }
+
+                let list = /\d/.test(item[2]) ? 'ordered' : 'bullet';
+                let text = item[3];
+                const check = text.match(/^\[([ xX])\]\s+(.*)$/);
+                if (check && list === 'bullet') {
+                    list = check[1] === ' ' ? 'unchecked' : 'checked';
+                    text = check[2];
+                }
+
+                const attributes = { list };
+                if (listStack.length > 1) {
+                    attributes.indent = listStack.length - 1;
+                }
+                this.pushInline(ops, text);
+                this.pushOp(ops, '\n', attributes);
+                i++;
+                continue;
+            }
+
+            listStack = [];
+
+            if (/^\s*<br\s*\/?>\s*$/i.test(line)) {
+                this.pushOp(ops, '\n');
+                i++;
+                continue;
+            }
+
+            // Plain paragraph: gather lines until a blank line or another block
+            const paragraph = [];
+            while (i < lines.length && lines[i].trim() && !this.isBlockStart(lines[i])) {
+                paragraph.push(lines[i].trim());
+                i++;
+            }
+            this.pushInline(ops, paragraph.join(' '));
+            this.pushOp(ops, '\n');
+        }
+
+        if (ops.length === 0 || !/\n$/.test(typeof ops[ops.length - 1].insert === 'string' ? ops[ops.length - 1].insert : '')) {
+            this.pushOp(ops, '\n');
+        }
+
+        return { ops };
+    }
+
+    // INTERNAL: Delta → Markdown helpers
+    static splitLines(ops) {
+        const lines = [];
+        let current = [];
+
+        ops.forEach(op => {
+            if (typeof op.insert !== 'string') {
+                if (op.insert && op.insert.quote !== undefined) {
+                    if (current.length > 0) {
+                        lines.push({ ops: current, attributes: {} });
+                        current = [];
+                    }
+                    lines.push({ ops: [], attributes: {}, value: op.insert.quote });
+                } else {
+                    current.push(op);
+                }
+                return;
+            }
+
+            const parts = op.insert.split('\n');
+            parts.forEach((part, index) => {
+                if (part) {
+                    current.push({ insert: part, attributes: op.attributes });
+                }
+                if (index < parts.length - 1) {
+                    lines.push({ ops: current, attributes: op.attributes || {} });
+                    current = [];
+                }
+            });
+        });
+
+        if (current.length > 0) {
+            lines.push({ ops: current, attributes: {} });
+        }
+
+        return lines;
+    }
+
+    static getLineKind(line) {
+        const attributes = line.attributes;
+        if (line.value !== undefined) return 'quote';
+        if (attributes['code-block']) return 'code';
+        if (attributes.list) return 'list';
+        if (attributes.blockquote) return 'blockquote';
+        if (attributes.header) return 'header';
+        return 'paragraph';
+    }
+
+    static listItemPrefix(attributes) {
+        const indent = INDENT.repeat(attributes.indent || 0);
+        switch (attributes.list) {
+            case 'ordered': return `${indent}1. `;
+            case 'checked': return `${indent}- [x] `;
+            case 'unchecked': return `${indent}- [ ] `;
+            default: return `${indent}- `;
+        }
+    }
+
+    static renderInline(ops) {
+        let output = '';
+        let index = 0;
+
+        while (index < ops.length) {
+            const link = ops[index].attributes && ops[index].attributes.link;
+            if (!link) {
+                output += this.renderSegment(ops[index]);
+                index++;
+                continue;
+            }
+
+            // Group consecutive runs that share a link into one [text](url)
+            let inner = '';
+            while (index < ops.length && ops[index].attributes && ops[index].attributes.link === link) {
+                inner += this.renderSegment(ops[index]);
+                index++;
+            }
+            output += `[${inner}](${link.replace(/[()\s]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`)})`;
+        }
+
+        return output;
+    }
+
+    static renderSegment(op) {
+        const attributes = op.attributes || {};
+
+        if (typeof op.insert !== 'string') {
+            if (op.insert && op.insert.mention) {
+                return `${op.insert.mention.denotation || '@'}${op.insert.mention.label || ''}`.replace(ESCAPABLE, '\\$&');
+            }
+            return op.insert && op.insert.image ? `![](${op.insert.image})` : '';
+        }
+
+        const match = op.insert.match(/^(\s*)([\s\S]*?)(\s*)$/);
+        let core = match[2];
+        if (!core) {
+            return op.insert;
+        }
+
+        if (attributes.code) {
+            const fence = core.includes('`') ? '``' : '`';
+            core = `${fence}${core}${fence}`;
+        } else {
+            core = core.replace(ESCAPABLE, '\\$&');
+        }
+        if (attributes.script === 'sub') core = `<sub>${core}</sub>`;
+        if (attributes.script === 'super') core = `<sup>${core}</sup>`;
+        if (attributes.underline) core = `<u>${core}</u>`;
+        if (attributes.italic) core = `*${core}*`;
+        if (attributes.bold) core = `**${core}**`;
+
+        return match[1] + core + match[3];
+    }
+
+    static escapeLineStart(text) {
+        return text.replace(/^(\s*)(#|>|[-+]\s|\d+(?=[.)]\s)|```|<br)/, (all, space, marker) => {
+            if (/^\d+$/.test(marker)) {
+                return `${space}${marker}\\`;
+            }
+            return `${space}\\${marker}`;
+        });
+    }
+
+    static quoteToMarkdown(value) {
+        const quote = value && typeof value === 'object' ? value : {};
+        const paragraphs = this.htmlToParagraphs(quote.content || '');
+        const lines = [];
+
+        paragraphs.forEach((paragraph, index) => {
+            if (index > 0) {
+                lines.push('>');
+            }
+            lines.push(`> ${paragraph.replace(/^[—–]/, '\\$&')}`.trimEnd());
+        });
+        lines.push(`> — ${quote.author || ''}`.trimEnd());
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Convert the limited HTML stored in quote content to Markdown paragraphs.
+     * Quote content is produced by the quote dialog, so a tag scanner is enough.
+     */
+    static htmlToParagraphs(html) {
+        const paragraphs = [];
+        let current = '';
+        let link = null;
+        const tagPattern = /<\/?([a-z0-9]+)([^>]*)>|([^<]+)/gi;
+        let match;
+
+        while ((match = tagPattern.exec(html)) !== null) {
+            if (match[3] !== undefined) {
+                current += this.decodeEntities(match[3]).replace(ESCAPABLE, '\\$&');
+                continue;
+            }
+
+            const tag = match[1].toLowerCase();
+            const closing = match[0].startsWith('</');
+
+            switch (tag) {
+                case 'p':
+                case 'div':
+                case 'br':
+                    if (closing || tag === 'br') {
+                        if (current.trim()) paragraphs.push(current.trim());
+                        current = '';
+                    }
+                    break;
+                case 'strong':
+                case 'b':
+                    current += '**';
+                    break;
+                case 'em':
+                case 'i':
+                    current += '*';
+                    break;
+                case 'u':
+                case 'sub':
+                case 'sup':
+                    current += closing ? `</${tag}>` : `<${tag}>`;
+                    break;
+                case 'code':
+                    current += '`';
+                    break;
+                case 'a':
+                    if (closing) {
+                        current += link !== null ? `](${link})` : '';
+                        link = null;
+                    } else {
+                        const href = match[2].match(/href\s*=\s*["']([^"']*)["']/i);
+                        link = href ? this.decodeEntities(href[1]) : '';
+                        current += '[';
+                    }
+                    break;
+                default:
+                    break;
+            }
+        }
+
+        if (current.trim()) {
+            paragraphs.push(current.trim());
+        }
+        return paragraphs;
+    }
+
+    static decodeEntities(text) {
+        return text
+            .replace(/&nbsp;/g, ' ')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&#39;/g, "'")
+            .replace(/&amp;/g, '&');
+    }
+
+    // INTERNAL: Markdown → Delta helpers
+    static isBlockStart(line) {
+        return FENCE.test(line) ||
+            /^\s*>/.test(line) ||
+            HEADER.test(line) ||
+            LIST_ITEM.test(line) ||
+            /^\s*<br\s*\/?>\s*$/i.test(line);
+    }
+
+    static pushQuoteGroup(ops, quoted) {
+        while (quoted.length > 0 && !quoted[quoted.length - 1].trim()) {
+            quoted.pop();
+        }
+
+        const last = quoted.length > 0 ? quoted[quoted.length - 1].trim() : '';
+        const author = last.match(QUOTE_AUTHOR);
+        const paragraphs = this.groupParagraphs(author ? quoted.slice(0, -1) : quoted);
+
+        if (author) {
+            const content = paragraphs
+                .map(paragraph => `<p>${this.inlineToHtml(paragraph)}</p>`)
+                .join('');
+            ops.push({ insert: { quote: { content, author: author[1].trim() } } });
+            return;
+        }
+
+        paragraphs.forEach(paragraph => {
+            this.pushInline(ops, paragraph);
+            this.pushOp(ops, '\n', { blockquote: true });
+        });
+    }
+
+    static groupParagraphs(lines) {
+        const paragraphs = [];
+        let current = [];
+
+        lines.forEach(line => {
+            if (line.trim()) {
+                current.push(line.trim());
+            } else if (current.length > 0) {
+                paragraphs.push(current.join(' '));
+                current = [];
+            }
+        });
+        if (current.length > 0) {
+            paragraphs.push(current.join(' '));
+        }
+
+        return paragraphs;
+    }
+
+    static pushOp(ops, insert, attributes) {
+        const last = ops[ops.length - 1];
+        const hasAttributes = attributes && Object.keys(attributes).length > 0;
+
+        if (last && typeof last.insert === 'string' && typeof insert === 'string' &&
+            JSON.stringify(last.attributes || {}) === JSON.stringify(hasAttributes ? attributes : {})) {
+            last.insert += insert;
+            return;
+        }
+
+        const op = { insert };
+        if (hasAttributes) {
+            op.attributes = { ...attributes };
+        }
+        ops.push(op);
+    }
+
+    static pushInline(ops, text) {
+        this.parseInline(text).forEach(op => this.pushOp(ops, op.insert, op.attributes));
+    }
+
+    /**
+     * Tokenize inline Markdown into Delta ops.
+     * Emphasis markers toggle formats, which round-trips the output of renderSegment.
+     */
+    static parseInline(text, baseAttributes = {}) {
+        const ops = [];
+        const attributes = { ...baseAttributes };
+        let i = 0;
+
+        const emit = (insert) => this.pushOp(ops, insert, attributes);
+        const toggle = (name, value = true) => {
+            if (attributes[name] === value) {
+                delete attributes[name];
+            } else {
+                attributes[name] = value;
+            }
+        };
+
+        while (i < text.length) {
+            const rest = text.slice(i);
+            const char = text[i];
+
+            if (char === '\\' && i + 1 < text.length && !/[a-z0-9\s]/i.test(text[i + 1])) {
+                emit(text[i + 1]);
+                i += 2;
+                continue;
+            }
+
+            if (char === '`') {
+                const fence = rest.startsWith('``') ? '``' : '`';
+                const end = text.indexOf(fence, i + fence.length);
+                if (end !== -1) {
+                    this.pushOp(ops, text.slice(i + fence.length, end), { ...attributes, code: true });
+                    i = end + fence.length;
+                    continue;
+                }
+            }
+
+            if (char === '*' || char === '_') {
+                const marker = rest.startsWith(char + char) ? char + char : char;
+                const name = marker.length === 2 ? 'bold' : 'italic';
+                const before = text[i - 1] || ' ';
+                const after = text[i + marker.length] || ' ';
+                const opening = !attributes[name] && !/\s/.test(after) &&
+                    (char === '*' || !/[a-z0-9]/i.test(before));
+                const closing = attributes[name] && !/\s/.test(before) &&
+                    (char === '*' || !/[a-z0-9]/i.test(after));
+                if (opening || closing) {
+                    toggle(name);
+                    i += marker.length;
+                    continue;
+                }
+            }
+
+            const tag = rest.match(/^<(\/?)(u|sub|sup)>/i);
+            if (tag) {
+                const name = tag[2].toLowerCase();
+                if (name === 'u') {
+                    if (tag[1]) delete attributes.underline;
+                    else attributes.underline = true;
+                } else if (tag[1]) {
+                    delete attributes.script;
+                } else {
+                    attributes.script = name === 'sub' ? 'sub' : 'super';
+                }
+                i += tag[0].length;
+                continue;
+            }
+
+            const autolink = rest.match(/^<((?:https?|mailto):[^>\s]+)>/i);
+            if (autolink) {
+                this.pushOp(ops, autolink[1], { ...attributes, link: autolink[1] });
+                i += autolink[0].length;
+                continue;
+            }
+
+            const image = rest.match(/^!\[[^\]]*\]\(([^)\s]+)\)/);
+            if (image) {
+                ops.push({ insert: { image: image[1] } });
+                i += image[0].length;
+                continue;
+            }
+
+            if (char === '[') {
+                const link = this.matchLink(text, i);
+                if (link) {
+                    this.parseInline(link.label, { ...attributes, link: link.url })
+                        .forEach(op => this.pushOp(ops, op.insert, op.attributes));
+                    i = link.end;
+                    continue;
+                }
+            }
+
+            emit(char);
+            i++;
+        }
+
+        return ops;
+    }
+
+    static matchLink(text, start) {
+        let depth = 0;
+        let i = start;
+
+        for (; i < text.length; i++) {
+            if (text[i] === '\\') {
+                i++;
+            } else if (text[i] === '[') {
+                depth++;
+            } else if (text[i] === ']') {
+                depth--;
+                if (depth === 0) break;
+            }
+        }
+
+        if (depth !== 0) {
+            return null;
+        }
+
+        const target = text.slice(i + 1).match(/^\(([^)\s]*)(?:\s+"[^"]*")?\)/);
+        if (!target) {
+            return null;
+        }
+
+        let url = target[1];
+        try {
+            url = decodeURIComponent(url);
+        } catch (error) {
+            // Keep the raw URL when it is not valid percent-encoding
+        }
+
+        return {
+            label: text.slice(start + 1, i),
+            url,
+            end: i + 1 + target[0].length
+        };
+    }
+
+    static inlineToHtml(text) {
+        return this.parseInline(text).map(op => {
+            if (typeof op.insert !== 'string') {
+                return op.insert.image ? `<img src="${this.escapeHtml(op.insert.image)}">` : '';
+            }
+
+            const attributes = op.attributes || {};
+            let html = this.escapeHtml(op.insert);
+            if (attributes.code) html = `<code>${html}</code>`;
+            if (attributes.script === 'sub') html = `<sub>${html}</sub>`;
+            if (attributes.script === 'super') html = `<sup>${html}</sup>`;
+            if (attributes.underline) html = `<u>${html}</u>`;
+            if (attributes.italic) html = `<em>${html}</em>`;
+            if (attributes.bold) html = `<strong>${html}</strong>`;
+            if (attributes.link) html = `<a href="${this.escapeHtml(attributes.link)}">${html}</a>`;
+            return html;
+        }).join('');
+    }
+
+    static escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+export default MarkdownConverter;
+export { MarkdownConverter };
@@ -0,0 +1,317 @@
+/**
+ * Mentions
+ * Typing @ or # opens a suggestion popup fed by an async source; picked items become atomic embeds
+ * ES6 Module version for React projects
+ */
+
+import Quill from 'quill';
+import Translator from './i18n.js';
+import { changeEnd, addListboxBindings, removeBindings, highlightOption } from './utils.js';
+
+const Delta = Quill.import('delta');
+const Embed = Quill.import('blots/embed');
+
+let popupCount = 0;
+
+/**
+ * Mention embed
+ * Value: { id, label, denotation }; the label is shown after its denotation character
+ */
+class MentionBlot extends Embed {
+    static blotName = 'mention';
+    static tagName = 'span';
+    static className = 'ql-mention';
+
+    static create(value) {
+        const node = super.create();
+        const mention = value && typeof value === 'object' ? value : {};
+
+        node.setAttribute('data-id', String(mention.id || ''));
+        node.setAttribute('data-label', String(mention.label || ''));
+        node.setAttribute('data-denotation', String(mention.denotation || '@'));
+        node.textContent = `${mention.denotation || '@'}${mention.label || ''}`;
+        return node;
+    }
+
+    static value(node) {
+        const denotation = node.getAttribute('data-denotation') || '@';
+        // Pasted HTML may have lost the data attributes, so the label falls back to the text
+        const text = node.textContent.replace(/\uFEFF/g, '');
+        return {
+            id: node.getAttribute('data-id') || '',
+            label: node.getAttribute('data-label') || (text.startsWith(denotation) ? text.slice(1) : text),
+            denotation
+        };
+    }
+}
+
+/**
+ * PUBLIC: Mentions Manager Class
+ * Watches the text before the cursor for a denotation character, asks the source for matches
+ * and replaces the typed query with a mention embed. Emits mention-inserted.
+ */
+class MentionsManager {
+    static defaults = {
+        source: null,
+        denotations: ['@', '#'],
+        debounce: 200,
+        maxResults: 10,
+        maxQueryLength: 30
+    };
+
+    /**
+     * @param {Object} quill - Quill instance
+     * @param {Object} options - Mentions configuration
+     * @param {Function} options.source - async (query, denotation) => [{ id, label }]
+     * @param {Array} options.denotations - Characters that open the popup
+     * @param {number} options.debounce - Milliseconds to wait after the last keystroke before querying
+     * @param {number} options.maxResults - Number of matches shown
+     * @param {number} options.maxQueryLength - Longest query that keeps the popup open
+     * @param {string} options.locale - Language of the popup (see i18n.js)
+     * @param {Object} options.messages - Message keys to override
+     */
+    constructor(quill, options = {}) {
+        this.quill = quill;
+        this.options = { ...MentionsManager.defaults, ...options };
+        this.translator = new Translator({ locale: this.options.locale, messages: this.options.messages });
+
+        if (typeof this.options.source !== 'function') {
+            throw new Error('Mentions: A source function is required');
+        }
+
+        this.trigger = null;
+        this.items = [];
+        this.activeIndex = 0;
+        this.timer = null;
+        this.requestId = 0;
+
+        this.createPopup();
+        this.bindings = addListboxBindings(this.quill, this, () => this.insertMention(this.items[this.activeIndex]));
+
+        this.handleTextChange = (delta, oldDelta, source) => {
+            if (source === Quill.sources.USER) {
+                this.update({ index: changeEnd(delta), length: 0 });
+            } else if (this.trigger) {
+                // Other people's changes move an open query
+                this.update(this.quill.getSelection());
+            }
+        };
+        this.handleSelectionChange = (range) => {
+            this.update(range);
+        };
+
+        this.quill.on('text-change', this.handleTextChange);
+        this.quill.on('selection-change', this.handleSelectionChange);
+    }
+
+    /**
+     * PUBLIC: List the mentions in the document, in document order
+     * @returns {Array} [{ id, label, denotation, index }]
+     */
+    getMentions() {
+        const mentions = [];
+        let index = 0;
+
+        this.quill.getContents().ops.forEach(op => {
+            if (op.insert && op.insert.mention) {
+                mentions.push({ ...op.insert.mention, index });
+            }
+            index += typeof op.insert === 'string' ? op.insert.length : 1;
+        });
+
+        return mentions;
+    }
+
+    /**
+     * PUBLIC: Replace the typed query with a mention
+     * @param {Object} item - { id, label } from the source
+     * @returns {boolean} Whether a query was open
+     */
+    insertMention(item) {
+        if (!this.trigger || !item) {
+            return false;
+        }
+
+        const { index, query, denotation } = this.trigger;
+        const mention = { id: String(item.id), label: String(item.label), denotation };
+        this.close();
+
+        // Quill 1.3.7 misplaces an embed inserted into formatted text that the same change deletes from,
+        // so the query goes first; history merges both into one undo step
+        this.quill.updateContents(new Delta().retain(index).delete(denotation.length + query.length), Quill.sources.USER);
+        this.quill.updateContents(new Delta().retain(index).insert({ mention }).insert(' '), Quill.sources.USER);
+        this.quill.setSelection(index + 2, 0, Quill.sources.USER);
+
+        this.quill.emitter.emit('mention-inserted', { mention, index });
+        return true;
+    }
+
+    /**
+     * PUBLIC: Whether the suggestion popup is showing
+     */
+    isOpen() {
+        return !this.popup.hidden;
+    }
+
+    /**
+     * PUBLIC: Hide the popup and drop any pending query
+     */
+    close() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.requestId++;
+        this.trigger = null;
+        this.items = [];
+        this.popup.hidden = true;
+        this.quill.root.removeAttribute('aria-activedescendant');
+        this.quill.root.removeAttribute('aria-controls');
+    }
+
+    /**
+     * PUBLIC: Remove the popup, keyboard bindings and listeners
+     */
+    destroy() {
+        this.close();
+        this.quill.off('text-change', this.handleTextChange);
+        this.quill.off('selection-change', this.handleSelectionChange);
+        removeBindings(this.quill, this.bindings);
+        this.bindings = [];
+        this.popup.remove();
+    }
+
+    // PRIVATE: Internal methods (not part of public API)
+    createPopup() {
+        this.popupId = `quilld-mentions-${++popupCount}`;
+        this.popup = document.createElement('ul');
+        this.popup.id = this.popupId;
+        this.popup.className = 'quilld-mentions';
+        this.popup.dir = this.translator.dir;
+        this.popup.setAttribute('role', 'listbox');
+        this.popup.setAttribute('aria-label', this.translator.t('mentions.label'));
+        this.popup.hidden = true;
+        this.quill.container.appendChild(this.popup);
+    }
+
+    /**
+     * Find a denotation followed by a query right before the cursor, at the start of the line or after a space
+     */
+    findTrigger(range) {
+        if (!range || range.length > 0 || !this.quill.isEnabled()) {
+            return null;
+        }
+
+        const [line, offset] = this.quill.getLine(range.index);
+        if (!line || line.formats()['code-block']) {
+            return null;
+        }
+
+        const start = Math.max(0, offset - this.options.maxQueryLength - 2);
+        // Embeds count as one character, and as a boundary
+        const text = this.quill.getContents(range.index - offset + start, offset - start).ops
+            .map(op => typeof op.insert === 'string' ? op.insert : ' ')
+            .join('');
+
+        for (let i = text.length - 1; i >= 0; i--) {
+            const char = text[i];
+            if (/\s/.test(char)) {
+                return null;
+            }
+            if (this.options.denotations.includes(char) && (i === 0 ? start === 0 : /\s/.test(text[i - 1]))) {
+                const query = text.slice(i + 1);
+                if (query.length > this.options.maxQueryLength) {
+                    return null;
+                }
+                return { denotation: char, query, index: range.index - text.length + i };
+            }
+        }
+        return null;
+    }
+
+    update(range) {
+        const trigger = this.findTrigger(range);
+        if (!trigger) {
+            if (this.trigger) {
+                this.close();
+            }
+            return;
+        }
+
+        if (this.trigger && this.trigger.index === trigger.index &&
+            this.trigger.denotation === trigger.denotation && this.trigger.query === trigger.query) {
+            return;
+        }
+
+        this.trigger = trigger;
+        this.position();
+        if (this.popup.hidden) {
+            this.render([], 'mentions.loading');
+        }
+
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.search(trigger), this.options.debounce);
+    }
+
+    async search(trigger) {
+        const requestId = ++this.requestId;
+        this.timer = null;
+
+        let items;
+        try {
+            items = await this.options.source(trigger.query, trigger.denotation);
+        } catch (error) {
+            console.error('Mentions: Source failed:', error);
+            items = [];
+        }
+
+        // A newer query or a close made this answer stale
+        if (requestId !== this.requestId || this.trigger !== trigger) {
+            return;
+        }
+        this.render((Array.isArray(items) ? items : []).slice(0, this.options.maxResults), 'mentions.empty');
+    }
+
+    render(items, emptyKey) {
+        this.items = items;
+        this.activeIndex = 0;
+        this.popup.textContent = '';
+
+        if (items.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'quilld-mentions-empty';
+            empty.setAttribute('role', 'presentation');
+            empty.textContent = this.translator.t(emptyKey);
+            this.popup.appendChild(empty);
+        }
+
+        items.forEach((item, index) => {
+            const option = document.createElement('li');
+            option.id = `${this.popupId}-${index}`;
+            option.className = 'quilld-mentions-item';
+            option.setAttribute('role', 'option');
+            option.textContent = `${this.trigger.denotation}${item.label}`;
+            // Keep the editor focused: mousedown on the popup would blur it first
+            option.addEventListener('mousedown', e => e.preventDefault());
+            option.addEventListener('click', () => this.insertMention(item));
+            this.popup.appendChild(option);
+        });
+
+        this.popup.hidden = false;
+        this.quill.root.setAttribute('aria-controls', this.popupId);
+        this.activeIndex = highlightOption(this.quill, this.popup, 0);
+    }
+
+    move(step) {
+        this.activeIndex = highlightOption(this.quill, this.popup, this.activeIndex + step);
+    }
+
+    position() {
+        const bounds = this.quill.getBounds(this.trigger.index, 0);
+        this.popup.style.left = `${bounds.left}px`;
+        this.popup.style.top = `${bounds.bottom + 4}px`;
+    }
+}
+
+Quill.register(MentionBlot, true);
+
+export default MentionsManager;
+export { MentionsManager, MentionBlot };
@@ -6,6 +6,24 @@
 
 import Quill from 'quill';
 import QuoteManager from './quote.js';
+import MarkdownConverter from './markdown.js';
+import HtmlSanitizer from './sanitize.js';
+import AutosaveManager from './autosave.js';
+import CollabManager from './collab.js';
+import CommentsManager from './comments.js';
+import SuggestionsManager from './suggestions.js';
+import RevisionsManager from './revisions.js';
+import MentionsManager from './mentions.js';
+import CommandsManager from './commands.js';
+import Translator from './i18n.js';
+
+// What each editor mode shows and allows
+const MODES = {
+    edit: { readOnly: false, toolbar: true, wordCount: true },
+    suggest: { readOnly: false, toolbar: true, wordCount: true, suggesting: true },
+    review: { readOnly: true, toolbar: false, wordCount: true },
+    present: { readOnly: true, toolbar: false, wordCount: false }
+};
 
 class QuillD {
     constructor() {
@@ -34,10 +52,11 @@ class QuillD {
                     delay: 1000,
                     maxStack: 50,
                     userOnly: true
-                },
-                placeholder: 'Start writing...',
-                readOnly: false
-            }
+                }
+            },
+            // Editor options, not modules: Quill cannot load a module by these names
+            placeholder: 'Start writing...',
+            readOnly: false
         };
 
         // Word count module configuration
@@ -47,8 +66,26 @@ class QuillD {
             showCharCount: true,
             showCharCountNoSpaces: false,
             maxWords: null,
-            maxChars: null
+            maxChars: null,
+            enforce: false,
+            pasteMode: 'truncate',
+            showStatistics: false,
+            readingWordsPerMinute: 238,
+            speakingWordsPerMinute: 150,
+            locale: null,
+            countQuotes: false,
+            countCodeBlocks: true
         };
+
+        // Intl.Segmenter instances by locale and granularity
+        this.segmenters = new Map();
+
+        // Live editors by id
+        this.editors = new Map();
+        this.editorCount = 0;
+
+        // English, for statistics rendered outside an editor
+        this.translator = new Translator();
     }
 
     /**
@@ -58,6 +95,7 @@ class QuillD {
      * @returns {Object} Enhanced Quill instance
      */
     createEditor(container, options = {}) {
+        let editor = null;
         try {
             // Better container handling
             let targetContainer = container;
@@ -85,33 +123,137 @@ class QuillD {
             
             // Create Quill instance
             const quill = new Quill(targetContainer, config);
+            quill.id = this.createEditorId(options.id || targetContainer.id);
+
+            // UI language for the word count and statistics
+            const translator = new Translator({ locale: options.locale, messages: options.messages });
 
             // Initialize word count if requested
+            const cleanups = [];
             if (options.wordCount !== false) {
-                this.initializeWordCount(quill, options.wordCount || {});
+                cleanups.push(this.initializeWordCount(quill, options.wordCount || {}, translator));
             }
 
             // Initialize quote functionality if available
-            const managers = this.initializeExtensions(quill);
+            const managers = this.initializeExtensions(quill, options);
 
             // Create enhanced instance
-            return this.createEnhancedQuill(quill, managers, options);
+            editor = this.createEnhancedQuill(quill, managers, options, cleanups);
+
+            // Before the mode, which may start in suggesting mode
+            if (options.suggestions) {
+                this.initializeSuggestions(editor, managers, options);
+            }
+
+            if (options.mode) {
+                editor.setMode(options.mode);
+            }
+
+            // Before the initial content, which may carry saved threads
+            if (options.comments) {
+                this.initializeComments(editor, managers, options);
+            }
+
+            // Load initial content before autosave compares it with stored drafts
+            if (options.content) {
+                editor.importContent(options.content);
+            }
+
+            // After the initial content, which seeds a new shared document
+            if (options.collab) {
+                this.initializeCollab(editor, managers, options.collab);
+            }
+
+            if (options.autosave) {
+                this.initializeAutosave(editor, managers, options);
+            }
+
+            if (options.revisions) {
+                this.initializeRevisions(editor, managers, options);
+            }
+
+            if (options.mentions) {
+                this.initializeMentions(editor, managers, options);
+            }
+
+            // Last, so the palette can offer the other managers' commands
+            if (options.commands) {
+                this.initializeCommands(editor, managers, options);
+            }
+
+            // Only once every step succeeded, so listEditors() never holds a half-built editor
+            this.editors.set(editor.id, editor);
+            return editor;
 
         } catch (error) {
             console.error('QuillD: Failed to create editor:', error);
+            if (editor) {
+                editor.destroy();
+            }
             throw error;
         }
     }
 
+    /**
+     * Get a live editor by id
+     * @param {string} id - Editor id (options.id, the container id, or a generated id)
+     * @returns {Object|null} Enhanced Quill instance
+     */
+    getEditor(id) {
+        return this.editors.get(id) || null;
+    }
+
+    /**
+     * List every live editor, oldest first
+     * @returns {Array} Enhanced Quill instances
+     */
+    listEditors() {
+        return Array.from(this.editors.values());
+    }
+
+    /**
+     * Destroy every live editor
+     * @returns {number} Number of editors destroyed
+     */
+    destroyAll() {
+        const editors = this.listEditors();
+        editors.forEach(editor => editor.destroy());
+        return editors.length;
+    }
+
+    /**
+     * Pick a unique editor id, preferring the given one
+     */
+    createEditorId(preferredId) {
+        if (preferredId && !this.editors.has(preferredId)) {
+            return preferredId;
+        }
+        if (preferredId) {
+            console.warn(`QuillD: Editor id "${preferredId}" is already in use, generating a new id`);
+        }
+
+        let id;
+        do {
+            this.editorCount += 1;
+            id = `quilld-editor-${this.editorCount}`;
+        } while (this.editors.has(id));
+        return id;
+    }
+
     /**
      * Initialize extensions (Quote system)
      */
-    initializeExtensions(quill) {
+    initializeExtensions(quill, options = {}) {
         const managers = {};
         
         // Initialize Quote manager
         try {
-            managers.quote = new QuoteManager(quill);
+            managers.quote = new QuoteManager(quill, {
+                notify: options.notify,
+                locale: options.locale,
+                messages: options.messages,
+                ...options.quote
+            });
             console.log('QuillD: Quote manager initialized successfully');
         } catch (error) {
             console.warn('QuillD: Failed to initialize QuoteManager:', error);
@@ -120,14 +262,239 @@ class QuillD {
         return managers;
     }
 
+    /**
+     * Initialize autosave and draft recovery
+     */
+    initializeAutosave(quill, managers, options) {
+        try {
+            managers.autosave = new AutosaveManager(quill, {
+                locale: options.locale,
+                messages: options.messages,
+                ...options.autosave
+            });
+        } catch (error) {
+            console.warn('QuillD: Failed to initialize AutosaveManager:', error);
+            return;
+        }
+
+        quill.saveDraft = () => {
+            return managers.autosave.save();
+        };
+
+        quill.restoreDraft = (draft) => {
+            return managers.autosave.restore(draft);
+        };
+
+        quill.getDrafts = () => {
+            return managers.autosave.getDrafts();
+        };
+
+        quill.clearDrafts = () => {
+            return managers.autosave.clear();
+        };
+    }
+
+    /**
+     * Initialize comment threads and their side panel
+     */
+    initializeComments(quill, managers, options) {
+        try {
+            managers.comments = new CommentsManager(quill, {
+                locale: options.locale,
+                messages: options.messages,
+                ...(options.comments === true ? {} : options.comments)
+            });
+        } catch (error) {
+            console.warn('QuillD: Failed to initialize CommentsManager:', error);
+            return;
+        }
+
+        quill.addComment = (text, range) => {
+            return managers.comments.addComment(text, range);
+        };
+
+        quill.getComments = () => {
+            return managers.comments.getThreads();
+        };
+    }
+
+    /**
+     * Initialize suggested changes, recorded while the editor is in 'suggest' mode
+     */
+    initializeSuggestions(quill, managers, options) {
+        try {
+            managers.suggestions = new SuggestionsManager(quill, {
+                locale: options.locale,
+                messages: options.messages,
+                ...(options.suggestions === true ? {} : options.suggestions)
+            });
+        } catch (error) {
+            console.warn('QuillD: Failed to initialize SuggestionsManager:', error);
+            return;
+        }
+
+        quill.getChanges = () => {
+            return managers.suggestions.getChanges();
+        };
+
+        quill.acceptChange = (changeId) => {
+            return managers.suggestions.accept(changeId);
+        };
+
+        quill.rejectChange = (changeId) => {
+            return managers.suggestions.reject(changeId);
+        };
+
+        quill.acceptAllChanges = () => {
+            return managers.suggestions.acceptAll();
+        };
+
+        quill.rejectAllChanges = () => {
+            return managers.suggestions.rejectAll();
+        };
+    }
+
+    /**
+     * Initialize named revisions and the history browser
+     */
+    initializeRevisions(quill, managers, options) {
+        try {
+            managers.revisions = new RevisionsManager(quill, {
+                key: quill.id,
+                locale: options.locale,
+                messages: options.messages,
+                ...(options.revisions === true ? {} : options.revisions)
+            });
+        } catch (error) {
+            console.warn('QuillD: Failed to initialize RevisionsManager:', error);
+            return;
+        }
+
+        quill.createRevision = (label) => {
+            return managers.revisions.createRevision(label);
+        };
+
+        quill.getRevisions = () => {
+            return managers.revisions.getRevisions();
+        };
+
+        quill.restoreRevision = (revisionId) => {
+            return managers.revisions.restore(revisionId);
+        };
+
+        quill.showRevisions = () => {
+            return managers.revisions.showHistory();
+        };
+    }
+
+    /**
+     * Initialize @ and # mentions fed by options.mentions.source
+     */
+    initializeMentions(quill, managers, options) {
+        try {
+            managers.mentions = new MentionsManager(quill, {
+                locale: options.locale,
+                messages: options.messages,
+                ...options.mentions
+            });
+        } catch (error) {
+            console.warn('QuillD: Failed to initialize MentionsManager:', error);
+            return;
+        }
+
+        quill.getMentions = () => {
+            return managers.mentions.getMentions();
+        };
+    }
+
+    /**
+     * Initialize the / command palette
+     * options.commands is true, an array of extra commands, or CommandsManager options
+     */
+    initializeCommands(quill, managers, options) {
+        const commandOptions = Array.isArray(options.commands)
+            ? { commands: options.commands }
+            : (options.commands === true ? {} : options.commands);
+
+        try {
+            managers.commands = new CommandsManager(quill, {
+                locale: options.locale,
+                messages: options.messages,
+                ...commandOptions
+            });
+        } catch (error) {
+            console.warn('QuillD: Failed to initialize CommandsManager:', error);
+            return;
+        }
+
+        if (managers.quote) {
+            managers.commands.registerCommand({
+                name: 'quote',
+                label: 'commands.quote',
+                keywords: ['citation'],
+                run: () => managers.quote.showQuoteDialog()
+            });
+        }
+
+        if (managers.suggestions) {
+            managers.commands.registerCommand({
+                name: 'suggest',
+                label: 'commands.suggest',
+                keywords: ['track', 'review'],
+                run: editor => editor.setMode(editor.getMode() === 'suggest' ? 'edit' : 'suggest')
+            });
+        }
+
+        if (managers.revisions) {
+            managers.commands.registerCommand({
+                name: 'history',
+                label: 'revisions.title',
+                keywords: ['revisions', 'versions'],
+                run: () => managers.revisions.showHistory()
+            });
+        }
+
+        quill.registerCommand = (command) => {
+            return managers.commands.registerCommand(command);
+        };
+
+        quill.executeCommand = (name) => {
+            return managers.commands.execute(name);
+        };
+    }
+
+    /**
+     * Initialize real-time collaboration
+     */
+    initializeCollab(quill, managers, collabOptions) {
+        try {
+            managers.collab = new CollabManager(quill, collabOptions);
+        } catch (error) {
+            console.warn('QuillD: Failed to initialize CollabManager:', error);
+            return;
+        }
+
+        quill.getCollaborators = () => {
+            return managers.collab.getUsers();
+        };
+
+        quill.getCollabStatus = () => {
+            return managers.collab.getStatus();
+        };
+    }
+
     /**
      * Initialize word count functionality
+     * @returns {Function} Cleanup that removes the listeners and display
      */
-    initializeWordCount(quill, wordCountOptions = {}) {
+    initializeWordCount(quill, wordCountOptions = {}, translator = this.translator) {
         const options = { ...this.wordCountConfig, ...wordCountOptions };
+
+        const cleanupLimits = this.initializeLimits(quill, options);
         
         // Create word count container if not provided
         let container = options.container;
+        const isOwnContainer = !container;
         if (!container) {
             container = document.createElement('div');
             container.className = 'quilld-word-count';
@@ -140,33 +507,65 @@ class QuillD {
 
         if (!container) {
             console.warn('QuillD: Word count container not found');
-            return;
+            return cleanupLimits;
+        }
+
+        // Extended statistics panel below the counts
+        let statisticsPanel = null;
+        if (options.showStatistics) {
+            statisticsPanel = document.createElement('div');
+            statisticsPanel.className = 'quilld-statistics';
+            container.parentNode.insertBefore(statisticsPanel, container.nextSibling);
+            statisticsPanel.dir = translator.dir;
         }
+        container.dir = translator.dir;
+
+        // Present mode hides the counts; review keeps them
+        const updateVisibility = ({ mode }) => {
+            const hidden = !MODES[mode].wordCount;
+            container.hidden = hidden;
+            if (statisticsPanel) {
+                statisticsPanel.hidden = hidden;
+            }
+        };
+        quill.on('mode-change', updateVisibility);
 
         // Word count tracking
         const updateWordCount = () => {
-            const text = quill.getText();
-            const words = text.trim().split(/\s+/).filter(word => word.length > 0);
-            const chars = text.length;
-            const charsNoSpaces = text.replace(/\s/g, '').length;
+            const { words, chars, charsNoSpaces } = this.countDocument(quill.getContents(), options);
+
+            const addCount = (text, overLimit) => {
+                const span = document.createElement('span');
+                if (overLimit) {
+                    span.className = 'over-limit';
+                }
+                span.textContent = text;
+                container.appendChild(span);
+            };
 
-            let html = '';
+            container.textContent = '';
 
             if (options.showWordCount) {
-                const wordClass = options.maxWords && words.length > options.maxWords ? 'over-limit' : '';
-                html += `<span class="${wordClass}">Words: ${words.length}${options.maxWords ? `/${options.maxWords}` : ''}</span>`;
+                addCount(
+                    translator.t(options.maxWords ? 'wordCount.wordsOfMax' : 'wordCount.words', { count: words, max: options.maxWords }),
+                    options.maxWords && words > options.maxWords
+                );
             }
 
             if (options.showCharCount) {
-                const charClass = options.maxChars && chars > options.maxChars ? 'over-limit' : '';
-                html += `<span class="${charClass}"> Characters: ${chars}${options.maxChars ? `/${options.maxChars}` : ''}</span>`;
+                addCount(
+                    translator.t(options.maxChars ? 'wordCount.charsOfMax' : 'wordCount.chars', { count: chars, max: options.maxChars }),
+                    options.maxChars && chars > options.maxChars
+                );
             }
 
             if (options.showCharCountNoSpaces) {
-                html += `<span> Characters (no spaces): ${charsNoSpaces}</span>`;
+                addCount(translator.t('wordCount.charsNoSpaces', { count: charsNoSpaces }), false);
             }
 
-            container.innerHTML = html;
+            if (statisticsPanel) {
+                this.renderStatistics(statisticsPanel, this.computeStatistics(quill.getContents(), options), translator);
+            }
         };
 
         // Update on text change
@@ -177,34 +576,515 @@ class QuillD {
 
         // Add word count methods to quill instance
         quill.getWordCount = () => {
-            const text = quill.getText();
-            return text.trim().split(/\s+/).filter(word => word.length > 0).length;
+            return this.countDocument(quill.getContents(), options).words;
         };
 
         quill.getCharCount = () => {
-            return quill.getText().length;
+            return this.countDocument(quill.getContents(), options).chars;
         };
 
         quill.getCharCountNoSpaces = () => {
-            return quill.getText().replace(/\s/g, '').length;
+            return this.countDocument(quill.getContents(), options).charsNoSpaces;
+        };
+
+        quill.getStatistics = () => {
+            return this.computeStatistics(quill.getContents(), options);
+        };
+
+        return () => {
+            cleanupLimits();
+            quill.off('text-change', updateWordCount);
+            quill.off('mode-change', updateVisibility);
+            if (statisticsPanel) {
+                statisticsPanel.remove();
+            }
+            if (isOwnContainer) {
+                container.remove();
+            } else {
+                container.innerHTML = '';
+                container.hidden = false;
+            }
+        };
+    }
+
+    /**
+     * Compute reading statistics for a document
+     * Times are in seconds; readability is the Flesch reading-ease score (null without text)
+     */
+    computeStatistics(delta, options = this.wordCountConfig) {
+        const totals = this.countDocument(delta, options);
+        const toSeconds = (words, wordsPerMinute) => Math.round(words / wordsPerMinute * 60);
+
+        const sections = [];
+        let section = { heading: null, level: 0, index: 0, words: 0 };
+        let sentences = 0;
+        let paragraphs = 0;
+        let bodyWords = 0;
+        let syllables = 0;
+        let index = 0;
+
+        const addProse = (text) => {
+            const words = this.segmentWords(text, options);
+            if (words.length === 0) {
+                return;
+            }
+            paragraphs += 1;
+            sentences += this.countSentences(text);
+            bodyWords += words.length;
+            section.words += words.length;
+            syllables += words.reduce((sum, word) => sum + this.countSyllables(word), 0);
+        };
+
+        delta.eachLine((line, attributes) => {
+            const lineText = line.ops.map(op => typeof op.insert === 'string' ? op.insert : '').join('').trim();
+
+            // Quotes come before the line they are grouped with, so they belong to the current section
+            if (options.countQuotes) {
+                line.ops
+                    .filter(op => op.insert && op.insert.quote)
+                    .forEach(op => addProse(this.getQuoteText(op.insert.quote)));
+            }
+
+            if (attributes.header) {
+                if (section.heading !== null || section.words > 0) {
+                    sections.push(section);
+                }
+                // Block embeds such as quotes are grouped with the line that follows them
+                const leadingEmbeds = line.ops.findIndex(op => typeof op.insert === 'string');
+                const headingIndex = index + (leadingEmbeds < 0 ? line.ops.length : leadingEmbeds);
+                section = { heading: lineText, level: attributes.header, index: headingIndex, words: 0 };
+            } else if (attributes['code-block']) {
+                // Code counts towards length but not towards prose measures
+                if (options.countCodeBlocks) {
+                    section.words += this.segmentWords(lineText, options).length;
+                }
+            } else {
+                addProse(lineText);
+            }
+
+            index += line.length() + 1;
+        });
+
+        if (section.heading !== null || section.words > 0) {
+            sections.push(section);
+        }
+
+        const round = value => Math.round(value * 10) / 10;
+        const readability = bodyWords > 0 && sentences > 0
+            ? round(206.835 - 1.015 * (bodyWords / sentences) - 84.6 * (syllables / bodyWords))
+            : null;
+
+        return {
+            ...totals,
+            sentences,
+            paragraphs,
+            averageSentenceLength: sentences > 0 ? round(bodyWords / sentences) : 0,
+            readingTime: toSeconds(totals.words, options.readingWordsPerMinute),
+            speakingTime: toSeconds(totals.words, options.speakingWordsPerMinute),
+            readability,
+            sections: sections.map(entry => ({
+                ...entry,
+                readingTime: toSeconds(entry.words, options.readingWordsPerMinute)
+            }))
+        };
+    }
+
+    countSentences(text) {
+        return text.split(/[.!?\u2026]+(?=\s|$)/).filter(part => /[\p{L}\p{N}]/u.test(part)).length;
+    }
+
+    /**
+     * Estimate English syllables by counting vowel groups
+     */
+    countSyllables(word) {
+        const letters = word.toLowerCase().replace(/[^a-z]/g, '');
+        if (letters.length <= 3) {
+            return 1;
+        }
+        const groups = letters
+            .replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '')
+            .replace(/^y/, '')
+            .match(/[aeiouy]{1,2}/g);
+        return Math.max(1, groups ? groups.length : 0);
+    }
+
+    formatDuration(seconds, translator = this.translator) {
+        return seconds < 60
+            ? translator.t('duration.seconds', { count: seconds })
+            : translator.t('duration.minutes', { count: Math.round(seconds / 60) });
+    }
+
+    /**
+     * Render statistics into the panel
+     * Built with DOM nodes because heading text comes from the document
+     */
+    renderStatistics(panel, statistics, translator = this.translator) {
+        const summary = document.createElement('dl');
+        summary.className = 'quilld-statistics-summary';
+
+        const number = value => translator.formatNumber(value);
+
+        [
+            ['statistics.readingTime', this.formatDuration(statistics.readingTime, translator)],
+            ['statistics.speakingTime', this.formatDuration(statistics.speakingTime, translator)],
+            ['statistics.sentences', number(statistics.sentences)],
+            ['statistics.paragraphs', number(statistics.paragraphs)],
+            ['statistics.averageSentenceLength', translator.t('statistics.wordCount', { count: statistics.averageSentenceLength })],
+            ['statistics.readability', statistics.readability === null ? '—' : number(statistics.readability)]
+        ].forEach(([label, value]) => {
+            const item = document.createElement('div');
+            const term = document.createElement('dt');
+            term.textContent = translator.t(label);
+            const detail = document.createElement('dd');
+            detail.textContent = value;
+            item.appendChild(term);
+            item.appendChild(detail);
+            summary.appendChild(item);
+        });
+
+        panel.textContent = '';
+        panel.appendChild(summary);
+
+        if (!statistics.sections.some(section => section.heading !== null)) {
+            return;
+        }
+
+        const table = document.createElement('table');
+        table.className = 'quilld-statistics-sections';
+
+        const caption = document.createElement('caption');
+        caption.textContent = translator.t('statistics.sections');
+        table.appendChild(caption);
+
+        const head = document.createElement('thead');
+        const headRow = document.createElement('tr');
+        ['statistics.section', 'statistics.words', 'statistics.readingTime'].forEach(key => {
+            const cell = document.createElement('th');
+            cell.textContent = translator.t(key);
+            headRow.appendChild(cell);
+        });
+        head.appendChild(headRow);
+        table.appendChild(head);
+
+        const body = document.createElement('tbody');
+        statistics.sections.forEach(section => {
+            const row = document.createElement('tr');
+            if (section.level) {
+                row.className = `quilld-statistics-level-${section.level}`;
+            }
+            [
+                section.heading === null ? translator.t('statistics.introduction') : section.heading,
+                number(section.words),
+                this.formatDuration(section.readingTime, translator)
+            ].forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            body.appendChild(row);
+        });
+
+        table.appendChild(body);
+        panel.appendChild(table);
+    }
+
+    /**
+     * Count a document the way the word count display does
+     * Shared by the display, limit enforcement and statistics so all three agree
+     */
+    countDocument(delta, options = this.wordCountConfig) {
+        return this.countText(this.getCountableText(delta, options), options);
+    }
+
+    /**
+     * Get the text that counts towards the totals
+     * Matches quill.getText(), plus quote text with countQuotes and minus code with countCodeBlocks: false
+     */
+    getCountableText(delta, options = this.wordCountConfig) {
+        let text = '';
+        delta.eachLine((line, attributes) => {
+            // Quotes are grouped with the line after them, which may be code
+            if (options.countQuotes) {
+                line.ops
+                    .filter(op => op.insert && op.insert.quote)
+                    .forEach(op => {
+                        text += `${this.getQuoteText(op.insert.quote)}\n`;
+                    });
+            }
+
+            if (attributes['code-block'] && !options.countCodeBlocks) {
+                return;
+            }
+            text += `${line.ops.map(op => typeof op.insert === 'string' ? op.insert : '').join('')}\n`;
+        });
+        return text;
+    }
+
+    getQuoteText(value) {
+        const container = document.implementation.createHTMLDocument('').createElement('div');
+        container.innerHTML = value.content || '';
+        const paragraphs = Array.from(container.childNodes).map(node => node.textContent);
+        return [...paragraphs, value.author || ''].filter(text => text.trim()).join('\n');
+    }
+
+    /**
+     * Count words and characters in plain text
+     */
+    countText(text, options = this.wordCountConfig) {
+        const countCharacters = value => {
+            if (!options.locale) {
+                return value.length;
+            }
+            const segmenter = this.getSegmenter(options.locale, 'grapheme');
+            // Grapheme clusters, so an emoji sequence or accented letter counts once
+            return segmenter ? Array.from(segmenter.segment(value)).length : Array.from(value).length;
+        };
+
+        return {
+            words: this.segmentWords(text, options).length,
+            chars: countCharacters(text),
+            charsNoSpaces: countCharacters(text.replace(/\s/g, ''))
         };
     }
 
+    /**
+     * Split plain text into words
+     * With a locale, Intl.Segmenter finds the boundaries so text without spaces (Chinese, Japanese) is counted
+     */
+    segmentWords(text, options = this.wordCountConfig) {
+        if (!options.locale) {
+            return text.trim().split(/\s+/).filter(word => word.length > 0);
+        }
+
+        const segmenter = this.getSegmenter(options.locale, 'word');
+        if (!segmenter) {
+            // Without Intl.Segmenter, count each Han or kana character as a word
+            const pattern = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]|[^\s\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]+/gu;
+            return (text.match(pattern) || []).filter(word => /[\p{L}\p{N}]/u.test(word));
+        }
+
+        const words = [];
+        let previousIsWord = false;
+        let hyphen = null;
+        for (const { segment, isWordLike } of segmenter.segment(text)) {
+            if (isWordLike) {
+                // A hyphen between two words joins them into one compound, as whitespace splitting does
+                if (hyphen) {
+                    words[words.length - 1] += hyphen + segment;
+                } else {
+                    words.push(segment);
+                }
+                hyphen = null;
+            } else {
+                hyphen = previousIsWord && /^[-\u2010\u2011]$/.test(segment) ? segment : null;
+            }
+            previousIsWord = isWordLike;
+        }
+        return words;
+    }
+
+    getSegmenter(locale, granularity) {
+        if (typeof Intl === 'undefined' || typeof Intl.Segmenter !== 'function') {
+            return null;
+        }
+        const key = `${locale}:${granularity}`;
+        if (!this.segmenters.has(key)) {
+            this.segmenters.set(key, new Intl.Segmenter(locale, { granularity }));
+        }
+        return this.segmenters.get(key);
+    }
+
+    /**
+     * Initialize maxWords / maxChars events and, with enforce, hard limits
+     * @returns {Function} Cleanup that removes the listeners
+     */
+    initializeLimits(quill, options) {
+        const limits = [
+            { limit: 'words', max: options.maxWords },
+            { limit: 'chars', max: options.maxChars }
+        ].filter(entry => entry.max);
+
+        const Delta = Quill.import('delta');
+        const getCounts = () => this.countDocument(quill.getContents(), options);
+
+        // Counts after replacing the range with the inserted delta
+        const getProjectedCounts = (range, insertion) => {
+            const change = new Delta().retain(range.index).delete(range.length).concat(insertion);
+            return this.countDocument(quill.getContents().compose(change), options);
+        };
+
+        // A limit only blocks changes that grow past it, so deleting is always possible
+        const findExceededLimit = (before, after) => {
+            const entry = limits.find(({ limit, max }) => after[limit] > max && after[limit] > before[limit]);
+            return entry ? { limit: entry.limit, count: after[entry.limit], max: entry.max } : null;
+        };
+
+        quill.isWithinLimits = () => {
+            const counts = getCounts();
+            return limits.every(({ limit, max }) => counts[limit] <= max);
+        };
+
+        // Everything attached below is detached again by the returned cleanup function
+        const detachers = [];
+        const cleanup = () => detachers.splice(0).forEach(detach => detach());
+        const listen = (type, handler, capture = false) => {
+            quill.root.addEventListener(type, handler, capture);
+            detachers.push(() => quill.root.removeEventListener(type, handler, capture));
+        };
+
+        if (limits.length === 0) {
+            return cleanup;
+        }
+
+        let previous = getCounts();
+        const handleTextChange = () => {
+            const counts = getCounts();
+            limits.forEach(({ limit, max }) => {
+                const detail = { limit, count: counts[limit], max };
+                if (previous[limit] < max && counts[limit] >= max) {
+                    quill.emitter.emit('limit-reached', detail);
+                }
+                if (previous[limit] <= max && counts[limit] > max) {
+                    quill.emitter.emit('limit-exceeded', detail);
+                }
+            });
+            previous = counts;
+        };
+        quill.on('text-change', handleTextChange);
+        detachers.push(() => quill.off('text-change', handleTextChange));
+
+        if (!options.enforce) {
+            return cleanup;
+        }
+
+        const blockInsertion = (event, inserted) => {
+            const range = quill.getSelection();
+            if (!range) {
+                return;
+            }
+            const exceeded = findExceededLimit(getCounts(), getProjectedCounts(range, new Delta().insert(inserted)));
+            if (exceeded) {
+                event.preventDefault();
+                event.stopPropagation();
+                quill.emitter.emit('limit-reached', { ...exceeded, action: 'blocked' });
+            }
+        };
+
+        listen('beforeinput', (e) => {
+            if (!e.inputType || !e.inputType.startsWith('insert') || e.inputType === 'insertFromPaste') {
+                return;
+            }
+            const isLineBreak = e.inputType === 'insertParagraph' || e.inputType === 'insertLineBreak';
+            const transferred = e.dataTransfer ? e.dataTransfer.getData('text/plain') : '';
+            blockInsertion(e, isLineBreak ? '\n' : (e.data || transferred));
+        });
+
+        // Quill handles Enter in its keyboard module, so no beforeinput event is fired for it
+        listen('keydown', (e) => {
+            if (e.key === 'Enter' && e.target === quill.root && !e.ctrlKey && !e.metaKey) {
+                blockInsertion(e, '\n');
+            }
+        }, true);
+
+        // Capture phase so oversized pastes never reach Quill's clipboard module
+        listen('paste', (e) => {
+            const range = quill.getSelection();
+            const clipboardData = e.clipboardData || window.clipboardData;
+            if (!range || !clipboardData) {
+                return;
+            }
+
+            // The quote manager's listener comes after this one and may turn the paste into quotes
+            const quote = quill.managers && quill.managers.quote;
+            const quoted = quote ? quote.convertPaste(clipboardData, range) : null;
+            const html = clipboardData.getData('text/html');
+            const pasted = quoted || (html
+                ? quill.clipboard.convert(HtmlSanitizer.sanitize(html).html)
+                : new Delta().insert(clipboardData.getData('text/plain')));
+
+            const before = getCounts();
+            const exceeded = findExceededLimit(before, getProjectedCounts(range, pasted));
+            if (!exceeded) {
+                return;
+            }
+
+            e.preventDefault();
+            e.stopPropagation();
+
+            if (options.pasteMode === 'reject') {
+                quill.emitter.emit('limit-reached', { ...exceeded, action: 'rejected' });
+                return;
+            }
+
+            // Longest prefix of the pasted content that still fits
+            let low = 0;
+            let high = pasted.length();
+            while (low < high) {
+                const middle = Math.ceil((low + high) / 2);
+                const projected = getProjectedCounts(range, pasted.slice(0, middle));
+                if (findExceededLimit(before, projected)) {
+                    high = middle - 1;
+                } else {
+                    low = middle;
+                }
+            }
+
+            const fitted = pasted.slice(0, low);
+            quill.updateContents(
+                new Delta().retain(range.index).delete(range.length).concat(fitted),
+                Quill.sources.USER
+            );
+            quill.setSelection(range.index + fitted.length(), 0, Quill.sources.SILENT);
+            quill.emitter.emit('limit-reached', { ...exceeded, action: 'truncated' });
+        }, true);
+
+        return cleanup;
+    }
+
     /**
      * Create enhanced Quill instance
+     * @param {Array} cleanups - Functions that undo setup done before enhancement
      */
-    createEnhancedQuill(quill, managers, options) {
+    createEnhancedQuill(quill, managers, options, cleanups = []) {
         // Add managers
         quill.managers = managers;
 
         // Add quote functionality if available
         if (managers.quote) {
-            quill.insertQuote = (content, author) => {
-                return managers.quote.insertQuote(content, author);
+            quill.insertQuote = (content, authorOrIndex, citation) => {
+                return managers.quote.insertQuote(content, authorOrIndex, citation);
+            };
+
+            quill.insertQuoteAt = (index, content) => {
+                return managers.quote.insertQuoteAt(index, content);
+            };
+
+            quill.createQuoteFromSelection = (author) => {
+                return managers.quote.createQuoteFromSelection(author);
+            };
+
+            quill.getAllQuotes = () => {
+                return managers.quote.getAllQuotes();
             };
 
-            quill.showQuoteDialog = (defaultContent) => {
-                return managers.quote.showQuoteDialog(defaultContent);
+            quill.updateQuote = (index, content) => {
+                return managers.quote.updateQuote(index, content);
+            };
+
+            quill.removeQuote = (index) => {
+                return managers.quote.removeQuote(index);
+            };
+
+            quill.removeAllQuotes = () => {
+                return managers.quote.removeAllQuotes();
+            };
+
+            quill.showQuoteDialog = (defaultContent, dialogOptions) => {
+                return managers.quote.showQuoteDialog(defaultContent, dialogOptions);
+            };
+
+            quill.editQuote = (target) => {
+                return managers.quote.editQuote(target);
             };
 
             quill.isValidQuoteContent = (content) => {
@@ -217,24 +1097,44 @@ class QuillD {
         }
 
         // Add utility methods
-        quill.exportContent = () => {
-            return {
+        quill.exportContent = (exportOptions = {}) => {
+            if (exportOptions.format === 'markdown') {
+                return MarkdownConverter.toMarkdown(quill.getContents());
+            }
+
+            const content = {
                 delta: quill.getContents(),
                 html: quill.root.innerHTML,
                 text: quill.getText(),
                 wordCount: quill.getWordCount ? quill.getWordCount() : null,
                 charCount: quill.getCharCount ? quill.getCharCount() : null
             };
+            // Threads are kept beside the Delta, never inside it
+            if (managers.comments) {
+                content.comments = managers.comments.getThreads();
+            }
+            return content;
         };
 
         quill.importContent = (content) => {
+            let report;
             if (content.delta) {
                 quill.setContents(content.delta);
+            } else if (typeof content.markdown === 'string') {
+                quill.setContents(MarkdownConverter.fromMarkdown(content.markdown));
             } else if (content.html) {
-                quill.root.innerHTML = content.html;
+                // Sanitize first: the clipboard renders into a live element while converting
+                report = HtmlSanitizer.sanitize(content.html, options.sanitize);
+                quill.setContents(quill.clipboard.convert(report.html));
             } else if (content.text) {
                 quill.setText(content.text);
             }
+
+            // Threads refer to the imported content, so they load after it
+            if (content.comments && managers.comments) {
+                managers.comments.setThreads(content.comments);
+            }
+            return report;
         };
 
         quill.clear = () => {
@@ -245,35 +1145,114 @@ class QuillD {
             return managers[extensionName] || null;
         };
 
+        this.initializeMode(quill);
+
         // Add destroy method for cleanup
+        let destroyed = false;
         quill.destroy = () => {
-            try {
-                // Clean up managers
-                if (managers.quote) {
-                    // Quote manager doesn't have a destroy method, but we can clean up event listeners
-                    console.log('QuillD: Cleaning up quote manager');
-                }
+            if (destroyed) {
+                return;
+            }
+            destroyed = true;
 
-                // Remove word count container if we created it
-                const wordCountContainer = quill.container.parentNode.querySelector('.quilld-word-count');
-                if (wordCountContainer) {
-                    wordCountContainer.remove();
+            // Managers first: autosave flushes a final draft from the live editor
+            Object.keys(managers).forEach(name => {
+                try {
+                    if (typeof managers[name].destroy === 'function') {
+                        managers[name].destroy();
+                    }
+                } catch (error) {
+                    console.error(`QuillD: Error destroying ${name} manager:`, error);
                 }
+            });
 
-                // Standard Quill cleanup
-                if (typeof quill.off === 'function') {
-                    quill.off();
+            // Word count display, limits and statistics
+            cleanups.forEach(cleanup => {
+                try {
+                    cleanup();
+                } catch (error) {
+                    console.error('QuillD: Error during cleanup:', error);
                 }
-                
-                console.log('QuillD: Editor destroyed successfully');
+            });
+
+            try {
+                this.detachQuill(quill);
             } catch (error) {
                 console.error('QuillD: Error during cleanup:', error);
             }
+
+            if (this.editors.get(quill.id) === quill) {
+                this.editors.delete(quill.id);
+            }
+            console.log('QuillD: Editor destroyed successfully');
         };
 
         return quill;
     }
 
+    /**
+     * Add setMode/getMode: 'edit', 'suggest' (changes become suggestions), 'review' (read-only,
+     * counts visible) or 'present' (read-only, no chrome)
+     * Emits 'mode-change' with { mode, previous } so features with their own UI can follow
+     */
+    initializeMode(quill) {
+        let currentMode = 'edit';
+        quill.container.classList.add('quilld-mode-edit');
+
+        quill.getMode = () => currentMode;
+
+        quill.setMode = (mode) => {
+            if (!MODES[mode]) {
+                throw new Error(`QuillD: Unknown mode "${mode}". Use 'edit', 'suggest', 'review' or 'present'.`);
+            }
+            if (MODES[mode].suggesting && !quill.getManager('suggestions')) {
+                throw new Error('QuillD: Suggest mode needs the suggestions option.');
+            }
+
+            const previous = currentMode;
+            const settings = MODES[mode];
+            currentMode = mode;
+
+            quill.enable(!settings.readOnly);
+            if (settings.readOnly) {
+                quill.blur();
+            }
+
+            const toolbar = quill.getModule('toolbar');
+            if (toolbar && toolbar.container) {
+                toolbar.container.hidden = !settings.toolbar;
+            }
+
+            Object.keys(MODES).forEach(name => {
+                quill.container.classList.toggle(`quilld-mode-${name}`, name === mode);
+            });
+
+            quill.emitter.emit('mode-change', { mode, previous });
+            return quill;
+        };
+    }
+
+    /**
+     * Undo what the Quill constructor attached to the page
+     * Leaves an empty container that a new editor can be created in
+     */
+    detachQuill(quill) {
+        // The toolbar element only belongs to us when Quill built it from an array
+        const toolbar = quill.getModule('toolbar');
+        if (toolbar && Array.isArray(toolbar.options.container) && toolbar.container) {
+            toolbar.container.remove();
+        } else if (toolbar && toolbar.container) {
+            toolbar.container.hidden = false;
+        }
+
+        // Quill routes document events to every .ql-container that has a __quill instance
+        quill.emitter.removeAllListeners();
+        quill.container.classList.remove('ql-container', 'ql-snow', 'ql-bubble', 'ql-disabled',
+            ...Object.keys(MODES).map(mode => `quilld-mode-${mode}`));
+        quill.container.innerHTML = '';
+        delete quill.container.__quill;
+    }
+
     /**
      * Deep merge configuration objects
      */
@@ -326,7 +1305,16 @@ class QuillD {
                 'Links',
                 'Custom Quotes',
                 'Word Count',
-                'Character Count'
+                'Character Count',
+                'Reading Statistics',
+                'Markdown Import/Export',
+                'Autosave & Draft Recovery',
+                'Real-time Collaboration',
+                'Comment Threads',
+                'Suggested Changes',
+                'Named Revisions',
+                'Mentions',
+                'Slash Commands'
             ],
             extensions: QuoteManager ? ['Quote'] : []
         };
@@ -39,12 +39,127 @@ class QuillM {
    * Initialize and register all extensions
    */
   initializeExtensions() {
-    // Register Quote extension if QuoteManager is available
+    // Register Quote extension if QuoteManager is available (quote.js registers its own blot)
     if (typeof QuoteManager !== 'undefined') {
-      this.extensions.set('quote', {
-        name: 'quote',
-        type: 'manager',
-        managerClass: QuoteManager
+      this.registerExtension('quote', {
+        managerClass: QuoteManager,
+        commands: {
+          name: 'quote',
+          label: 'commands.quote',
+          keywords: ['citation'],
+          run: (quill, manager) => manager && manager.showQuoteDialog()
+        }
+      });
+    }
+
+    // Comment threads with a side panel; editors opt in with extensions.include
+    if (typeof CommentsManager !== 'undefined') {
+      this.registerExtension('comments', {
+        managerClass: CommentsManager,
+        toolbar: {
+          name: 'comment',
+          icon: '<svg viewBox="0 0 18 18"><path class="ql-stroke" d="M3 4h12v8H8l-3 3v-3H3z"/></svg>',
+          handler: (quill, manager) => manager && manager.startComment()
+        },
+        enabledByDefault: false
+      });
+    }
+
+    // Suggested changes; the toolbar button turns suggesting mode on and off
+    if (typeof SuggestionsManager !== 'undefined') {
+      // Toolbar state listeners per editor, removed again on destroy
+      const pressedListeners = new WeakMap();
+      this.registerExtension('suggestions', {
+        managerClass: SuggestionsManager,
+        toolbar: {
+          name: 'suggest',
+          icon: '<svg viewBox="0 0 18 18"><path class="ql-stroke" d="M11 3l4 4-8 8H3v-4z"/><line class="ql-stroke" x1="9" x2="13" y1="5" y2="9"/></svg>',
+          handler: (quill, manager) => manager && manager.setSuggesting(!manager.isSuggesting())
+        },
+        commands: {
+          name: 'suggest',
+          label: 'commands.suggest',
+          keywords: ['track', 'review'],
+          run: (quill, manager) => manager && manager.setSuggesting(!manager.isSuggesting())
+        },
+        // The toolbar clears ql-active on every selection change, so the state goes in aria-pressed
+        init: (quill, manager) => {
+          const toolbar = quill.getModule('toolbar');
+          const button = toolbar && toolbar.container ? toolbar.container.querySelector('button.ql-suggest') : null;
+          if (manager && button) {
+            const update = ({ suggesting }) => button.setAttribute('aria-pressed', String(suggesting));
+            update({ suggesting: manager.isSuggesting() });
+            quill.on('suggesting-change', update);
+            pressedListeners.set(quill, update);
+          }
+        },
+        destroy: (quill) => {
+          const update = pressedListeners.get(quill);
+          if (update) {
+            quill.off('suggesting-change', update);
+            pressedListeners.delete(quill);
+          }
+        },
+        enabledByDefault: false
+      });
+    }
+
+    // Named revisions; the toolbar button opens the history browser
+    if (typeof RevisionsManager !== 'undefined') {
+      this.registerExtension('revisions', {
+        managerClass: RevisionsManager,
+        toolbar: {
+          name: 'history',
+          icon: '<svg viewBox="0 0 18 18"><circle class="ql-stroke" cx="9" cy="9" r="6"/><polyline class="ql-stroke" points="9 5 9 9 12 11"/></svg>',
+          handler: (quill, manager) => manager && manager.showHistory()
+        },
+        commands: {
+          name: 'history',
+          label: 'revisions.title',
+          keywords: ['revisions', 'versions'],
+          run: (quill, manager) => manager && manager.showHistory()
+        },
+        init: (quill, manager) => {
+          if (manager) {
+            quill.createRevision = (label) => manager.createRevision(label);
+          }
+        },
+        enabledByDefault: false
+      });
+    }
+
+    // Mentions need a source, given in extensions.options.mentions
+    if (typeof MentionsManager !== 'undefined') {
+      this.registerExtension('mentions', {
+        managerClass: MentionsManager,
+        init: (quill, manager) => {
+          if (manager) {
+            quill.getMentions = () => manager.getMentions();
+          }
+        },
+        enabledByDefault: false
+      });
+    }
+
+    // Slash command palette; other extensions contribute entries with their commands option
+    if (typeof CommandsManager !== 'undefined') {
+      this.registerExtension('commands', {
+        managerClass: CommandsManager,
+        init: (quill, manager) => {
+          if (manager) {
+            quill.registerCommand = (command) => manager.registerCommand(command);
+            quill.executeCommand = (name) => manager.execute(name);
+          }
+        },
+        enabledByDefault: false
+      });
+    }
+
+    // Collaboration needs a server, so editors opt in with extensions.include
+    if (typeof CollabManager !== 'undefined') {
+      this.registerExtension('collab', {
+        managerClass: CollabManager,
+        enabledByDefault: false
       });
     }
   }
@@ -56,56 +171,228 @@ class QuillM {
    * @returns {Object} Enhanced Quill instance with extension managers
    */
   createEditor(container, config = {}) {
+    // Separate QuillM options from the Quill configuration
+    const { sanitize, extensions, notify, locale, messages, ...quillConfig } = config;
+
+    // Work out which extensions this editor uses, dependencies first
+    const activeExtensions = this.resolveExtensions(extensions);
+
     // Merge configurations
-    const finalConfig = this.mergeConfig(this.defaultConfig, config);
+    const finalConfig = this.mergeConfig(this.defaultConfig, quillConfig);
+    if (quillConfig.placeholder === undefined) {
+      finalConfig.placeholder = this.translate({ locale, messages }, 'editor.placeholder', finalConfig.placeholder);
+    }
+    this.applyExtensionToolbars(finalConfig, activeExtensions);
+
+    activeExtensions.forEach(extension => this.loadCSS(extension.css));
     
     // Create Quill instance
     const quill = new Quill(container, finalConfig);
     
     // Initialize extension managers
-    const managers = this.initializeManagers(quill);
+    const managers = this.initializeManagers(quill, activeExtensions, (extensions && extensions.options) || {}, { notify, locale, messages });
+    this.applyExtensionCommands(managers, activeExtensions);
     
     // Return enhanced Quill instance
-    return this.createEnhancedQuill(quill, managers);
+    return this.createEnhancedQuill(quill, managers, { sanitize, extensions: activeExtensions });
+  }
+
+  /**
+   * Resolve the extensions an editor should activate, in dependency order
+   * @param {Object} selection - { include: [...], exclude: [...] } for this editor
+   * @returns {Array} Extension definitions, each after the extensions it depends on
+   */
+  resolveExtensions(selection = {}) {
+    const include = selection.include || [];
+    const exclude = new Set(selection.exclude || []);
+
+    include
+      .filter(name => !this.extensions.has(name))
+      .forEach(name => console.warn(`QuillM: Unknown extension "${name}"`));
+
+    const requested = Array.from(this.extensions.values()).filter(extension =>
+      (extension.enabledByDefault || include.includes(extension.name)) && !exclude.has(extension.name)
+    );
+
+    const ordered = [];
+    const states = new Map();
+
+    const visit = (extension, path) => {
+      const state = states.get(extension.name);
+      if (state === 'visiting') {
+        throw new Error(`QuillM: Circular extension dependency: ${[...path, extension.name].join(' -> ')}`);
+      }
+      if (state) {
+        return state === 'active';
+      }
+
+      states.set(extension.name, 'visiting');
+      const satisfied = extension.dependencies.every(name => {
+        const dependency = this.extensions.get(name);
+        if (!dependency || exclude.has(name)) {
+          console.warn(`QuillM: Extension "${extension.name}" skipped, it depends on ${dependency ? 'excluded' : 'unregistered'} extension "${name}"`);
+          return false;
+        }
+        return visit(dependency, [...path, extension.name]);
+      });
+
+      states.set(extension.name, satisfied ? 'active' : 'skipped');
+      if (satisfied) {
+        ordered.push(extension);
+      }
+      return satisfied;
+    };
+
+    requested.forEach(extension => visit(extension, []));
+    return ordered;
+  }
+
+  /**
+   * Add extension toolbar buttons and handlers to the configuration
+   * Handlers must be known when Quill is constructed, or buttons without a matching format are ignored
+   * @param {Object} config - Merged Quill configuration (modified in place)
+   * @param {Array} extensions - Active extensions
+   */
+  applyExtensionToolbars(config, extensions) {
+    const items = extensions.reduce((all, extension) => all.concat(
+      extension.toolbar.map(item => ({ ...item, extension: extension.name }))
+    ), []);
+
+    if (items.length === 0 || !config.modules || !config.modules.toolbar) {
+      return;
+    }
+
+    let toolbar = config.modules.toolbar;
+    if (Array.isArray(toolbar) || typeof toolbar === 'string' || toolbar.nodeType) {
+      toolbar = { container: toolbar };
+    }
+
+    // Copy before adding buttons so the caller's toolbar array is left untouched
+    let container = toolbar.container;
+    if (Array.isArray(container)) {
+      container = container.slice();
+      const hasButton = name => container.some(group => group === name || (Array.isArray(group) &&
+        group.some(entry => entry === name || (entry && typeof entry === 'object' && name in entry))));
+      items.forEach(item => {
+        if (!hasButton(item.name)) {
+          container.push([item.name]);
+        }
+      });
+    }
+
+    const handlers = { ...(toolbar.handlers || {}) };
+    items.filter(item => typeof item.handler === 'function').forEach(item => {
+      // Called by the toolbar module, which holds the quill instance
+      handlers[item.name] = function(value) {
+        const manager = this.quill.managers ? this.quill.managers[item.extension] || null : null;
+        return item.handler(this.quill, manager, value);
+      };
+    });
+
+    config.modules.toolbar = { ...toolbar, container, handlers };
   }
 
   /**
    * Initialize extension managers
    * @param {Object} quill - Quill instance
+   * @param {Array} extensions - Active extensions in dependency order
+   * @param {Object} extensionOptions - Manager options by extension name
+   * @param {Object} sharedOptions - { notify, locale, messages } given to every manager
    * @returns {Object} Extension managers
    */
-  initializeManagers(quill) {
+  initializeManagers(quill, extensions = [], extensionOptions = {}, sharedOptions = {}) {
     const managers = {};
     
-    // Initialize Quote manager if available
-    if (this.extensions.has('quote')) {
-      const quoteExtension = this.extensions.get('quote');
-      if (quoteExtension.managerClass) {
-        managers.quote = new quoteExtension.managerClass(quill);
+    extensions.forEach(extension => {
+      try {
+        if (extension.managerClass) {
+          managers[extension.name] = new extension.managerClass(quill, { ...sharedOptions, ...extensionOptions[extension.name] });
+        }
+        if (typeof extension.init === 'function') {
+          extension.init(quill, managers[extension.name] || null, managers);
+        }
+      } catch (error) {
+        console.error(`QuillM: Failed to initialize extension "${extension.name}":`, error);
       }
-    }
+    });
     
     return managers;
   }
 
+  /**
+   * Offer each active extension's commands in the slash palette, when the commands extension is active
+   * @param {Object} managers - Extension managers
+   * @param {Array} extensions - Active extensions
+   */
+  applyExtensionCommands(managers, extensions = []) {
+    if (!managers.commands) {
+      return;
+    }
+
+    extensions.forEach(extension => {
+      extension.commands.forEach(command => {
+        try {
+          managers.commands.registerCommand({
+            ...command,
+            run: quill => command.run(quill, managers[extension.name] || null)
+          });
+        } catch (error) {
+          console.error(`QuillM: Failed to add command "${command.name}" from extension "${extension.name}":`, error);
+        }
+      });
+    });
+  }
+
   /**
    * Create enhanced Quill instance with extension methods
    * @param {Object} quill - Original Quill instance
    * @param {Object} managers - Extension managers
+   * @param {Object} options - QuillM options (sanitize, extensions)
    * @returns {Object} Enhanced Quill instance
    */
-  createEnhancedQuill(quill, managers) {
+  createEnhancedQuill(quill, managers, options = {}) {
+    const extensions = options.extensions || [];
+
     // Add extension managers to quill instance
     quill.managers = managers;
+    quill.extensions = extensions.map(extension => extension.name);
     
     // Add convenience methods for quote functionality
     if (managers.quote) {
-      quill.insertQuote = (content, author) => {
-        return managers.quote.insertQuote(content, author);
+      quill.insertQuote = (content, authorOrIndex, citation) => {
+        return managers.quote.insertQuote(content, authorOrIndex, citation);
+      };
+      
+      quill.insertQuoteAt = (index, content) => {
+        return managers.quote.insertQuoteAt(index, content);
+      };
+      
+      quill.createQuoteFromSelection = (author) => {
+        return managers.quote.createQuoteFromSelection(author);
+      };
+      
+      quill.getAllQuotes = () => {
+        return managers.quote.getAllQuotes();
+      };
+      
+      quill.updateQuote = (index, content) => {
+        return managers.quote.updateQuote(index, content);
+      };
+      
+      quill.removeQuote = (index) => {
+        return managers.quote.removeQuote(index);
+      };
+      
+      quill.removeAllQuotes = () => {
+        return managers.quote.removeAllQuotes();
+      };
+      
+      quill.showQuoteDialog = (defaultContent, dialogOptions) => {
+        return managers.quote.showQuoteDialog(defaultContent, dialogOptions);
       };
       
-      quill.showQuoteDialog = (defaultContent) => {
-        return managers.quote.showQuoteDialog(defaultContent);
+      quill.editQuote = (target) => {
+        return managers.quote.editQuote(target);
       };
       
       quill.isValidQuoteContent = (content) => {
@@ -115,27 +402,56 @@ class QuillM {
     
     // Add export/import methods
     quill.exportContent = () => {
-      return {
+      const content = {
         delta: quill.getContents(),
         html: quill.root.innerHTML,
         text: quill.getText()
       };
+      // Threads are kept beside the Delta, never inside it
+      if (managers.comments) {
+        content.comments = managers.comments.getThreads();
+      }
+      return content;
     };
     
     quill.importContent = (content) => {
+      let report;
       if (content.delta) {
         quill.setContents(content.delta);
       } else if (content.html) {
-        quill.root.innerHTML = content.html;
+        report = this.importHTML(quill, content.html, options.sanitize);
       } else if (content.text) {
         quill.setText(content.text);
       }
+
+      // Threads refer to the imported content, so they load after it
+      if (content.comments && managers.comments) {
+        managers.comments.setThreads(content.comments);
+      }
+      return report;
     };
     
     // Utility method to get extension manager
     quill.getManager = (extensionName) => {
       return managers[extensionName] || null;
     };
+
+    // Tear extensions down in reverse activation order
+    quill.destroy = () => {
+      extensions.slice().reverse().forEach(extension => {
+        const manager = managers[extension.name] || null;
+        try {
+          if (typeof extension.destroy === 'function') {
+            extension.destroy(quill, manager);
+          }
+          if (manager && typeof manager.destroy === 'function') {
+            manager.destroy();
+          }
+        } catch (error) {
+          console.error(`QuillM: Failed to destroy extension "${extension.name}":`, error);
+        }
+      });
+    };
     
     return quill;
   }
@@ -156,7 +472,7 @@ class QuillM {
           ['link', 'clean']
         ]
       },
-      placeholder: 'Type here...',
+      placeholder: this.translate(config, 'editor.placeholderSimple', 'Type here...'),
       ...config
     };
     
@@ -172,13 +488,27 @@ class QuillM {
   createBubbleEditor(container, config = {}) {
     const bubbleConfig = {
       theme: 'bubble',
-      placeholder: 'Click to start typing...',
+      placeholder: this.translate(config, 'editor.placeholderBubble', 'Click to start typing...'),
       ...config
     };
     
     return this.createEditor(container, bubbleConfig);
   }
 
+  /**
+   * Translate a UI string for the config's locale
+   * @param {Object} config - Editor config with optional locale and messages
+   * @param {string} key - Message key
+   * @param {string} fallback - English text, used when i18n.js is not loaded
+   * @returns {string} Translated text
+   */
+  translate(config, key, fallback) {
+    if (typeof Translator === 'undefined') {
+      return fallback;
+    }
+    return new Translator({ locale: config.locale, messages: config.messages }).t(key);
+  }
+
   /**
    * Create a read-only viewer
    * @param {string|HTMLElement} container - Container selector or element
@@ -195,18 +525,33 @@ class QuillM {
     };
     
     const viewer = this.createEditor(container, viewerConfig);
-    
-    if (content.delta) {
-      viewer.setContents(content.delta);
-    } else if (content.html) {
-      viewer.root.innerHTML = content.html;
-    } else if (content.text) {
-      viewer.setText(content.text);
-    }
+    viewer.importContent(content);
     
     return viewer;
   }
 
+  /**
+   * Import HTML through the sanitizer and Quill's clipboard conversion
+   * @param {Object} quill - Quill instance
+   * @param {string} html - Untrusted HTML
+   * @param {Object} sanitizeOptions - Allowlist configuration for HtmlSanitizer
+   * @returns {Object} Sanitization report ({ html, removed })
+   */
+  importHTML(quill, html, sanitizeOptions = {}) {
+    if (typeof HtmlSanitizer === 'undefined') {
+      // Without the sanitizer only the text content can be imported safely
+      console.warn('QuillM: HtmlSanitizer is not loaded, importing HTML as plain text');
+      const doc = new DOMParser().parseFromString(html, 'text/html');
+      quill.setText(doc.body.textContent || '');
+      return { html: '', removed: [{ type: 'markup', name: 'all' }] };
+    }
+
+    // Sanitize first: the clipboard renders into a live element while converting
+    const report = HtmlSanitizer.sanitize(html, sanitizeOptions);
+    quill.setContents(quill.clipboard.convert(report.html));
+    return report;
+  }
+
   /**
    * Create editor with quote functionality enabled
    * @param {string|HTMLElement} container - Container selector or element
@@ -256,11 +601,46 @@ class QuillM {
 
   /**
    * Register a new extension
+   * Blots and toolbar icons are registered with Quill immediately; everything else
+   * is activated per editor by createEditor
    * @param {string} name - Extension name
    * @param {Object} extension - Extension configuration
+   * @param {Array|Function} extension.blots - Blots to register (alias: blot)
+   * @param {Function} extension.managerClass - Instantiated as new managerClass(quill, options) (alias: manager)
+   * @param {Array|Object} extension.toolbar - Buttons: { name, icon, handler(quill, manager, value) }
+   * @param {Array|Object} extension.commands - Slash palette entries: { name, label, keywords, run(quill, manager) }
+   * @param {Array|string} extension.css - Stylesheet URLs loaded on first use
+   * @param {Array} extension.dependencies - Extensions that must be activated first
+   * @param {Function} extension.init - Called as init(quill, manager, managers) after the manager is created
+   * @param {Function} extension.destroy - Called as destroy(quill, manager) by quill.destroy()
+   * @param {boolean} extension.enabledByDefault - Activate unless an editor excludes it (default true)
    */
-  registerExtension(name, extension) {
-    this.extensions.set(name, extension);
+  registerExtension(name, extension = {}) {
+    const toArray = value => value ? [].concat(value) : [];
+
+    const definition = {
+      ...extension,
+      name,
+      blots: toArray(extension.blots || extension.blot),
+      managerClass: extension.managerClass || extension.manager || null,
+      toolbar: toArray(extension.toolbar),
+      commands: toArray(extension.commands),
+      css: toArray(extension.css),
+      dependencies: toArray(extension.dependencies),
+      enabledByDefault: extension.enabledByDefault !== false
+    };
+
+    definition.blots.forEach(blot => Quill.register(blot, true));
+
+    const icons = Quill.import('ui/icons');
+    definition.toolbar
+      .filter(item => item.icon)
+      .forEach(item => {
+        icons[item.name] = item.icon;
+      });
+
+    this.extensions.set(name, definition);
+    return definition;
   }
 
   /**
@@ -4,145 +4,243 @@
  */
 
 import Quill from 'quill';
+import HtmlSanitizer from './sanitize.js';
+import Translator from './i18n.js';
+import { trapFocus } from './utils.js';
 
 const BlockEmbed = Quill.import('blots/block/embed');
 
-/**
- * INTERNAL: Quote Validator Class
- * Used internally by QuoteBlot and QuoteManager
- */
-class QuoteValidator {
-    static isValidQuoteContent(richText) {
-        if (!richText || typeof richText !== 'string') {
-            return true;
-        }
-
-        const temp = document.createElement('div');
-        temp.innerHTML = richText;
+// Optional citation fields stored alongside { content, author }
+const CITATION_FIELDS = ['sourceTitle', 'sourceUrl', 'date', 'locator'];
 
-        return (
-            !this.hasQuoteBlocks(temp) &&
-            !this.hasBlockquotes(temp) &&
-            !this.hasQuoteMarkers(temp) &&
-            !this.hasQuoteClasses(temp) &&
-            !this.hasQuoteAttributes(temp)
-        );
+// Quote text is rendered inline-rich only; block structure beyond paragraphs is not allowed
+const QUOTE_SANITIZE_OPTIONS = {
+    allowedTags: ['p', 'br', 'span', 'strong', 'b', 'em', 'i', 'u', 's', 'sub', 'sup', 'code', 'a'],
+    allowedAttributes: {
+        a: ['href', 'target', 'rel']
     }
+};
 
-    static hasQuoteBlocks(container) {
-        const quoteSelectors = [
-            '.ql-quote-block',
-            '.quote-block', 
-            '.quote',
-            '.quotation'
-        ];
-        return quoteSelectors.some(selector => 
-            container.querySelector(selector) !== null
-        );
-    }
+// Keyboard shortcut that opens the quote dialog (Ctrl+Shift+Q, Cmd+Shift+Q on macOS)
+const DEFAULT_SHORTCUT = { key: 'Q', shortKey: true, shiftKey: true };
 
-    static hasBlockquotes(container) {
-        return container.querySelector('blockquote') !== null;
-    }
+// Elements the dialog's focus trap cycles through
+const FOCUSABLE_SELECTOR = '[contenteditable="true"], input:not([disabled]), button:not([disabled]), a[href]';
 
-    static hasQuoteClasses(container) {
-        const elements = container.querySelectorAll('*');
-        for (let element of elements) {
-            const className = element.className || '';
-            if (typeof className === 'string' && className.toLowerCase().includes('quote')) {
-                return true;
-            }
-        }
-        return false;
-    }
+// Gives each dialog instance its own element ids
+let dialogCount = 0;
 
-    static hasQuoteAttributes(container) {
-        const quoteAttributes = [
-            '[data-quote]',
-            '[data-quotation]',
-            '[data-cite]',
-            '[role="blockquote"]'
-        ];
-        return quoteAttributes.some(selector => 
-            container.querySelector(selector) !== null
-        );
-    }
+// Stable codes sent with every user-facing message, for mapping to your own copy
+const NOTIFY_CODES = Object.freeze({
+    NO_CURSOR: 'QUOTE_NO_CURSOR',
+    NO_SELECTION: 'QUOTE_NO_SELECTION',
+    NESTED: 'QUOTE_NESTED',
+    INVALID_CONTENT: 'QUOTE_INVALID_CONTENT',
+    INVALID_POSITION: 'QUOTE_INVALID_POSITION',
+    INVALID_URL: 'QUOTE_INVALID_URL',
+    NOT_FOUND: 'QUOTE_NOT_FOUND',
+    INSERT_FAILED: 'QUOTE_INSERT_FAILED'
+});
 
-    static hasQuoteMarkers(container) {
-        const textContent = container.textContent || '';
-        const lines = textContent.split('\n');
-        return lines.some(line => /^\s*>\s/.test(line.trim()));
-    }
+// Class tokens that mark an element as a quote: quote, quotation, blockquote, pullquote,
+// quote-block, ql-quote-... — but not words that merely start with "quote", like quoted-price
+const QUOTE_CLASS_PATTERN = /^(ql-)?(block|pull)?quot(e|ation)(-|$)/i;
 
-    static getValidationDetails(richText) {
-        if (!richText || typeof richText !== 'string') {
-            return { isValid: true, reasons: [] };
-        }
+const QUOTE_ATTRIBUTES = ['data-quote', 'data-quotation', 'data-cite'];
 
-        const temp = document.createElement('div');
-        temp.innerHTML = richText;
-        const reasons = [];
+// A line of text starting with a Markdown quote marker
+const QUOTE_MARKER_PATTERN = /^[ \t]*>\s/;
+
+const BLOCK_TAGS = ['P', 'DIV', 'LI', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'PRE', 'BLOCKQUOTE'];
+
+// Pasted text: a Markdown quote line, attribution lines such as "— Name" or "- Name", and a list item
+const MARKDOWN_QUOTE_LINE = /^\s*>/;
+const ATTRIBUTION_LINE = /^\s*(?:[—–―]|-{1,2})\s*(\S.{0,79})$/;
+const LIST_ITEM_LINE = /^\s*(?:[-*+•]|\d+[.)])\s/;
 
-        if (this.hasQuoteBlocks(temp)) {
-            reasons.push('Contains quote block elements');
+// Pasted HTML keeps footer and cite so a blockquote's credit can become the quote author
+const PASTE_SANITIZE_OPTIONS = {
+    allowedTags: [...HtmlSanitizer.defaults.allowedTags, 'footer', 'cite']
+};
+
+/**
+ * Built-in validation rules
+ * test(container) returns the first offending node, or null
+ * sanitize(container) cleans every offending node in place
+ */
+const BUILT_IN_RULES = {
+    quoteBlocks: {
+        code: 'QUOTE_BLOCK_ELEMENT',
+        reason: 'quote.reason.quoteBlocks',
+        test: container => container.querySelector('.ql-quote-block, .quote-block, .quote, .quotation'),
+        sanitize: container => {
+            container.querySelectorAll('.ql-quote-block, .quote-block, .quote, .quotation')
+                .forEach(el => el.remove());
         }
-        if (this.hasBlockquotes(temp)) {
-            reasons.push('Contains HTML blockquote elements');
+    },
+    blockquotes: {
+        code: 'QUOTE_BLOCKQUOTE',
+        reason: 'quote.reason.blockquotes',
+        test: container => container.querySelector('blockquote'),
+        sanitize: container => {
+            container.querySelectorAll('blockquote').forEach(blockquote => {
+                const p = container.ownerDocument.createElement('p');
+                p.innerHTML = blockquote.innerHTML;
+                blockquote.parentNode.replaceChild(p, blockquote);
+            });
         }
-        if (this.hasQuoteMarkers(temp)) {
-            reasons.push('Contains quote markers (lines starting with >)');
+    },
+    quoteMarkers: {
+        code: 'QUOTE_MARKER',
+        reason: 'quote.reason.quoteMarkers',
+        test: container => QuoteValidator.getTextNodes(container)
+            .find(node => QuoteValidator.getLines(node).some(line => QUOTE_MARKER_PATTERN.test(line))) || null,
+        sanitize: container => {
+            QuoteValidator.getTextNodes(container).forEach(node => {
+                const lines = node.textContent.split('\n');
+                const startsLine = QuoteValidator.startsLine(node);
+                node.textContent = lines.map((line, i) =>
+                    i > 0 || startsLine ? line.replace(/^[ \t]*>\s*/, '') : line
+                ).join('\n');
+            });
         }
-        if (this.hasQuoteClasses(temp)) {
-            reasons.push('Contains elements with quote-related CSS classes');
+    },
+    quoteClasses: {
+        code: 'QUOTE_CLASS',
+        reason: 'quote.reason.quoteClasses',
+        test: container => Array.from(container.querySelectorAll('[class]'))
+            .find(el => Array.from(el.classList).some(name => QUOTE_CLASS_PATTERN.test(name))) || null,
+        sanitize: container => {
+            container.querySelectorAll('[class]').forEach(el => {
+                Array.from(el.classList)
+                    .filter(name => QUOTE_CLASS_PATTERN.test(name))
+                    .forEach(name => el.classList.remove(name));
+            });
         }
-        if (this.hasQuoteAttributes(temp)) {
-            reasons.push('Contains elements with quote-related attributes');
+    },
+    quoteAttributes: {
+        code: 'QUOTE_ATTRIBUTE',
+        reason: 'quote.reason.quoteAttributes',
+        test: container => container.querySelector('[data-quote], [data-quotation], [data-cite], [role="blockquote"]'),
+        sanitize: container => {
+            container.querySelectorAll('[data-quote], [data-quotation], [data-cite], [role="blockquote"]').forEach(el => {
+                QUOTE_ATTRIBUTES.forEach(name => el.removeAttribute(name));
+                if (el.getAttribute('role') === 'blockquote') {
+                    el.removeAttribute('role');
+                }
+            });
         }
+    }
+};
 
-        return {
-            isValid: reasons.length === 0,
-            reasons: reasons
-        };
+/**
+ * INTERNAL: Quote Validator Class
+ * Checks quote content against a set of rules; one instance per editor
+ */
+class QuoteValidator {
+    /**
+     * @param {Object} options - { rules, mode, translator }
+     *   rules: built-in rule names mapped to false to turn them off, and custom rule
+     *     names mapped to { code, reason, test(container), sanitize(container) }
+     *   mode: 'reject' refuses invalid content; 'sanitize' cleans it and rejects only what cannot be cleaned
+     */
+    constructor(options = {}) {
+        this.mode = options.mode === 'sanitize' ? 'sanitize' : 'reject';
+        this.translator = options.translator || new Translator();
+
+        const config = { ...BUILT_IN_RULES, ...options.rules };
+        this.rules = Object.keys(config)
+            .filter(name => config[name] !== false)
+            .map(name => {
+                const rule = config[name] === true ? BUILT_IN_RULES[name] : config[name];
+                if (!rule || typeof rule.test !== 'function') {
+                    console.warn(`QuoteValidator: Rule "${name}" has no test function and is ignored`);
+                    return null;
+                }
+                return { name, code: rule.code || name, reason: rule.reason || name, test: rule.test, sanitize: rule.sanitize };
+            })
+            .filter(Boolean);
     }
 
-    static sanitizeQuoteContent(richText) {
+    /**
+     * Run every rule
+     * @returns {Object} { isValid, reasons, failures: [{ rule, code, reason, node }] }
+     */
+    validate(richText) {
         if (!richText || typeof richText !== 'string') {
-            return richText;
+            return { isValid: true, reasons: [], failures: [] };
         }
+        return this.check(this.createContainer(richText));
+    }
 
-        const temp = document.createElement('div');
-        temp.innerHTML = richText;
+    isValid(richText) {
+        return this.validate(richText).isValid;
+    }
 
-        // Remove quote blocks
-        temp.querySelectorAll('.ql-quote-block, .quote-block, .quote, .quotation')
-            .forEach(el => el.remove());
+    /**
+     * Clean content with each failing rule's sanitize step
+     * Rules without one drop the offending nodes
+     * @returns {Object} The validation result for the cleaned content, plus its html
+     */
+    sanitize(richText) {
+        if (!richText || typeof richText !== 'string') {
+            return { html: richText, isValid: true, reasons: [], failures: [] };
+        }
 
-        // Convert blockquotes to paragraphs
-        temp.querySelectorAll('blockquote').forEach(blockquote => {
-            const p = document.createElement('p');
-            p.innerHTML = blockquote.innerHTML;
-            blockquote.parentNode.replaceChild(p, blockquote);
+        const container = this.createContainer(richText);
+        this.check(container).failures.forEach(failure => {
+            const rule = this.rules.find(candidate => candidate.name === failure.rule);
+            if (typeof rule.sanitize === 'function') {
+                rule.sanitize(container);
+                return;
+            }
+            this.removeOffendingNodes(rule, container);
         });
 
-        // Remove quote attributes
-        temp.querySelectorAll('[data-quote], [data-quotation], [data-cite]').forEach(el => {
-            el.removeAttribute('data-quote');
-            el.removeAttribute('data-quotation');
-            el.removeAttribute('data-cite');
-        });
+        return { html: container.innerHTML, ...this.check(container) };
+    }
 
-        // Clean quote markers from text
-        const textNodes = this.getTextNodes(temp);
-        textNodes.forEach(node => {
-            node.textContent = node.textContent.replace(/^>\s*/gm, '');
+    // PRIVATE: Internal methods (not part of public API)
+    check(container) {
+        const failures = [];
+        this.rules.forEach(rule => {
+            const result = rule.test(container);
+            if (result) {
+                failures.push({
+                    rule: rule.name,
+                    code: rule.code,
+                    reason: this.translator.t(rule.reason),
+                    node: result === true ? null : result
+                });
+            }
         });
 
-        return temp.innerHTML;
+        return {
+            isValid: failures.length === 0,
+            reasons: failures.map(failure => failure.reason),
+            failures
+        };
+    }
+
+    removeOffendingNodes(rule, container) {
+        let node = rule.test(container);
+        while (node && node !== true && node !== container && node.parentNode) {
+            node.parentNode.removeChild(node);
+            node = rule.test(container);
+        }
+    }
+
+    // Parse into an inert document so untrusted markup cannot load resources or run handlers
+    createContainer(richText) {
+        const doc = document.implementation.createHTMLDocument('');
+        const temp = doc.createElement('div');
+        temp.innerHTML = richText;
+        return temp;
     }
 
     static getTextNodes(element) {
         const textNodes = [];
-        const walker = document.createTreeWalker(
+        const walker = element.ownerDocument.createTreeWalker(
             element,
             NodeFilter.SHOW_TEXT,
             null,
@@ -155,8 +253,36 @@ class QuoteValidator {
         }
         return textNodes;
     }
+
+    // Lines of a text node that begin a visual line
+    static getLines(node) {
+        const lines = node.textContent.split('\n');
+        return this.startsLine(node) ? lines : lines.slice(1);
+    }
+
+    static startsLine(node) {
+        let current = node;
+        while (current.parentNode) {
+            const previous = current.previousSibling;
+            if (previous && previous.nodeName !== 'BR') {
+                return false;
+            }
+            if (previous || BLOCK_TAGS.includes(current.parentNode.nodeName) || !current.parentNode.parentNode) {
+                return true;
+            }
+            current = current.parentNode;
+        }
+        return true;
+    }
 }
 
+// Used by the blot, which has no editor: removes nested quotes and turns blockquotes into
+// paragraphs (the quote sanitizer would drop the tag anyway), whatever the editor's rules
+const BLOT_VALIDATOR = new QuoteValidator({
+    mode: 'sanitize',
+    rules: { quoteMarkers: false, quoteClasses: false, quoteAttributes: false }
+});
+
 /**
  * INTERNAL: Quote Blot Class
  * Registered with Quill internally, not accessed externally
@@ -173,12 +299,18 @@ class QuoteBlot extends BlockEmbed {
             value = { content: '', author: '' };
         }
 
-        // Internal validation and sanitization
+        // Editor rules ran in QuoteManager; here only structure that cannot render is cleaned
         let content = value.content || '';
-        if (!QuoteValidator.isValidQuoteContent(content)) {
+        if (!BLOT_VALIDATOR.isValid(content)) {
             console.warn('Invalid quote content detected, sanitizing...');
-            content = QuoteValidator.sanitizeQuoteContent(content);
+            content = BLOT_VALIDATOR.sanitize(content).html;
+        }
+
+        const report = HtmlSanitizer.sanitize(content, QUOTE_SANITIZE_OPTIONS);
+        if (report.removed.length > 0) {
+            console.warn('Unsafe quote markup removed:', report.removed);
         }
+        content = report.html;
 
         const quoteContent = document.createElement('div');
         quoteContent.className = 'ql-quote-content';
@@ -199,6 +331,12 @@ class QuoteBlot extends BlockEmbed {
 
         quoteContent.appendChild(quoteText);
         quoteContent.appendChild(quoteAuthor);
+
+        const citation = this.createCitation(value);
+        if (citation) {
+            quoteContent.appendChild(citation);
+        }
+
         node.appendChild(quoteContent);
         node.appendChild(deleteButton);
 
@@ -206,18 +344,66 @@ class QuoteBlot extends BlockEmbed {
         return node;
     }
 
+    static createCitation(value) {
+        const sourceUrl = value.sourceUrl && HtmlSanitizer.isSafeUrl(value.sourceUrl) ? value.sourceUrl : '';
+        if (!value.sourceTitle && !sourceUrl && !value.date && !value.locator) {
+            return null;
+        }
+
+        const cite = document.createElement('cite');
+        cite.className = 'ql-quote-cite';
+
+        if (value.sourceTitle || sourceUrl) {
+            const source = document.createElement(sourceUrl ? 'a' : 'span');
+            source.className = 'ql-quote-source';
+            source.textContent = value.sourceTitle || sourceUrl;
+            if (sourceUrl) {
+                source.href = sourceUrl;
+                source.target = '_blank';
+                source.rel = 'noopener noreferrer';
+                if (!value.sourceTitle) {
+                    // The URL doubles as the label; remember that there is no title
+                    source.classList.add('ql-quote-source-url');
+                }
+            }
+            cite.appendChild(source);
+        }
+
+        if (value.date) {
+            const date = document.createElement('span');
+            date.className = 'ql-quote-date';
+            date.textContent = value.date;
+            cite.appendChild(date);
+        }
+
+        if (value.locator) {
+            const locator = document.createElement('span');
+            locator.className = 'ql-quote-locator';
+            locator.textContent = value.locator;
+            cite.appendChild(locator);
+        }
+
+        return cite;
+    }
+
     static setupDeleteHandler(node, deleteButton) {
         deleteButton.addEventListener('click', (e) => {
             e.preventDefault();
             e.stopPropagation();
-            
+
+            // The QuoteManager takes the request so the deletion fires events and can be undone
+            const request = new CustomEvent('quote-delete-request', { bubbles: true, cancelable: true });
+            if (!node.dispatchEvent(request)) {
+                return;
+            }
+
+            // No manager: still delete through Quill's change pipeline
             const quillContainer = node.closest('.ql-container');
-            if (quillContainer && quillContainer.parentNode.__quill) {
-                const quill = quillContainer.parentNode.__quill;
-                const blot = Quill.find(node);
-                if (blot) {
-                    blot.remove();
-                    quill.focus();
+            const quill = quillContainer ? Quill.find(quillContainer) : null;
+            const blot = Quill.find(node);
+            if (quill instanceof Quill && blot) {
+                if (quill.isEnabled()) {
+                    quill.deleteText(quill.getIndex(blot), 1, Quill.sources.USER);
                 }
             } else {
                 node.remove();
@@ -229,15 +415,40 @@ class QuoteBlot extends BlockEmbed {
         const quoteText = node.querySelector('.ql-quote-text');
         const quoteAuthor = node.querySelector('.ql-quote-author');
         
-        return {
+        const value = {
             content: quoteText ? quoteText.innerHTML : '',
             author: quoteAuthor ? quoteAuthor.textContent : ''
         };
+
+        // Citation keys are only present when set, so plain quotes keep their original shape
+        const source = node.querySelector('.ql-quote-source');
+        if (source) {
+            if (!source.classList.contains('ql-quote-source-url')) {
+                value.sourceTitle = source.textContent;
+            }
+            if (source.getAttribute('href')) {
+                value.sourceUrl = source.getAttribute('href');
+            }
+        }
+
+        const date = node.querySelector('.ql-quote-date');
+        if (date) {
+            value.date = date.textContent;
+        }
+
+        const locator = node.querySelector('.ql-quote-locator');
+        if (locator) {
+            value.locator = locator.textContent;
+        }
+
+        return value;
     }
 
     constructor(domNode, value) {
         super(domNode, value);
         this.domNode.contentEditable = false;
+        // Focusable so Enter can reopen the quote for editing
+        this.domNode.setAttribute('tabindex', '0');
         this.setupEventListeners();
     }
 
@@ -265,91 +476,612 @@ class QuoteBlot extends BlockEmbed {
  * This is the only class that should be accessed externally
  */
 class QuoteManager {
-    constructor(quill) {
+    /**
+     * @param {Object} quill - Quill instance
+     * @param {Object} options - { shortcut, notify, locale, messages }
+     *   shortcut: a Quill keyboard binding such as { key: 'Q', shortKey: true, shiftKey: true }, or false for none
+     *   notify: function(message, { type, code, reasons }) that replaces the built-in toasts
+     *   locale / messages: language of the dialog and messages, and keys to override (see i18n.js)
+     *   validation: { mode: 'reject' | 'sanitize', rules } — see QuoteValidator
+     *   convertPastedQuotes: turn pasted blockquotes, Markdown > blocks and attributed text into quotes (default true)
+     */
+    constructor(quill, options = {}) {
         this.quill = quill;
+        this.options = options;
+        this.translator = new Translator({ locale: options.locale, messages: options.messages });
+        this.validator = new QuoteValidator({ ...options.validation, translator: this.translator });
+        this.listeners = [];
+        this.timers = new Set();
+        this.toasts = new Set();
+        this.modal = null;
         this.setupPasteHandler();
+        this.setupPasteConversion();
         this.setupToolbarHandler();
+        this.setupEditHandlers();
+        this.setupShortcut();
+        this.setupChangeEvents();
+        this.quill.scroll.descendants(QuoteBlot).forEach(blot => this.localizeQuote(blot));
     }
 
     /**
      * PUBLIC: Insert a quote with validation
      * Main method for external quote insertion
+     * @param {string|Object} content - HTML string, or { html|content|text, author, ...citation }
+     * @param {string|number} authorOrIndex - Author name, or an index to insert at without a selection
+     * @param {Object} citation - { sourceTitle, sourceUrl, date, locator }
+     * @returns {boolean} Whether the quote was inserted
      */
-    insertQuote(content, author = '') {
+    insertQuote(content, authorOrIndex = '', citation = {}) {
+        if (typeof authorOrIndex === 'number') {
+            return this.insertQuoteAt(authorOrIndex, this.normalizeQuote(content, '', citation)) !== null;
+        }
+
         const selection = this.quill.getSelection();
         if (!selection) {
-            this.showToast('Please place cursor where you want to insert the quote', 'warning');
+            this.notify(this.translator.t('quote.error.noCursor'), { type: 'warning', code: NOTIFY_CODES.NO_CURSOR });
             return false;
         }
 
+        const value = this.normalizeQuote(content, authorOrIndex, citation);
+
         // Use internal validator
-        if (!QuoteValidator.isValidQuoteContent(content)) {
-            const details = QuoteValidator.getValidationDetails(content);
-            this.showValidationError(details.reasons);
+        if (!this.validateQuoteValue(value)) {
             return false;
         }
 
         if (this.isInsideQuote(selection.index)) {
-            this.showToast('Quotes cannot be nested inside other quotes', 'warning');
+            this.notify(this.translator.t('quote.error.nested'), { type: 'warning', code: NOTIFY_CODES.NESTED });
+            this.emitRejected('nested', value);
             return false;
         }
 
-        try {
-            this.quill.insertEmbed(selection.index, 'quote', {
-                content: content,
-                author: author
-            });
-            this.quill.setSelection(selection.index + 1, 0);
-            return true;
-        } catch (error) {
-            console.error('Failed to insert quote:', error);
-            this.showToast('Failed to insert quote', 'error');
+        const index = this.insertQuoteValue(selection.index, value);
+        if (index === null) {
+            return false;
+        }
+        this.quill.setSelection(index + 1, 0);
+        return true;
+    }
+
+    /**
+     * PUBLIC: Insert a quote at an explicit index
+     * Does not need a selection and leaves focus where it is
+     * Inside a line, the line is split and the quote goes between the halves
+     * @param {number} index - Document index to insert at
+     * @param {string|Object} content - HTML string, or { html|content|text, author, ...citation }
+     * @returns {number|null} Index of the new quote, or null if nothing was inserted
+     */
+    insertQuoteAt(index, content) {
+        if (!Number.isInteger(index) || index < 0 || index >= this.quill.getLength()) {
+            this.notify(this.translator.t('quote.error.invalidPosition'), { type: 'error', code: NOTIFY_CODES.INVALID_POSITION });
+            return null;
+        }
+
+        const value = this.normalizeQuote(content);
+        if (!this.validateQuoteValue(value)) {
+            return null;
+        }
+        return this.insertQuoteValue(index, value);
+    }
+
+    /**
+     * PUBLIC: Replace the selected text with a quote
+     * @param {string} author - Optional author attribution
+     * @returns {number|null} Index of the new quote, or null without a usable selection
+     */
+    createQuoteFromSelection(author = '') {
+        const selection = this.quill.getSelection();
+        if (!selection || selection.length === 0) {
+            this.notify(this.translator.t('quote.error.noSelection'), { type: 'warning', code: NOTIFY_CODES.NO_SELECTION });
+            return null;
+        }
+
+        const text = this.quill.getText(selection.index, selection.length).replace(/\n+$/, '');
+        const value = this.createQuoteValue(this.textToHtml(text), author);
+
+        const selected = this.quill.getContents(selection.index, selection.length);
+        if (selected.ops.some(op => op.insert && op.insert.quote)) {
+            this.notify(this.translator.t('quote.error.nested'), { type: 'warning', code: NOTIFY_CODES.NESTED });
+            this.emitRejected('nested', value);
+            return null;
+        }
+
+        if (!this.validateQuoteValue(value)) {
+            return null;
+        }
+
+        const Delta = Quill.import('delta');
+        const insertion = this.quoteInsertion(selection.index, value);
+        if (!this.emitCancelable('quote-inserting', { index: insertion.index, value })) {
+            this.emitRejected('canceled', value);
+            return null;
+        }
+        this.applyUserChange(
+            new Delta().retain(selection.index).delete(selection.length).compose(insertion.delta)
+        );
+        this.quill.setSelection(insertion.index + 1, 0, Quill.sources.SILENT);
+        return insertion.index;
+    }
+
+    /**
+     * PUBLIC: List every quote in document order
+     * @returns {Array} [{ index, content: { html, text, author, ...citation }, element }]
+     */
+    getAllQuotes() {
+        return this.quill.scroll.descendants(QuoteBlot).map(blot => {
+            const { content, ...details } = QuoteBlot.value(blot.domNode);
+            const quoteText = blot.domNode.querySelector('.ql-quote-text');
+            return {
+                index: this.quill.getIndex(blot),
+                content: {
+                    html: content,
+                    text: quoteText ? quoteText.textContent : '',
+                    ...details
+                },
+                element: blot.domNode
+            };
+        });
+    }
+
+    /**
+     * PUBLIC: Update the quote at index
+     * Fields that are not given keep their current value
+     * @param {number} index - Quote index
+     * @param {string|Object} content - New HTML, or { html|content|text, author, ...citation }
+     * @returns {boolean} Whether the quote was updated
+     */
+    updateQuote(index, content) {
+        const blot = this.getQuoteBlot(index);
+        if (!blot) {
+            this.notify(this.translator.t('quote.error.notFound'), { type: 'error', code: NOTIFY_CODES.NOT_FOUND });
+            return false;
+        }
+
+        const updates = typeof content === 'string' ? { html: content } : { ...content };
+        const hasContent = ['html', 'content', 'text'].some(key => typeof updates[key] === 'string');
+        const current = QuoteBlot.value(blot.domNode);
+        const value = this.normalizeQuote(
+            hasContent ? { ...current, ...updates, content: updates.content } : { ...current, ...updates }
+        );
+        return this.replaceQuote(index, value.content, value.author, value);
+    }
+
+    /**
+     * PUBLIC: Remove the quote at index
+     * @returns {boolean} Whether a quote was removed
+     */
+    removeQuote(index) {
+        const blot = this.getQuoteBlot(index);
+        if (!blot) {
+            this.notify(this.translator.t('quote.error.notFound'), { type: 'error', code: NOTIFY_CODES.NOT_FOUND });
+            return false;
+        }
+        if (!this.emitCancelable('quote-deleting', { index, value: QuoteBlot.value(blot.domNode) })) {
             return false;
         }
+
+        const Delta = Quill.import('delta');
+        this.applyUserChange(new Delta().retain(index).delete(1));
+        return true;
     }
 
+    /**
+     * PUBLIC: Remove every quote in a single undo step
+     * @returns {number} Number of quotes removed
+     */
+    removeAllQuotes() {
+        const quotes = this.getAllQuotes().filter(({ index, element }) =>
+            this.emitCancelable('quote-deleting', { index, value: QuoteBlot.value(element) })
+        );
+        if (quotes.length === 0) {
+            return 0;
+        }
+
+        const Delta = Quill.import('delta');
+        const delta = new Delta();
+        let position = 0;
+        quotes.forEach(({ index }) => {
+            delta.retain(index - position).delete(1);
+            position = index + 1;
+        });
+        this.applyUserChange(delta);
+        return quotes.length;
+    }
     /**
      * PUBLIC: Check if content is valid for quote insertion
      * Exposes validation without exposing validator class
      */
     isValidQuoteContent(content) {
-        return QuoteValidator.isValidQuoteContent(content);
+        return this.validator.isValid(content);
     }
 
     /**
      * PUBLIC: Get validation details for content
      * Useful for external validation feedback
+     * @returns {Object} { isValid, reasons, failures: [{ rule, code, reason, node }] }
      */
     getValidationDetails(content) {
-        return QuoteValidator.getValidationDetails(content);
+        return this.validator.validate(content);
     }
 
     /**
      * PUBLIC: Show quote insertion dialog
      * Main UI method for quote insertion
+     * @param {string} defaultContent - HTML to pre-fill the quote text with
+     * @param {Object} options - { author, index } — passing an index edits the quote at that index
      */
-    showQuoteDialog(defaultContent = '') {
+    showQuoteDialog(defaultContent = '', options = {}) {
+        const isEditing = typeof options.index === 'number';
+        const id = `quote-dialog-${++dialogCount}`;
+        const text = key => this.escapeHtml(this.translator.t(key));
+
         const modal = document.createElement('div');
         modal.className = 'quote-modal';
+        modal.dir = this.translator.dir;
+        modal.lang = this.translator.locale;
         modal.innerHTML = `
             <div class="quote-modal-overlay"></div>
-            <div class="quote-modal-content">
-                <h3>Insert Quote</h3>
-                <div contenteditable="true" id="quote-content" placeholder="Enter quote content...">${defaultContent}</div>
-                <input type="text" id="quote-author" placeholder="Author (optional)" />
-                <div class="quote-modal-buttons">
-                    <button id="quote-cancel">Cancel</button>
-                    <button id="quote-insert">Insert Quote</button>
+            <div class="quote-modal-content" role="dialog" aria-modal="true" aria-labelledby="${id}-title">
+                <h3 id="${id}-title">${text(isEditing ? 'quote.dialog.editTitle' : 'quote.dialog.insertTitle')}</h3>
+                <div class="quote-form">
+                    <label id="${id}-content-label">${text('quote.dialog.content')}</label>
+                    <div contenteditable="true" class="quote-content-editor" role="textbox" aria-multiline="true"
+                        aria-labelledby="${id}-content-label" aria-describedby="${id}-hint"
+                        placeholder="${text('quote.dialog.contentPlaceholder')}"></div>
+                    <label for="${id}-author">${text('quote.dialog.author')}</label>
+                    <input type="text" id="${id}-author" class="quote-author-input" placeholder="${text('quote.dialog.authorPlaceholder')}" />
+                    <fieldset class="quote-citation">
+                        <legend>${text('quote.dialog.citation')}</legend>
+                        <input type="text" class="quote-source-title" aria-label="${text('quote.dialog.sourceTitle')}" placeholder="${text('quote.dialog.sourceTitle')}" />
+                        <input type="url" class="quote-source-url" dir="ltr" aria-label="${text('quote.dialog.sourceUrl')}" placeholder="${text('quote.dialog.sourceUrl')}" />
+                        <input type="text" class="quote-date" aria-label="${text('quote.dialog.date')}" placeholder="${text('quote.dialog.date')}" />
+                        <input type="text" class="quote-locator" aria-label="${text('quote.dialog.locator')}" placeholder="${text('quote.dialog.locator')}" />
+                    </fieldset>
+                    <p id="${id}-hint" class="quote-hint">${text('quote.dialog.hint')}</p>
+                </div>
+                <div class="quote-modal-buttons quote-actions">
+                    <button type="button" class="quote-cancel">${text('quote.dialog.cancel')}</button>
+                    <button type="button" class="quote-insert">${text(isEditing ? 'quote.dialog.save' : 'quote.dialog.insert')}</button>
                 </div>
             </div>
         `;
 
+        // Pre-fill through the DOM so stored values are never parsed as markup unsanitized
+        modal.querySelector('.quote-content-editor').innerHTML =
+            HtmlSanitizer.sanitize(defaultContent, QUOTE_SANITIZE_OPTIONS).html;
+        modal.querySelector('.quote-author-input').value = options.author || '';
+        modal.querySelector('.quote-source-title').value = options.sourceTitle || '';
+        modal.querySelector('.quote-source-url').value = options.sourceUrl || '';
+        modal.querySelector('.quote-date').value = options.date || '';
+        modal.querySelector('.quote-locator').value = options.locator || '';
+
+        // Taken before the dialog takes focus, so closing can put the cursor back
+        const range = this.quill.getSelection();
+
         this.styleModal(modal);
+        this.removeModal();
         document.body.appendChild(modal);
-        this.setupModalHandlers(modal);
+        this.modal = modal;
+        this.setupModalHandlers(modal, options, range);
+    }
+
+    /**
+     * PUBLIC: Open the quote dialog pre-filled with an existing quote
+     * @param {number|HTMLElement} target - Quote index or quote DOM node
+     * @returns {boolean} Whether a quote was found
+     */
+    editQuote(target) {
+        const index = typeof target === 'number' ? target : this.getQuoteIndex(target);
+        const blot = index === null ? null : this.getQuoteBlot(index);
+        if (!blot) {
+            return false;
+        }
+
+        const { content, ...details } = QuoteBlot.value(blot.domNode);
+        this.showQuoteDialog(content, { ...details, index });
+        return true;
+    }
+
+    /**
+     * PUBLIC: Remove listeners, the toolbar handler and any open dialog or toast
+     * Called by the editor's destroy()
+     */
+    destroy() {
+        this.listeners.forEach(({ target, type, handler, options }) => {
+            target.removeEventListener(type, handler, options);
+        });
+        this.listeners = [];
+
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+
+        const toolbar = this.quill.getModule('toolbar');
+        if (toolbar && toolbar.handlers) {
+            delete toolbar.handlers.quote;
+        }
+
+        this.quill.off('text-change', this.handleTextChange);
+        this.removeShortcut();
+        this.removePasteConversion();
+
+        this.removeModal();
+        this.toasts.forEach(toast => {
+            if (toast.parentNode) {
+                toast.parentNode.removeChild(toast);
+            }
+        });
+        this.toasts.clear();
     }
 
     // PRIVATE: Internal methods (not part of public API)
+    addListener(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this.listeners.push({ target, type, handler, options });
+    }
+
+    /**
+     * Emit an event whose listeners may call preventDefault() to stop the action
+     * @returns {boolean} Whether the action should go ahead
+     */
+    emitCancelable(name, detail) {
+        let canceled = false;
+        this.quill.emitter.emit(name, {
+            ...detail,
+            preventDefault: () => {
+                canceled = true;
+            }
+        });
+        return !canceled;
+    }
+
+    emitRejected(reason, value, details = {}) {
+        this.quill.emitter.emit('quote-rejected', { reason, value, ...details });
+    }
+
+    /**
+     * Report quotes added or removed by any change, including typing and undo
+     */
+    setupChangeEvents() {
+        this.handleTextChange = (delta, oldDelta, source) => {
+            const deleted = [];
+            const inserted = [];
+            let oldIndex = 0;
+            let newIndex = 0;
+
+            delta.ops.forEach(op => {
+                if (typeof op.retain === 'number') {
+                    oldIndex += op.retain;
+                    newIndex += op.retain;
+                } else if (typeof op.delete === 'number') {
+                    let position = oldIndex;
+                    oldDelta.slice(oldIndex, oldIndex + op.delete).ops.forEach(removed => {
+                        if (removed.insert && removed.insert.quote) {
+                            deleted.push({ index: position, value: removed.insert.quote, source });
+                        }
+                        position += typeof removed.insert === 'string' ? removed.insert.length : 1;
+                    });
+                    oldIndex += op.delete;
+                } else if (op.insert) {
+                    if (op.insert.quote) {
+                        inserted.push({ index: newIndex, value: op.insert.quote, source });
+                    }
+                    newIndex += typeof op.insert === 'string' ? op.insert.length : 1;
+                }
+            });
+
+            deleted.forEach(detail => this.quill.emitter.emit('quote-deleted', detail));
+            inserted.forEach(detail => {
+                this.localizeQuote(this.getQuoteBlot(detail.index));
+                this.quill.emitter.emit('quote-inserted', detail);
+            });
+        };
+        this.quill.on('text-change', this.handleTextChange);
+    }
+
+    setTimer(callback, delay) {
+        const timer = setTimeout(() => {
+            this.timers.delete(timer);
+            callback();
+        }, delay);
+        this.timers.add(timer);
+    }
+
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Label a quote's delete button in the editor's language
+     * The blot is created without access to the manager, so it starts out in English
+     */
+    localizeQuote(blot) {
+        const deleteButton = blot && blot.domNode.querySelector('.ql-quote-delete');
+        if (deleteButton) {
+            const label = this.translator.t('quote.delete');
+            deleteButton.setAttribute('title', label);
+            deleteButton.setAttribute('aria-label', label);
+        }
+    }
+
+    removeModal() {
+        if (this.modal && this.modal.parentNode) {
+            this.modal.parentNode.removeChild(this.modal);
+        }
+        this.modal = null;
+    }
+
+    getQuoteBlot(index) {
+        const [line, offset] = this.quill.getLine(index);
+        return line instanceof QuoteBlot && offset === 0 ? line : null;
+    }
+
+    getQuoteIndex(node) {
+        const blot = Quill.find(node);
+        return blot instanceof QuoteBlot ? this.quill.getIndex(blot) : null;
+    }
+
+    createQuoteValue(content, author = '', citation = {}) {
+        const value = { content, author };
+        CITATION_FIELDS.forEach(field => {
+            const fieldValue = typeof citation[field] === 'string' ? citation[field].trim() : '';
+            if (fieldValue) {
+                value[field] = fieldValue;
+            }
+        });
+        return value;
+    }
+
+    /**
+     * Accepts the HTML string form or the object form returned by getAllQuotes()
+     */
+    normalizeQuote(content, author = '', citation = {}) {
+        if (!content || typeof content !== 'object') {
+            return this.createQuoteValue(content || '', author, citation);
+        }
+
+        let html = this.textToHtml(content.text || '');
+        if (typeof content.html === 'string') {
+            html = content.html;
+        } else if (typeof content.content === 'string') {
+            html = content.content;
+        }
+        const quoteAuthor = typeof content.author === 'string' ? content.author : author;
+        return this.createQuoteValue(html, quoteAuthor, { ...citation, ...content });
+    }
+
+    textToHtml(text) {
+        if (!text) {
+            return '';
+        }
+        return text.split('\n').map(line => {
+            const paragraph = document.createElement('p');
+            paragraph.textContent = line;
+            return paragraph.outerHTML;
+        }).join('');
+    }
+
+    /**
+     * Apply the editor's validation rules
+     * In sanitize mode, value.content is replaced with the cleaned content
+     */
+    validateQuoteValue(value) {
+        let details = this.validator.validate(value.content);
+        if (!details.isValid && this.validator.mode === 'sanitize') {
+            const sanitized = this.validator.sanitize(value.content);
+            if (sanitized.isValid) {
+                value.content = sanitized.html;
+                return true;
+            }
+            details = sanitized;
+        }
+
+        if (!details.isValid) {
+            this.showValidationError(details);
+            this.emitRejected('invalid-content', value, { reasons: details.reasons, failures: details.failures });
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Quill splits a line when a block embed lands inside it, so split explicitly
+     * to know where the quote ends up
+     */
+    quoteInsertion(index, value) {
+        const Delta = Quill.import('delta');
+        const [, offset] = this.quill.getLine(index);
+        const delta = new Delta().retain(index);
+        if (offset > 0) {
+            delta.insert('\n');
+        }
+        delta.insert({ quote: value });
+        return { delta, index: offset > 0 ? index + 1 : index };
+    }
+
+    insertQuoteValue(index, value) {
+        const insertion = this.quoteInsertion(index, value);
+        if (!this.emitCancelable('quote-inserting', { index: insertion.index, value })) {
+            this.emitRejected('canceled', value);
+            return null;
+        }
+        try {
+            this.applyUserChange(insertion.delta);
+            return insertion.index;
+        } catch (error) {
+            console.error('Failed to insert quote:', error);
+            this.notify(this.translator.t('quote.error.insertFailed'), { type: 'error', code: NOTIFY_CODES.INSERT_FAILED });
+            return null;
+        }
+    }
+
+    /**
+     * Apply a change as its own user change so history undoes it in one step
+     */
+    applyUserChange(delta) {
+        const history = this.quill.getModule('history');
+        if (history) history.cutoff();
+        this.quill.updateContents(delta, Quill.sources.USER);
+        if (history) history.cutoff();
+    }
+
+    /**
+     * Replace the quote at index in a single user change
+     */
+    replaceQuote(index, content, author = '', citation = {}) {
+        if (!this.getQuoteBlot(index)) {
+            this.notify(this.translator.t('quote.error.notFound'), { type: 'error', code: NOTIFY_CODES.NOT_FOUND });
+            return false;
+        }
+
+        const value = this.createQuoteValue(content, author, citation);
+        if (!this.validateQuoteValue(value)) {
+            return false;
+        }
+
+        const Delta = Quill.import('delta');
+        this.applyUserChange(new Delta().retain(index).delete(1).insert({ quote: value }));
+        this.quill.setSelection(index + 1, 0, Quill.sources.SILENT);
+        return true;
+    }
+
+    setupEditHandlers() {
+        // Sent by the delete button of each quote blot
+        this.addListener(this.quill.root, 'quote-delete-request', (e) => {
+            e.preventDefault();
+            const index = this.getQuoteIndex(e.target);
+            if (index === null || !this.quill.isEnabled()) {
+                return;
+            }
+            if (this.removeQuote(index)) {
+                this.quill.setSelection(index, 0);
+            }
+        });
+
+        this.addListener(this.quill.root, 'dblclick', (e) => {
+            const node = e.target.closest('.ql-quote-block');
+            if (!node || !this.quill.isEnabled() || e.target.closest('.ql-quote-delete')) {
+                return;
+            }
+            e.preventDefault();
+            this.editQuote(node);
+        });
+
+        // Capture phase so Quill's keyboard module never sees Enter on a focused quote
+        this.addListener(this.quill.root, 'keydown', (e) => {
+            if (e.key !== 'Enter' || !e.target.classList ||
+                !e.target.classList.contains('ql-quote-block') || !this.quill.isEnabled()) {
+                return;
+            }
+            e.preventDefault();
+            e.stopPropagation();
+            this.editQuote(e.target);
+        }, true);
+    }
+
     isInsideQuote(index) {
         const [block] = this.quill.getLine(index);
         return block && (
@@ -395,10 +1127,10 @@ class QuoteManager {
 
     setupAlternativeToolbarHandler() {
         try {
-            setTimeout(() => {
+            this.setTimer(() => {
                 const quoteButton = this.quill.container.querySelector('.ql-quote');
                 if (quoteButton) {
-                    quoteButton.addEventListener('click', () => {
+                    this.addListener(quoteButton, 'click', () => {
                         this.handleQuoteButton();
                     });
                     console.log('QuoteManager: Alternative quote button handler setup complete');
@@ -437,7 +1169,7 @@ class QuoteManager {
             overflow-y: auto;
         `;
 
-        const contentEditor = modal.querySelector('#quote-content');
+        const contentEditor = modal.querySelector('.quote-content-editor');
         contentEditor.style.cssText = `
             border: 1px solid #ddd;
             padding: 12px;
@@ -447,7 +1179,15 @@ class QuoteManager {
             background: #fafafa;
         `;
 
-        const authorInput = modal.querySelector('#quote-author');
+        modal.querySelectorAll('.quote-form label').forEach(label => {
+            label.style.cssText = `
+                display: block;
+                margin-bottom: 6px;
+                font-weight: 600;
+            `;
+        });
+
+        const authorInput = modal.querySelector('.quote-author-input');
         authorInput.style.cssText = `
             width: 100%;
             padding: 8px 12px;
@@ -455,37 +1195,384 @@ class QuoteManager {
             border-radius: 4px;
             margin-bottom: 16px;
         `;
+
+        const citation = modal.querySelector('.quote-citation');
+        citation.style.cssText = `
+            border: 1px solid #ddd;
+            border-radius: 4px;
+            padding: 12px;
+            margin: 0 0 16px 0;
+        `;
+
+        citation.querySelectorAll('input').forEach(input => {
+            input.style.cssText = `
+                width: 100%;
+                padding: 6px 10px;
+                border: 1px solid #ddd;
+                border-radius: 4px;
+                margin-bottom: 8px;
+            `;
+        });
+
+        modal.querySelector('.quote-hint').style.cssText = `
+            margin: 0 0 16px 0;
+            font-size: 0.85em;
+            color: #6b7280;
+        `;
     }
 
-    setupModalHandlers(modal) {
+    setupModalHandlers(modal, options = {}, range = null) {
         const overlay = modal.querySelector('.quote-modal-overlay');
-        const cancelBtn = modal.querySelector('#quote-cancel');
-        const insertBtn = modal.querySelector('#quote-insert');
-        const contentEditor = modal.querySelector('#quote-content');
-        const authorInput = modal.querySelector('#quote-author');
-
-        const closeModal = () => {
-            document.body.removeChild(modal);
-            this.quill.focus();
+        const dialog = modal.querySelector('.quote-modal-content');
+        const cancelBtn = modal.querySelector('.quote-cancel');
+        const insertBtn = modal.querySelector('.quote-insert');
+        const contentEditor = modal.querySelector('.quote-content-editor');
+        const authorInput = modal.querySelector('.quote-author-input');
+        const isEditing = typeof options.index === 'number';
+
+        // Cancelling returns the cursor to where it was; saving leaves it after the quote
+        const closeModal = (restoreSelection = true) => {
+            if (this.modal === modal) {
+                this.removeModal();
+            }
+            if (restoreSelection && range) {
+                this.quill.setSelection(range, Quill.sources.SILENT);
+            } else {
+                this.quill.focus();
+            }
         };
 
-        overlay.addEventListener('click', closeModal);
-        cancelBtn.addEventListener('click', closeModal);
-        
-        insertBtn.addEventListener('click', () => {
+        const submit = () => {
             const content = contentEditor.innerHTML;
             const author = authorInput.value;
-            
-            if (this.insertQuote(content, author)) {
+            const citation = {
+                sourceTitle: modal.querySelector('.quote-source-title').value,
+                sourceUrl: modal.querySelector('.quote-source-url').value,
+                date: modal.querySelector('.quote-date').value,
+                locator: modal.querySelector('.quote-locator').value
+            };
+
+            if (citation.sourceUrl.trim() && !HtmlSanitizer.isSafeUrl(citation.sourceUrl.trim())) {
+                this.notify(this.translator.t('quote.error.invalidUrl'), { type: 'warning', code: NOTIFY_CODES.INVALID_URL });
+                return;
+            }
+
+            // The dialog holds focus, so give insertQuote the editor selection it was opened with
+            if (!isEditing && range) {
+                this.quill.setSelection(range, Quill.sources.SILENT);
+            }
+
+            const saved = isEditing
+                ? this.replaceQuote(options.index, content, author, citation)
+                : this.insertQuote(content, author, citation);
+
+            if (saved) {
+                closeModal(false);
+            } else if (this.modal === modal) {
+                contentEditor.focus();
+            }
+        };
+
+        overlay.addEventListener('click', () => closeModal());
+        cancelBtn.addEventListener('click', () => closeModal());
+        insertBtn.addEventListener('click', submit);
+
+        dialog.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                e.stopPropagation();
                 closeModal();
+            } else if (e.key === 'Enter' && e.target.tagName === 'INPUT') {
+                e.preventDefault();
+                submit();
+            } else if (e.key === 'Enter' && e.target === contentEditor && (e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                submit();
+            } else if (e.key === 'Tab') {
+                trapFocus(e, dialog, FOCUSABLE_SELECTOR);
             }
         });
 
         contentEditor.focus();
     }
 
+    setupShortcut() {
+        const shortcut = this.options.shortcut === undefined ? DEFAULT_SHORTCUT : this.options.shortcut;
+        const keyboard = this.quill.getModule('keyboard');
+        if (!shortcut || !keyboard) {
+            return;
+        }
+
+        this.handleShortcut = () => {
+            if (this.quill.isEnabled()) {
+                this.handleQuoteButton();
+            }
+            return false;
+        };
+        keyboard.addBinding({ ...shortcut }, this.handleShortcut);
+    }
+
+    removeShortcut() {
+        const keyboard = this.quill.getModule('keyboard');
+        if (!this.handleShortcut || !keyboard) {
+            return;
+        }
+
+        Object.keys(keyboard.bindings).forEach(key => {
+            keyboard.bindings[key] = keyboard.bindings[key].filter(binding => binding.handler !== this.handleShortcut);
+        });
+        this.handleShortcut = null;
+    }
+
+    setupPasteConversion() {
+        const clipboard = this.quill.getModule('clipboard');
+        if (this.options.convertPastedQuotes === false || !clipboard) {
+            return;
+        }
+
+        // Only active while handleQuotePaste converts, so importContent({ html }) keeps blockquotes
+        this.convertingPaste = false;
+        this.matchBlockquote = (node, delta) => {
+            const outer = node.parentNode && node.parentNode.closest && node.parentNode.closest('blockquote');
+            if (!this.convertingPaste || outer) {
+                return delta;
+            }
+            const Delta = Quill.import('delta');
+            const value = this.blockquoteToQuote(node);
+            return value ? new Delta().insert({ quote: value }) : delta;
+        };
+        clipboard.addMatcher('BLOCKQUOTE', this.matchBlockquote);
+
+        // Capture phase so the conversion runs before Quill's own paste handling
+        this.addListener(this.quill.root, 'paste', (e) => this.handleQuotePaste(e), true);
+    }
+
+    removePasteConversion() {
+        const clipboard = this.quill.getModule('clipboard');
+        if (!this.matchBlockquote || !clipboard) {
+            return;
+        }
+        clipboard.matchers = clipboard.matchers.filter(([, matcher]) => matcher !== this.matchBlockquote);
+        this.matchBlockquote = null;
+    }
+
+    /**
+     * PUBLIC: What a paste turns into when it holds quotes, so other paste handlers can see it first
+     * @param {DataTransfer} clipboardData - Clipboard data of the paste event
+     * @param {Object} range - { index, length } the paste replaces
+     * @returns {Delta|null} Content inserted in place of the range, or null when Quill handles the paste
+     */
+    convertPaste(clipboardData, range) {
+        if (!this.matchBlockquote || !this.quill.isEnabled() || this.isInsideQuote(range.index)) {
+            return null;
+        }
+
+        // Rich pastes keep their formatting unless they hold a blockquote; only plain text is read for "> " lines
+        const html = clipboardData.getData('text/html');
+        let pasted = null;
+        if (!html) {
+            pasted = this.convertPastedText(clipboardData.getData('text/plain'));
+        } else if (/<blockquote[\s>]/i.test(html)) {
+            pasted = this.convertPastedHtml(html);
+        }
+        if (!pasted) {
+            return null;
+        }
+
+        const Delta = Quill.import('delta');
+        const [, offset] = this.quill.getLine(range.index);
+        const insertion = new Delta();
+        if (offset > 0 && typeof pasted.ops[0].insert === 'object') {
+            insertion.insert('\n');
+        }
+        return insertion.concat(pasted);
+    }
+
+    handleQuotePaste(e) {
+        const clipboardData = e.clipboardData || window.clipboardData;
+        const range = this.quill.getSelection();
+        const insertion = !e.defaultPrevented && clipboardData && range ? this.convertPaste(clipboardData, range) : null;
+        if (!insertion) {
+            return;
+        }
+
+        e.preventDefault();
+
+        const Delta = Quill.import('delta');
+        const inserted = new Delta().retain(range.index).delete(range.length).concat(insertion);
+        this.applyUserChange(inserted);
+        this.quill.setSelection(inserted.length() - range.length, 0, Quill.sources.SILENT);
+    }
+
+    /**
+     * Convert pasted HTML with Quill's clipboard, turning each outermost blockquote into a quote
+     * @returns {Delta|null} The converted paste, or null when no blockquote became a quote
+     */
+    convertPastedHtml(html) {
+        let delta;
+        this.convertingPaste = true;
+        try {
+            delta = this.quill.clipboard.convert(HtmlSanitizer.sanitize(html, PASTE_SANITIZE_OPTIONS).html);
+        } finally {
+            this.convertingPaste = false;
+        }
+        return delta.ops.some(op => op.insert && op.insert.quote) ? delta : null;
+    }
+
+    /**
+     * Convert pasted plain text: Markdown > blocks become quotes, and so does text whose
+     * last line is an attribution like "— Name"
+     * @returns {Delta|null} The converted paste, or null when nothing became a quote
+     */
+    convertPastedText(text) {
+        const Delta = Quill.import('delta');
+        const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+
+        if (!lines.some(line => MARKDOWN_QUOTE_LINE.test(line))) {
+            const value = this.attributedTextToQuote(lines);
+            return value ? new Delta().insert({ quote: value }) : null;
+        }
+
+        // Group lines into quote blocks and text lines
+        const parts = [];
+        let i = 0;
+        while (i < lines.length) {
+            if (!MARKDOWN_QUOTE_LINE.test(lines[i])) {
+                parts.push({ text: lines[i++] });
+                continue;
+            }
+            const source = [];
+            while (i < lines.length && MARKDOWN_QUOTE_LINE.test(lines[i])) {
+                source.push(lines[i++]);
+            }
+            // "> text" followed by an unquoted "— Name" line
+            const quoted = source.map(line => line.replace(/^\s*>\s?/, ''));
+            if (i < lines.length && this.matchAttribution(lines[i], quoted)) {
+                source.push(lines[i]);
+                quoted.push(lines[i++]);
+            }
+            parts.push({ source, value: this.attributedTextToQuote(quoted, true) });
+        }
+
+        if (!parts.some(part => part.value)) {
+            return null;
+        }
+
+        // Blank lines around a quote only separate it from the text
+        const kept = parts.filter((part, index) => part.value || part.text === undefined || part.text.trim() ||
+            !((parts[index - 1] && parts[index - 1].value) || (parts[index + 1] && parts[index + 1].value)));
+
+        const delta = new Delta();
+        kept.forEach((part, index) => {
+            if (part.value) {
+                delta.insert({ quote: part.value });
+                return;
+            }
+            const partLines = part.text !== undefined ? [part.text] : part.source;
+            const isLast = index === kept.length - 1;
+            delta.insert(partLines.join('\n') + (isLast ? '' : '\n'));
+        });
+        return delta;
+    }
+
+    /**
+     * Build a quote from lines of text; a last line like "— Name" or "- Name" becomes the author
+     * @param {Array<string>} lines - Text lines
+     * @param {boolean} authorOptional - Whether text without an attribution still makes a quote
+     * @returns {Object|null} Quote value, or null if the text is not a quote or fails validation
+     */
+    attributedTextToQuote(lines, authorOptional = false) {
+        const body = lines.slice();
+        while (body.length > 0 && !body[body.length - 1].trim()) {
+            body.pop();
+        }
+
+        const attribution = body.length > 1 ? this.matchAttribution(body[body.length - 1], body.slice(0, -1)) : null;
+        if (attribution) {
+            body.pop();
+        } else if (!authorOptional) {
+            return null;
+        }
+
+        // A list is not a quote, even when a "— Name" line follows it
+        const paragraphs = body.filter(line => line.trim());
+        if (paragraphs.length === 0 || (!authorOptional && body.some(line => LIST_ITEM_LINE.test(line)))) {
+            return null;
+        }
+
+        const author = attribution ? attribution[1].trim() : '';
+        const content = this.textToHtml(paragraphs.map(line => line.trim()).join('\n'));
+        return this.pastedQuote(this.createQuoteValue(content, author));
+    }
+
+    /**
+     * Match a last line that credits the lines before it
+     * Lists are written with "- " and "– " too, so "— Name" or "- Name" only counts after
+     * at least two lines of prose: "Shopping:\n- milk" stays a list.
+     * @param {string} line - Candidate attribution line
+     * @param {Array<string>} body - The lines it would credit
+     * @returns {Array|null} The match, with the author in [1]
+     */
+    matchAttribution(line, body) {
+        const attribution = line.match(ATTRIBUTION_LINE);
+        const prose = body.filter(text => text.trim());
+        if (!attribution || prose.length < 2 || prose.some(text => LIST_ITEM_LINE.test(text))) {
+            return null;
+        }
+        return attribution;
+    }
+
+    /**
+     * Build a quote from a pasted blockquote
+     * The author comes from a footer or cite element, or from a last line like "— Name"
+     */
+    blockquoteToQuote(node) {
+        const clone = node.cloneNode(true);
+        let author = '';
+
+        const credit = clone.querySelector('footer') || clone.querySelector('cite');
+        if (credit) {
+            author = credit.textContent.replace(/^\s*(?:[—–―]|-{1,2})\s*/, '').trim();
+            credit.remove();
+        } else {
+            // The last paragraph, or trailing text after a paragraph
+            const lines = Array.from(clone.childNodes).filter(child => child.textContent.trim());
+            const last = lines.length > 1 ? lines[lines.length - 1] : null;
+            const isLine = last && (last.nodeType === Node.TEXT_NODE || ['P', 'DIV'].includes(last.nodeName));
+            // Inside a blockquote the text is already a quote, so "— Name" or "- Name" needs no prose before it
+            const attribution = isLine ? last.textContent.match(ATTRIBUTION_LINE) : null;
+            if (attribution) {
+                author = attribution[1].trim();
+                last.remove();
+            }
+        }
+
+        if (!clone.textContent.trim()) {
+            return null;
+        }
+
+        const hasBlocks = Array.from(clone.children).some(child => BLOCK_TAGS.includes(child.nodeName));
+        const content = hasBlocks ? clone.innerHTML.trim() : `<p>${clone.innerHTML.trim()}</p>`;
+        return this.pastedQuote(this.createQuoteValue(content, author));
+    }
+
+    /**
+     * Check a pasted quote against the editor's rules without notifying
+     * @returns {Object|null} The value, cleaned in sanitize mode, or null to paste it as Quill would
+     */
+    pastedQuote(value) {
+        if (this.validator.isValid(value.content)) {
+            return value;
+        }
+        if (this.validator.mode !== 'sanitize') {
+            return null;
+        }
+        const sanitized = this.validator.sanitize(value.content);
+        return sanitized.isValid ? { ...value, content: sanitized.html } : null;
+    }
+
     setupPasteHandler() {
-        this.quill.root.addEventListener('paste', (e) => {
+        this.addListener(this.quill.root, 'paste', (e) => {
             const selection = this.quill.getSelection();
             if (!selection) return;
 
@@ -497,13 +1584,14 @@ class QuoteManager {
 
                 let contentToInsert = htmlData || textData;
 
-                if (!QuoteValidator.isValidQuoteContent(contentToInsert)) {
-                    this.showToast('Cannot paste quotes inside existing quotes', 'warning');
+                if (!this.validator.isValid(contentToInsert)) {
+                    this.notify(this.translator.t('quote.error.nestedPaste'), { type: 'warning', code: NOTIFY_CODES.NESTED });
+                    this.emitRejected('nested', { content: contentToInsert, author: '' });
                     return;
                 }
 
                 if (htmlData) {
-                    this.quill.clipboard.dangerouslyPasteHTML(selection.index, contentToInsert);
+                    this.quill.clipboard.dangerouslyPasteHTML(selection.index, HtmlSanitizer.sanitize(contentToInsert).html);
                 } else {
                     this.quill.insertText(selection.index, contentToInsert);
                 }
@@ -511,11 +1599,23 @@ class QuoteManager {
         });
     }
 
-    showValidationError(reasons) {
-        const message = reasons.length > 0 
-            ? `Cannot insert quote: ${reasons.join(', ')}`
-            : 'Invalid quote content detected';
-        this.showToast(message, 'warning');
+    showValidationError({ reasons, failures }) {
+        const message = reasons.length > 0
+            ? this.translator.t('quote.error.invalidContent', { reasons: this.translator.list(reasons) })
+            : this.translator.t('quote.error.invalidContentUnknown');
+        this.notify(message, { type: 'warning', code: NOTIFY_CODES.INVALID_CONTENT, reasons, failures });
+    }
+
+    /**
+     * Route a message to the notify option, or to the built-in toast without one
+     */
+    notify(message, details = {}) {
+        const { type = 'info' } = details;
+        if (typeof this.options.notify === 'function') {
+            this.options.notify(message, { ...details, type });
+            return;
+        }
+        this.showToast(message, type);
     }
 
     showToast(message, type = 'info') {
@@ -547,17 +1647,19 @@ class QuoteManager {
         `;
 
         document.body.appendChild(toast);
+        this.toasts.add(toast);
 
         requestAnimationFrame(() => {
             toast.style.transform = 'translateX(0)';
         });
 
-        setTimeout(() => {
+        this.setTimer(() => {
             toast.style.transform = 'translateX(100%)';
-            setTimeout(() => {
+            this.setTimer(() => {
                 if (toast.parentNode) {
                     toast.parentNode.removeChild(toast);
                 }
+                this.toasts.delete(toast);
             }, 300);
         }, 4000);
     }
@@ -568,4 +1670,4 @@ Quill.register(QuoteBlot);
 
 // Export QuoteManager as both default and named export
 export default QuoteManager;
-export { QuoteManager };
+export { QuoteManager, NOTIFY_CODES };
@@ -0,0 +1,419 @@
+/**
+ * Delta Renderer
+ * Renders Quill Deltas to HTML without a DOM, including quote blots
+ * ES6 Module version for Node and server-side rendering
+ */
+
+import HtmlSanitizer from './sanitize.js';
+
+// Inline formats from outermost to innermost, the order Quill 1.3.7 nests them in
+const INLINE_FORMATS = ['code', 'link', 'script', 'bold', 'italic', 'strike', 'underline'];
+
+const INLINE_TAGS = {
+    code: 'code',
+    link: 'a',
+    bold: 'strong',
+    italic: 'em',
+    strike: 's',
+    underline: 'u'
+};
+
+const LIST_TAGS = {
+    bullet: '<ul>',
+    ordered: '<ol>',
+    checked: '<ul data-checked="true">',
+    unchecked: '<ul data-checked="false">'
+};
+
+const IMAGE_ATTRIBUTES = ['alt', 'height', 'width'];
+const IMAGE_PROTOCOLS = ['http', 'https', 'data'];
+
+// Color and background values written into style: hex, rgb()/rgba() or a color name, nothing else
+const COLOR_VALUE = /^(?:#[0-9a-f]{3,4}|#[0-9a-f]{6}|#[0-9a-f]{8}|rgba?\(\s*[\d.]+%?(?:\s*[,\s]\s*[\d.]+%?){2}(?:\s*[,/]\s*[\d.]+%?)?\s*\)|[a-z]+)$/i;
+
+// Suggested changes, stored as JSON in data attributes (see suggestions.js)
+const INLINE_SUGGESTIONS = ['suggest-insert', 'suggest-delete', 'suggest-format'];
+const BLOCK_SUGGESTION = 'suggest-block';
+
+// The allowlist QuoteBlot.create applies to quote content
+const QUOTE_TAGS = ['p', 'br', 'span', 'strong', 'b', 'em', 'i', 'u', 's', 'sub', 'sup', 'code', 'a'];
+const QUOTE_ATTRIBUTES = { a: ['href', 'target', 'rel'] };
+const DROP_CONTENT_TAGS = [
+    'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed',
+    'noscript', 'template', 'svg', 'math', 'textarea', 'select', 'title', 'head'
+];
+
+const HTML_TOKEN = /<!--[\s\S]*?(?:-->|$)|<(\/?)([a-zA-Z][a-zA-Z0-9-]*)((?:\s+[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?)*)\s*\/?>|<|[^<]+/g;
+const HTML_ATTRIBUTE = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+
+/**
+ * PUBLIC: Delta Renderer Class
+ * Works on plain `{ ops }` objects; the output matches the editor's markup so
+ * `quote.css` styles it, minus the quote delete button
+ */
+class DeltaRenderer {
+    /**
+     * Render a Delta (or `{ ops }` object) to HTML
+     * @param {Object} delta - Quill document Delta
+     * @param {Object} options - Rendering options
+     * @param {boolean} options.wrap - Wrap the output in `<div class="ql-editor">` (default false)
+     * @returns {string} HTML
+     */
+    static render(delta, options = {}) {
+        const lines = this.splitLines(delta && delta.ops ? delta.ops : []);
+        let html = '';
+        let index = 0;
+
+        while (index < lines.length) {
+            const line = lines[index];
+
+            if (line.embed) {
+                html += this.renderBlockEmbed(line.embed, line.attributes);
+                index++;
+            } else if (line.attributes['code-block']) {
+                // Consecutive code lines share one <pre>
+                let code = '';
+                while (index < lines.length && !lines[index].embed && lines[index].attributes['code-block']) {
+                    code += lines[index].ops.map(op => typeof op.insert === 'string' ? op.insert : '').join('') + '\n';
+                    index++;
+                }
+                html += `<pre class="ql-syntax" spellcheck="false">${this.escapeText(code)}</pre>`;
+            } else if (LIST_TAGS[line.attributes.list]) {
+                // Consecutive items of the same kind share one list; nesting is an indent class
+                const kind = line.attributes.list;
+                html += LIST_TAGS[kind];
+                while (index < lines.length && !lines[index].embed && lines[index].attributes.list === kind) {
+                    html += `<li${this.blockAttributes(lines[index].attributes)}>${this.renderLine(lines[index].ops)}</li>`;
+                    index++;
+                }
+                html += LIST_TAGS[kind].startsWith('<ol') ? '</ol>' : '</ul>';
+            } else {
+                const tag = line.attributes.header >= 1 && line.attributes.header <= 6 ? `h${line.attributes.header}`
+                    : line.attributes.blockquote ? 'blockquote' : 'p';
+                html += `<${tag}${this.blockAttributes(line.attributes)}>${this.renderLine(line.ops)}</${tag}>`;
+                index++;
+            }
+        }
+
+        return options.wrap ? `<div class="ql-editor">${html}</div>` : html;
+    }
+
+    /**
+     * Render a quote blot value the way QuoteBlot.create does, without the delete button
+     * @param {Object} value - Quote value ({ content, author, sourceTitle, sourceUrl, date, locator })
+     * @returns {string} HTML
+     */
+    static renderQuote(value) {
+        return this.renderQuoteBlock(value, '');
+    }
+
+    // INTERNAL: Lines
+    static splitLines(ops) {
+        const lines = [];
+        let current = [];
+
+        ops.forEach(op => {
+            if (typeof op.insert !== 'string') {
+                if (op.insert && (op.insert.quote !== undefined || op.insert.video !== undefined)) {
+                    // Quill ends the open line before a block embed
+                    if (current.length > 0) {
+                        lines.push({ ops: current, attributes: {} });
+                        current = [];
+                    }
+                    lines.push({ embed: op.insert, attributes: op.attributes || {} });
+                } else if (op.insert) {
+                    current.push(op);
+                }
+                return;
+            }
+
+            const parts = op.insert.split('\n');
+            parts.forEach((part, index) => {
+                if (part) {
+                    current.push({ insert: part, attributes: op.attributes });
+                }
+                if (index < parts.length - 1) {
+                    lines.push({ ops: current, attributes: op.attributes || {} });
+                    current = [];
+                }
+            });
+        });
+
+        if (current.length > 0) {
+            lines.push({ ops: current, attributes: {} });
+        }
+
+        return lines;
+    }
+
+    static blockClass(attributes) {
+        const classes = [];
+        if (attributes.align) classes.push(`ql-align-${attributes.align}`);
+        if (attributes.direction) classes.push(`ql-direction-${attributes.direction}`);
+        if (attributes.indent) classes.push(`ql-indent-${attributes.indent}`);
+        return classes.length > 0 ? ` class="${this.escapeHtml(classes.join(' '))}"` : '';
+    }
+
+    static blockAttributes(attributes) {
+        return this.blockClass(attributes) + this.suggestionAttribute(BLOCK_SUGGESTION, attributes[BLOCK_SUGGESTION]);
+    }
+
+    static renderBlockEmbed(embed, attributes = {}) {
+        const suggestion = this.suggestionAttribute(BLOCK_SUGGESTION, attributes[BLOCK_SUGGESTION]);
+        if (embed.quote !== undefined) {
+            return this.renderQuoteBlock(embed.quote, suggestion);
+        }
+        const src = this.escapeHtml(this.sanitizeUrl(embed.video, 'about:blank'));
+        return `<iframe class="ql-video" frameborder="0" allowfullscreen="true" src="${src}"${suggestion}></iframe>`;
+    }
+
+    static suggestionAttribute(name, value) {
+        return value && typeof value === 'object'
+            ? ` data-${name}="${this.escapeHtml(JSON.stringify(value))}"`
+            : '';
+    }
+
+    // INTERNAL: Inline content
+    static renderLine(ops) {
+        const segments = ops.map(op => this.toSegment(op)).filter(segment => segment.html);
+        return segments.length > 0 ? this.renderSegments(segments, 0) : '<br>';
+    }
+
+    /**
+     * Describe an op as its leaf HTML plus the opening tags that wrap it, outermost first.
+     * Color, background, font, size and suggestions go on the outermost tag, or on a <span> if there is none.
+     */
+    static toSegment(op) {
+        const attributes = op.attributes || {};
+        const tags = INLINE_FORMATS
+            .filter(name => attributes[name] && (name !== 'script' || ['sub', 'super'].includes(attributes.script)))
+            .map(name => {
+                if (name === 'link') {
+                    const href = this.escapeHtml(this.sanitizeUrl(attributes.link, 'about:blank'));
+                    return { name: 'a', open: `<a href="${href}" rel="noopener noreferrer" target="_blank"` };
+                }
+                const tag = name === 'script' ? (attributes.script === 'sub' ? 'sub' : 'sup') : INLINE_TAGS[name];
+                return { name: tag, open: `<${tag}` };
+            });
+
+        const styles = [];
+        if (this.isColor(attributes.color)) styles.push(`color: ${attributes.color};`);
+        if (this.isColor(attributes.background)) styles.push(`background-color: ${attributes.background};`);
+        const classes = [];
+        if (attributes.font) classes.push(`ql-font-${attributes.font}`);
+        if (attributes.size) classes.push(`ql-size-${attributes.size}`);
+
+        const suggestions = INLINE_SUGGESTIONS
+            .map(name => this.suggestionAttribute(name, attributes[name]))
+            .join('');
+
+        if ((styles.length > 0 || classes.length > 0 || suggestions) && tags.length === 0) {
+            tags.push({ name: 'span', open: '<span' });
+        }
+        if (styles.length > 0) tags[0].open += ` style="${this.escapeHtml(styles.join(' '))}"`;
+        if (classes.length > 0) tags[0].open += ` class="${this.escapeHtml(classes.join(' '))}"`;
+        if (suggestions) tags[0].open += suggestions;
+        tags.forEach(tag => { tag.open += '>'; });
+
+        return { tags, html: this.renderLeaf(op.insert, attributes) };
+    }
+
+    static renderLeaf(insert, attributes) {
+        if (typeof insert === 'string') {
+            return this.escapeText(insert);
+        }
+        if (insert && insert.image !== undefined) {
+            const src = this.escapeHtml(this.sanitizeUrl(insert.image, '//:0', IMAGE_PROTOCOLS));
+            const extra = Object.keys(attributes)
+                .filter(name => IMAGE_ATTRIBUTES.includes(name))
+                .map(name => ` ${name}="${this.escapeHtml(attributes[name])}"`)
+                .join('');
+            return `<img src="${src}"${extra}>`;
+        }
+        if (insert && insert.mention !== undefined) {
+            const mention = insert.mention && typeof insert.mention === 'object' ? insert.mention : {};
+            const denotation = String(mention.denotation || '@');
+            return `<span class="ql-mention" data-id="${this.escapeHtml(mention.id || '')}" ` +
+                `data-label="${this.escapeHtml(mention.label || '')}" data-denotation="${this.escapeHtml(denotation)}">` +
+                `${this.escapeText(denotation + (mention.label || ''))}</span>`;
+        }
+        // Other embeds (e.g. formulas) need a browser to render
+        return '';
+    }
+
+    // Adjacent segments that open the same tag at a level share one element, as Quill merges them
+    static renderSegments(segments, level) {
+        let html = '';
+        let index = 0;
+
+        while (index < segments.length) {
+            const tag = segments[index].tags[level];
+            if (!tag) {
+                html += segments[index].html;
+                index++;
+                continue;
+            }
+
+            const group = [];
+            while (index < segments.length && segments[index].tags[level] &&
+                   segments[index].tags[level].open === tag.open) {
+                group.push(segments[index]);
+                index++;
+            }
+            html += `${tag.open}${this.renderSegments(group, level + 1)}</${tag.name}>`;
+        }
+
+        return html;
+    }
+
+    // INTERNAL: Quotes
+    static renderQuoteBlock(value, blockAttributes) {
+        const quote = value && typeof value === 'object' ? value : {};
+        const content = this.sanitizeQuoteContent(quote.content || '');
+        const author = this.escapeText(quote.author || '');
+
+        return `<div class="ql-quote-block"${blockAttributes}><div class="ql-quote-content">` +
+            `<div class="ql-quote-text">${content}</div>` +
+            `<div class="ql-quote-author">${author}</div>` +
+            this.renderCitation(quote) +
+            '</div></div>';
+    }
+
+    static renderCitation(quote) {
+        const sourceUrl = quote.sourceUrl && HtmlSanitizer.isSafeUrl(quote.sourceUrl) ? quote.sourceUrl : '';
+        if (!quote.sourceTitle && !sourceUrl && !quote.date && !quote.locator) {
+            return '';
+        }
+
+        let html = '<cite class="ql-quote-cite">';
+        if (quote.sourceTitle || sourceUrl) {
+            const label = this.escapeText(quote.sourceTitle || sourceUrl);
+            if (sourceUrl) {
+                const className = quote.sourceTitle ? 'ql-quote-source' : 'ql-quote-source ql-quote-source-url';
+                html += `<a class="${className}" href="${this.escapeHtml(sourceUrl)}" target="_blank" rel="noopener noreferrer">${label}</a>`;
+            } else {
+                html += `<span class="ql-quote-source">${label}</span>`;
+            }
+        }
+        if (quote.date) {
+            html += `<span class="ql-quote-date">${this.escapeText(quote.date)}</span>`;
+        }
+        if (quote.locator) {
+            html += `<span class="ql-quote-locator">${this.escapeText(quote.locator)}</span>`;
+        }
+        return html + '</cite>';
+    }
+
+    /**
+     * Clean quote content with the quote allowlist.
+     * Disallowed tags are unwrapped, dropped tags lose their content and open tags are closed.
+     */
+    static sanitizeQuoteContent(html) {
+        const open = [];
+        let output = '';
+        let dropping = null;
+
+        String(html).replace(HTML_TOKEN, (token, closing, rawName, rawAttributes) => {
+            const name = rawName ? rawName.toLowerCase() : '';
+
+            if (dropping) {
+                if (closing && name === dropping) {
+                    dropping = null;
+                }
+                return token;
+            }
+
+            if (token.startsWith('<!--')) {
+                return token;
+            }
+            if (!name) {
+                output += token === '<' ? '&lt;' : token.replace(/>/g, '&gt;');
+                return token;
+            }
+            if (DROP_CONTENT_TAGS.includes(name)) {
+                if (!closing && !/\/>$/.test(token)) {
+                    dropping = name;
+                }
+                return token;
+            }
+            if (!QUOTE_TAGS.includes(name)) {
+                return token;
+            }
+
+            if (closing) {
+                const position = open.lastIndexOf(name);
+                if (position !== -1) {
+                    output += open.splice(position).reverse().map(tag => `</${tag}>`).join('');
+                }
+            } else if (name === 'br') {
+                output += '<br>';
+            } else {
+                output += `<${name}${this.sanitizeAttributes(name, rawAttributes || '')}>`;
+                open.push(name);
+            }
+            return token;
+        });
+
+        return output + open.reverse().map(tag => `</${tag}>`).join('');
+    }
+
+    static sanitizeAttributes(tag, rawAttributes) {
+        const allowed = QUOTE_ATTRIBUTES[tag] || [];
+        let output = '';
+
+        rawAttributes.replace(HTML_ATTRIBUTE, (match, rawName, doubleQuoted, singleQuoted, unquoted) => {
+            const name = rawName.toLowerCase();
+            const value = this.decodeEntities(doubleQuoted || singleQuoted || unquoted || '');
+            if (allowed.includes(name) && (name !== 'href' || HtmlSanitizer.isSafeUrl(value))) {
+                output += ` ${name}="${this.escapeHtml(value)}"`;
+            }
+            return match;
+        });
+
+        return output;
+    }
+
+    // INTERNAL: Escaping
+    static sanitizeUrl(url, fallback, protocols) {
+        const value = String(url || '');
+        return HtmlSanitizer.isSafeUrl(value, protocols) ? value : fallback;
+    }
+
+    static isColor(value) {
+        return typeof value === 'string' && COLOR_VALUE.test(value.trim());
+    }
+
+    static decodeEntities(text) {
+        return text
+            .replace(/&#(\d+);/g, (entity, code) => this.fromCodePoint(Number(code)))
+            .replace(/&#x([0-9a-f]+);/gi, (entity, code) => this.fromCodePoint(parseInt(code, 16)))
+            .replace(/&quot;/g, '"')
+            .replace(/&#39;|&apos;/g, "'")
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&nbsp;/g, ' ')
+            .replace(/&amp;/g, '&');
+    }
+
+    static fromCodePoint(code) {
+        return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : '\uFFFD';
+    }
+
+    static escapeText(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+
+    static escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+export default DeltaRenderer;
+export { DeltaRenderer };
@@ -0,0 +1,540 @@
+/**
+ * Revisions
+ * Named snapshots of a document, a history browser that diffs any two of them, and restore
+ * ES6 Module version for React projects
+ */
+
+import Quill from 'quill';
+import DeltaRenderer from './render.js';
+import Translator from './i18n.js';
+import { createId, copy, formatDate, createButton, trapFocus } from './utils.js';
+
+const Delta = Quill.import('delta');
+const Parchment = Quill.import('parchment');
+
+const FOCUSABLE_SELECTOR = 'button:not([disabled]), input:not([disabled]), select:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+// Suggestion formats are dropped before diffing so they never read as changes of their own
+const SUGGESTION_FORMATS = ['suggest-insert', 'suggest-delete', 'suggest-format', 'suggest-block'];
+
+// Stands for the editor's live content wherever a revision id is expected
+const CURRENT = 'current';
+
+let dialogCount = 0;
+
+/**
+ * PUBLIC: In-memory revision store
+ * The default store. Any object with the same async load/save/clear methods can replace it,
+ * including the autosave draft stores.
+ */
+class MemoryRevisionStore {
+    constructor() {
+        this.documents = new Map();
+    }
+
+    async load(key) {
+        return JSON.parse(JSON.stringify(this.documents.get(key) || []));
+    }
+
+    async save(key, revisions) {
+        this.documents.set(key, JSON.parse(JSON.stringify(revisions)));
+        return revisions;
+    }
+
+    async clear(key) {
+        this.documents.delete(key);
+    }
+}
+
+/**
+ * PUBLIC: Revisions Manager Class
+ * Saves named Delta snapshots, renders the changes between any two as an inline diff,
+ * and restores a snapshot as a single undoable change.
+ * Emits revision-created, revision-deleted and revision-restored events.
+ */
+class RevisionsManager {
+    static defaults = {
+        key: 'default',
+        storage: null,
+        user: {},
+        maxRevisions: 100
+    };
+
+    /**
+     * @param {Object} quill - Quill instance
+     * @param {Object} options - Revisions configuration
+     * @param {string} options.key - Document key revisions are stored under
+     * @param {Object} options.storage - Store with async load(key), save(key, revisions) and clear(key)
+     * @param {Object} options.user - { id, name } recorded as the author of new revisions
+     * @param {number} options.maxRevisions - Number of revisions to keep
+     * @param {string} options.locale - Language of the history browser (see i18n.js)
+     * @param {Object} options.messages - Message keys to override
+     */
+    constructor(quill, options = {}) {
+        this.quill = quill;
+        this.options = { ...RevisionsManager.defaults, ...options };
+        this.translator = new Translator({ locale: this.options.locale, messages: this.options.messages });
+
+        this.store = this.options.storage && typeof this.options.storage === 'object'
+            ? this.options.storage
+            : new MemoryRevisionStore();
+
+        this.modal = null;
+        this.revisions = [];
+        this.selectedId = CURRENT;
+        this.compareId = null;
+        this.returnFocus = null;
+    }
+
+    /**
+     * PUBLIC: Save the current content as a named revision
+     * @param {string} label - Revision name (optional)
+     * @returns {Promise<Object>} The saved revision
+     */
+    async createRevision(label = '') {
+        const user = this.options.user || {};
+        const revision = {
+            id: createId(),
+            label: String(label || '').trim(),
+            createdAt: Date.now(),
+            author: { id: user.id || null, name: user.name || '' },
+            delta: { ops: this.quill.getContents().ops }
+        };
+
+        const revisions = await this.store.load(this.options.key);
+        revisions.push(revision);
+        await this.store.save(this.options.key, revisions.slice(-this.options.maxRevisions));
+
+        this.quill.emitter.emit('revision-created', { key: this.options.key, revision: copy(revision) });
+        await this.refreshHistory();
+        return copy(revision);
+    }
+
+    /**
+     * PUBLIC: List stored revisions, oldest first
+     * @returns {Promise<Array>}
+     */
+    async getRevisions() {
+        return this.store.load(this.options.key);
+    }
+
+    /**
+     * PUBLIC: Get one stored revision
+     * @param {string} revisionId - Revision id
+     * @returns {Promise<Object|null>}
+     */
+    async getRevision(revisionId) {
+        const revisions = await this.getRevisions();
+        return revisions.find(revision => revision.id === revisionId) || null;
+    }
+
+    /**
+     * PUBLIC: Delete a stored revision
+     * @param {string} revisionId - Revision id
+     * @returns {Promise<boolean>} Whether the revision existed
+     */
+    async deleteRevision(revisionId) {
+        const revisions = await this.getRevisions();
+        const revision = revisions.find(item => item.id === revisionId);
+        if (!revision) {
+            return false;
+        }
+
+        await this.store.save(this.options.key, revisions.filter(item => item !== revision));
+        this.quill.emitter.emit('revision-deleted', { key: this.options.key, revision });
+        await this.refreshHistory();
+        return true;
+    }
+
+    /**
+     * PUBLIC: Describe the changes between two revisions as a Delta
+     * Deleted content stays in place, so the result reads like the document with suggestions:
+     * suggest-insert, suggest-delete and suggest-format mark text, suggest-block marks line breaks and quotes.
+     * @param {string} fromId - Older revision id, or 'current'
+     * @param {string} toId - Newer revision id, or 'current' (the default)
+     * @returns {Promise<Object>} Diff Delta
+     */
+    async getDiff(fromId, toId = CURRENT) {
+        const [from, to] = await Promise.all([this.getContent(fromId), this.getContent(toId)]);
+        if (!from || !to) {
+            throw new Error('Revisions: Revision not found');
+        }
+        return this.diff(from, to);
+    }
+
+    /**
+     * PUBLIC: Render the changes between two revisions to HTML (see getDiff)
+     * @returns {Promise<string>} HTML wrapped in <div class="ql-editor">
+     */
+    async renderDiff(fromId, toId = CURRENT) {
+        return DeltaRenderer.render(await this.getDiff(fromId, toId), { wrap: true });
+    }
+
+    /**
+     * PUBLIC: Replace the content with a revision as one undoable change
+     * @param {string} revisionId - Revision id
+     * @returns {Promise<boolean>} Whether the revision was restored
+     */
+    async restore(revisionId) {
+        const revision = await this.getRevision(revisionId);
+        // User changes are ignored while the editor is read-only
+        if (!revision || !this.quill.isEnabled()) {
+            return false;
+        }
+
+        const change = this.quill.getContents().diff(new Delta(revision.delta.ops));
+        const history = this.quill.getModule('history');
+        if (history) history.cutoff();
+        this.quill.updateContents(change, Quill.sources.USER);
+        if (history) history.cutoff();
+
+        this.quill.emitter.emit('revision-restored', { key: this.options.key, revision });
+        this.selectedId = CURRENT;
+        this.compareId = revision.id;
+        await this.refreshHistory();
+        return true;
+    }
+
+    /**
+     * PUBLIC: Open the history browser
+     * Lists the current document and every revision, newest first, with a diff against another version
+     */
+    async showHistory() {
+        this.closeHistory();
+        this.returnFocus = document.activeElement;
+        this.selectedId = CURRENT;
+        this.compareId = null;
+
+        const id = `quilld-revisions-${++dialogCount}`;
+        const t = key => this.translator.t(key);
+
+        const modal = document.createElement('div');
+        modal.className = 'quilld-revisions-modal';
+        modal.dir = this.translator.dir;
+        modal.lang = this.translator.locale;
+
+        const overlay = document.createElement('div');
+        overlay.className = 'quilld-revisions-overlay';
+        overlay.addEventListener('click', () => this.closeHistory());
+
+        const dialog = document.createElement('div');
+        dialog.className = 'quilld-revisions-dialog';
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-modal', 'true');
+        dialog.setAttribute('aria-labelledby', `${id}-title`);
+
+        const header = document.createElement('div');
+        header.className = 'quilld-revisions-header';
+        const title = document.createElement('h3');
+        title.id = `${id}-title`;
+        title.textContent = t('revisions.title');
+        header.appendChild(title);
+        header.appendChild(createButton(t('revisions.close'), 'quilld-revisions-close', () => this.closeHistory()));
+
+        const sidebar = document.createElement('div');
+        sidebar.className = 'quilld-revisions-sidebar';
+        sidebar.appendChild(this.createForm());
+        const list = document.createElement('ol');
+        list.className = 'quilld-revisions-list';
+        sidebar.appendChild(list);
+
+        const main = document.createElement('div');
+        main.className = 'quilld-revisions-main';
+        const toolbar = document.createElement('div');
+        toolbar.className = 'quilld-revisions-toolbar';
+        const compareLabel = document.createElement('label');
+        compareLabel.htmlFor = `${id}-compare`;
+        compareLabel.textContent = t('revisions.compareTo');
+        const compare = document.createElement('select');
+        compare.id = `${id}-compare`;
+        compare.className = 'quilld-revisions-compare';
+        compare.addEventListener('change', () => {
+            this.compareId = compare.value;
+            this.renderHistory();
+        });
+        toolbar.appendChild(compareLabel);
+        toolbar.appendChild(compare);
+        toolbar.appendChild(createButton(t('revisions.restore'), 'quilld-revisions-restore', () => {
+            this.restore(this.selectedId).catch(error => {
+                console.error('Revisions: Failed to restore revision:', error);
+            });
+        }));
+        const diff = document.createElement('div');
+        diff.className = 'quilld-revisions-diff';
+        diff.setAttribute('aria-live', 'polite');
+        main.appendChild(toolbar);
+        main.appendChild(diff);
+
+        const body = document.createElement('div');
+        body.className = 'quilld-revisions-body';
+        body.appendChild(sidebar);
+        body.appendChild(main);
+
+        dialog.appendChild(header);
+        dialog.appendChild(body);
+        dialog.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                e.stopPropagation();
+                this.closeHistory();
+            } else if (e.key === 'Tab') {
+                trapFocus(e, dialog, FOCUSABLE_SELECTOR);
+            }
+        });
+
+        modal.appendChild(overlay);
+        modal.appendChild(dialog);
+        document.body.appendChild(modal);
+        this.modal = modal;
+
+        await this.refreshHistory();
+        if (this.modal === modal) {
+            modal.querySelector('.quilld-revisions-label').focus();
+        }
+    }
+
+    /**
+     * PUBLIC: Close the history browser
+     */
+    closeHistory() {
+        if (!this.modal) {
+            return;
+        }
+        this.modal.remove();
+        this.modal = null;
+        if (this.returnFocus && typeof this.returnFocus.focus === 'function' && document.contains(this.returnFocus)) {
+            this.returnFocus.focus();
+        }
+        this.returnFocus = null;
+    }
+
+    /**
+     * PUBLIC: Close the history browser; stored revisions are kept
+     */
+    destroy() {
+        this.closeHistory();
+    }
+
+    // PRIVATE: Internal methods (not part of public API)
+    async getContent(revisionId) {
+        if (revisionId === CURRENT) {
+            return this.quill.getContents();
+        }
+        const revision = await this.getRevision(revisionId);
+        return revision ? new Delta(revision.delta.ops) : null;
+    }
+
+    /**
+     * Merge two documents into one Delta that keeps both sides, marking what changed
+     */
+    diff(from, to) {
+        const before = this.withoutSuggestions(from);
+        const after = this.withoutSuggestions(to);
+        const result = new Delta();
+        let index = 0;
+
+        before.diff(after).ops.forEach(op => {
+            if (op.insert !== undefined) {
+                this.markOps([op], 'insert', null, result);
+            } else if (op.delete) {
+                this.markOps(before.slice(index, index + op.delete).ops, 'delete', null, result);
+                index += op.delete;
+            } else if (!op.attributes) {
+                before.slice(index, index + op.retain).ops.forEach(kept => result.push(kept));
+                index += op.retain;
+            } else {
+                // Each original op records the values its formatting change replaced
+                before.slice(index, index + op.retain).ops.forEach(original => {
+                    const length = typeof original.insert === 'string' ? original.insert.length : 1;
+                    const previous = {};
+                    Object.keys(op.attributes).forEach(name => {
+                        previous[name] = original.attributes && original.attributes[name] !== undefined
+                            ? original.attributes[name]
+                            : null;
+                    });
+                    const formatted = new Delta([original]).compose(new Delta().retain(length, op.attributes));
+                    this.markOps(formatted.ops, 'format', previous, result);
+                });
+                index += op.retain;
+            }
+        });
+
+        // The diff leaves out the unchanged end of the document
+        before.slice(index).ops.forEach(kept => result.push(kept));
+        return result;
+    }
+
+    withoutSuggestions(delta) {
+        const cleared = {};
+        SUGGESTION_FORMATS.forEach(name => {
+            cleared[name] = null;
+        });
+        return new Delta(delta.ops).compose(new Delta().retain(delta.length(), cleared));
+    }
+
+    // Line breaks and block embeds take suggest-block, which carries the type; everything else the inline format
+    markOps(ops, type, previous, result) {
+        const value = previous ? { previous } : {};
+
+        ops.forEach(op => {
+            const parts = typeof op.insert === 'string' ? op.insert.split(/(\n)/).filter(Boolean) : [op.insert];
+            parts.forEach(part => {
+                const isBlock = part === '\n' || (typeof part === 'object' &&
+                    Boolean(Parchment.query(Object.keys(part)[0], Parchment.Scope.BLOCK_BLOT)));
+                const attributes = isBlock
+                    ? { ...op.attributes, 'suggest-block': { type, ...value } }
+                    : { ...op.attributes, [`suggest-${type}`]: value };
+                result.insert(part, attributes);
+            });
+        });
+    }
+
+    createForm() {
+        const form = document.createElement('form');
+        form.className = 'quilld-revisions-create';
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'quilld-revisions-label';
+        input.placeholder = this.translator.t('revisions.labelPlaceholder');
+        input.setAttribute('aria-label', this.translator.t('revisions.labelPlaceholder'));
+
+        const button = createButton(this.translator.t('revisions.create'), 'quilld-revisions-save');
+        button.type = 'submit';
+
+        form.appendChild(input);
+        form.appendChild(button);
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.createRevision(input.value).then(() => {
+                input.value = '';
+            }).catch(error => {
+                console.error('Revisions: Failed to save revision:', error);
+            });
+        });
+        return form;
+    }
+
+    getLabel(revisionId) {
+        if (revisionId === CURRENT) {
+            return this.translator.t('revisions.current');
+        }
+        const revision = this.revisions.find(item => item.id === revisionId);
+        return revision && revision.label ? revision.label : this.translator.t('revisions.untitled');
+    }
+
+    async refreshHistory() {
+        if (!this.modal) {
+            return;
+        }
+        this.revisions = await this.getRevisions();
+        await this.renderHistory();
+    }
+
+    /**
+     * Versions newest first: the current document, then revisions.
+     * By default a version is compared with the one saved before it.
+     */
+    async renderHistory() {
+        const modal = this.modal;
+        if (!modal) {
+            return;
+        }
+
+        const versions = [CURRENT, ...this.revisions.map(revision => revision.id).reverse()];
+        if (!versions.includes(this.selectedId)) {
+            this.selectedId = CURRENT;
+        }
+        const others = versions.filter(versionId => versionId !== this.selectedId);
+        if (!others.includes(this.compareId)) {
+            const position = versions.indexOf(this.selectedId);
+            this.compareId = versions[position + 1] || others[0] || null;
+        }
+
+        this.renderList(versions);
+
+        const compare = modal.querySelector('.quilld-revisions-compare');
+        compare.textContent = '';
+        others.forEach(versionId => {
+            const option = document.createElement('option');
+            option.value = versionId;
+            option.textContent = this.describe(versionId);
+            option.selected = versionId === this.compareId;
+            compare.appendChild(option);
+        });
+        compare.disabled = others.length === 0;
+
+        modal.querySelector('.quilld-revisions-restore').disabled =
+            this.selectedId === CURRENT || !this.quill.isEnabled();
+
+        const diff = modal.querySelector('.quilld-revisions-diff');
+        if (!this.compareId) {
+            diff.innerHTML = `<p class="quilld-revisions-empty">${DeltaRenderer.escapeText(this.translator.t('revisions.empty'))}</p>`;
+            return;
+        }
+
+        const selectedId = this.selectedId;
+        const compareId = this.compareId;
+        // Older against newer, so what a later version added reads as insertions
+        const [older, newer] = versions.indexOf(compareId) > versions.indexOf(selectedId)
+            ? [compareId, selectedId]
+            : [selectedId, compareId];
+        const delta = await this.getDiff(older, newer);
+        if (this.modal !== modal || selectedId !== this.selectedId || compareId !== this.compareId) {
+            return;
+        }
+
+        const changed = delta.ops.some(op => op.attributes &&
+            SUGGESTION_FORMATS.some(name => op.attributes[name]));
+        diff.innerHTML = DeltaRenderer.render(delta, { wrap: true }) + (changed ? ''
+            : `<p class="quilld-revisions-empty">${DeltaRenderer.escapeText(this.translator.t('revisions.noChanges'))}</p>`);
+    }
+
+    renderList(versions) {
+        const list = this.modal.querySelector('.quilld-revisions-list');
+        list.textContent = '';
+
+        versions.forEach(versionId => {
+            const revision = this.revisions.find(item => item.id === versionId);
+            const item = document.createElement('li');
+            const button = createButton('', 'quilld-revisions-item', () => {
+                this.selectedId = versionId;
+                this.compareId = null;
+                this.renderHistory();
+            });
+            button.dataset.revisionId = versionId;
+            if (versionId === this.selectedId) {
+                button.setAttribute('aria-current', 'true');
+            }
+
+            const name = document.createElement('strong');
+            name.textContent = this.getLabel(versionId);
+            button.appendChild(name);
+            if (revision) {
+                const time = document.createElement('time');
+                time.dateTime = new Date(revision.createdAt).toISOString();
+                time.textContent = formatDate(revision.createdAt, this.translator.locale);
+                button.appendChild(time);
+                if (revision.author && revision.author.name) {
+                    const author = document.createElement('span');
+                    author.className = 'quilld-revisions-author';
+                    author.textContent = revision.author.name;
+                    button.appendChild(author);
+                }
+            }
+
+            item.appendChild(button);
+            list.appendChild(item);
+        });
+    }
+
+    describe(versionId) {
+        const revision = this.revisions.find(item => item.id === versionId);
+        return revision
+            ? `${this.getLabel(versionId)} (${formatDate(revision.createdAt, this.translator.locale)})`
+            : this.getLabel(versionId);
+    }
+}
+
+export default RevisionsManager;
+export { RevisionsManager, MemoryRevisionStore };
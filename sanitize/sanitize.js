@@ -0,0 +1,166 @@
+/**
+ * HTML Sanitizer
+ * Allowlist-based cleaning for HTML imported into Quill editors
+ * ES6 Module version for React projects
+ */
+
+const DEFAULT_ALLOWED_TAGS = [
+    'p', 'br', 'div', 'span',
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+    'strong', 'b', 'em', 'i', 'u', 's', 'strike', 'sub', 'sup',
+    'ul', 'ol', 'li',
+    'blockquote', 'pre', 'code',
+    'a', 'img'
+];
+
+const DEFAULT_ALLOWED_ATTRIBUTES = {
+    '*': ['class'],
+    a: ['href', 'target', 'rel', 'title'],
+    img: ['src', 'alt', 'width', 'height'],
+    pre: ['spellcheck']
+};
+
+const DEFAULT_ALLOWED_PROTOCOLS = ['http', 'https', 'mailto', 'tel'];
+
+// Elements whose content is never meaningful text and is dropped entirely
+const DROP_CONTENT_TAGS = [
+    'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed',
+    'noscript', 'template', 'svg', 'math', 'textarea', 'select', 'title', 'head'
+];
+
+const URL_ATTRIBUTES = ['href', 'src', 'action', 'formaction', 'xlink:href', 'poster', 'background'];
+
+/**
+ * PUBLIC: HTML Sanitizer Class
+ * Removes disallowed elements, event handlers and unsafe URLs, reporting each removal
+ */
+class HtmlSanitizer {
+    static defaults = {
+        allowedTags: DEFAULT_ALLOWED_TAGS,
+        allowedAttributes: DEFAULT_ALLOWED_ATTRIBUTES,
+        allowedProtocols: DEFAULT_ALLOWED_PROTOCOLS
+    };
+
+    /**
+     * @param {Object} options - Allowlist configuration
+     * @param {string[]} options.allowedTags - Tag names to keep
+     * @param {Object} options.allowedAttributes - Map of tag name (or '*') to attribute names
+     * @param {string[]} options.allowedProtocols - URL schemes allowed in href/src
+     */
+    constructor(options = {}) {
+        const config = { ...HtmlSanitizer.defaults, ...options };
+        this.allowedTags = new Set(config.allowedTags.map(tag => tag.toLowerCase()));
+        this.allowedAttributes = config.allowedAttributes;
+        this.allowedProtocols = config.allowedProtocols.map(protocol => protocol.toLowerCase());
+    }
+
+    /**
+     * PUBLIC: Sanitize an HTML string
+     * @param {string} html - Untrusted HTML
+     * @param {Object} options - Allowlist configuration (see constructor)
+     * @returns {{ html: string, removed: Object[] }} Clean HTML and a removal report
+     */
+    static sanitize(html, options = {}) {
+        return new HtmlSanitizer(options).sanitize(html);
+    }
+
+    /**
+     * PUBLIC: Check a URL against the allowed protocols
+     * Relative URLs and fragments are always allowed
+     */
+    static isSafeUrl(url, allowedProtocols = DEFAULT_ALLOWED_PROTOCOLS) {
+        // Browsers ignore control characters and whitespace inside the scheme
+        const normalized = String(url || '').replace(/[\u0000- \u007f-\u009f]/g, '');
+        const scheme = normalized.match(/^([a-z][a-z0-9+.-]*):/i);
+        if (!scheme) {
+            return true;
+        }
+        return allowedProtocols.includes(scheme[1].toLowerCase());
+    }
+
+    sanitize(html) {
+        const removed = [];
+
+        if (!html || typeof html !== 'string') {
+            return { html: '', removed };
+        }
+
+        // Template content is inert: scripts do not run and images do not load
+        const template = document.createElement('template');
+        template.innerHTML = html;
+        this.cleanChildren(template.content, removed);
+
+        const output = document.createElement('div');
+        output.appendChild(template.content);
+
+        return { html: output.innerHTML, removed };
+    }
+
+    // INTERNAL: Tree walking
+    cleanChildren(parent, removed) {
+        Array.from(parent.childNodes).forEach(node => {
+            if (node.nodeType === Node.ELEMENT_NODE) {
+                this.cleanElement(node, removed);
+            } else if (node.nodeType !== Node.TEXT_NODE) {
+                // Comments, processing instructions and CDATA
+                node.parentNode.removeChild(node);
+            }
+        });
+    }
+
+    cleanElement(element, removed) {
+        const tag = element.tagName.toLowerCase();
+
+        if (!this.allowedTags.has(tag)) {
+            removed.push({ type: 'element', name: tag });
+
+            if (DROP_CONTENT_TAGS.includes(tag)) {
+                element.parentNode.removeChild(element);
+                return;
+            }
+
+            // Unwrap unknown elements so their text survives
+            this.cleanChildren(element, removed);
+            while (element.firstChild) {
+                element.parentNode.insertBefore(element.firstChild, element);
+            }
+            element.parentNode.removeChild(element);
+            return;
+        }
+
+        this.cleanAttributes(element, tag, removed);
+        this.cleanChildren(element, removed);
+    }
+
+    cleanAttributes(element, tag, removed) {
+        const allowed = [
+            ...(this.allowedAttributes['*'] || []),
+            ...(this.allowedAttributes[tag] || [])
+        ].map(name => name.toLowerCase());
+
+        Array.from(element.attributes).forEach(attribute => {
+            const name = attribute.name.toLowerCase();
+
+            if (name.startsWith('on') || !allowed.includes(name)) {
+                removed.push({ type: 'attribute', name, element: tag });
+                element.removeAttribute(attribute.name);
+                return;
+            }
+
+            if (URL_ATTRIBUTES.includes(name) && !this.isAllowedUrl(attribute.value, tag)) {
+                removed.push({ type: 'url', name, element: tag, value: attribute.value });
+                element.removeAttribute(attribute.name);
+            }
+        });
+    }
+
+    isAllowedUrl(url, tag) {
+        if (tag === 'img' && /^\s*data:image\/(png|gif|jpe?g|webp);/i.test(url)) {
+            return true;
+        }
+        return HtmlSanitizer.isSafeUrl(url, this.allowedProtocols);
+    }
+}
+
+export default HtmlSanitizer;
+export { HtmlSanitizer };
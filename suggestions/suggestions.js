@@ -0,0 +1,732 @@
+/**
+ * Suggested Changes
+ * Suggesting mode records insertions, deletions and formatting as attributed suggestions
+ * that can be accepted or rejected one by one or all at once
+ * ES6 Module version for React projects
+ */
+
+import Quill from 'quill';
+import Translator from './i18n.js';
+import { createId, copy, formatDate, createButton } from './utils.js';
+
+const Parchment = Quill.import('parchment');
+
+// Change type of each inline suggestion format; suggest-block values carry their own type
+const INLINE_TYPES = {
+    'suggest-insert': 'insert',
+    'suggest-delete': 'delete',
+    'suggest-format': 'format'
+};
+
+const SUGGESTION_FORMATS = [...Object.keys(INLINE_TYPES), 'suggest-block'];
+
+/**
+ * Stores { id, author, createdAt, ... } values as JSON in a data attribute
+ */
+class SuggestionAttributor extends Parchment.Attributor.Attribute {
+    add(node, value) {
+        if (!value || typeof value !== 'object' || !value.id || !this.canAdd(node, value)) {
+            return false;
+        }
+        node.setAttribute(this.keyName, JSON.stringify(value));
+        return true;
+    }
+
+    value(node) {
+        try {
+            return JSON.parse(node.getAttribute(this.keyName)) || '';
+        } catch (error) {
+            return '';
+        }
+    }
+}
+
+// Text and inline embeds
+const SuggestInsert = new SuggestionAttributor('suggest-insert', 'data-suggest-insert', { scope: Parchment.Scope.INLINE });
+const SuggestDelete = new SuggestionAttributor('suggest-delete', 'data-suggest-delete', { scope: Parchment.Scope.INLINE });
+const SuggestFormat = new SuggestionAttributor('suggest-format', 'data-suggest-format', { scope: Parchment.Scope.INLINE });
+
+// Line breaks and block embeds such as quotes, which cannot hold inline formats
+const SuggestBlock = new SuggestionAttributor('suggest-block', 'data-suggest-block', { scope: Parchment.Scope.BLOCK });
+
+/**
+ * PUBLIC: Suggestions Manager Class
+ * While suggesting, every user change is rewritten into suggestions: inserted content is marked,
+ * deleted content stays in place marked for deletion, and formatting keeps the values it replaced.
+ * Deleting keys, cut and paste over a selection only mark text, so comments and collaborators keep their anchors;
+ * deletions that still reach the document, e.g. through the API or drag and drop, are put back marked.
+ * Suggestions live in the Delta, so they survive export, import and collaboration.
+ */
+class SuggestionsManager {
+    static defaults = {
+        user: {},
+        suggesting: false
+    };
+
+    /**
+     * @param {Object} quill - Quill instance
+     * @param {Object} options - Suggestions configuration
+     * @param {Object} options.user - { id, name } recorded as the author of suggestions
+     * @param {boolean} options.suggesting - Start in suggesting mode
+     * @param {string} options.locale - Language of the suggestion popover (see i18n.js)
+     * @param {Object} options.messages - Message keys to override
+     */
+    constructor(quill, options = {}) {
+        this.quill = quill;
+        this.options = { ...SuggestionsManager.defaults, ...options };
+        this.translator = new Translator({ locale: this.options.locale, messages: this.options.messages });
+
+        this.suggesting = false;
+        this.applying = false;
+        this.forwardDelete = false;
+        this.pendingFix = null;
+        this.pendingForward = false;
+        this.activeChange = null;
+
+        this.createPopover();
+
+        this.handleTextChange = (delta, oldDelta, source) => {
+            this.hidePopover();
+            const pending = this.pendingFix;
+            // A change made before the pending fix is applied moves it
+            if (pending) {
+                this.pendingFix = delta.transform(pending, true);
+            }
+            const history = this.quill.getModule('history');
+            // Undo and redo restore content that was already tracked
+            if (this.applying || source !== Quill.sources.USER || (history && history.ignoreChange)) {
+                return;
+            }
+            if (pending) {
+                // Track the change as if the pending fix were already in the document
+                const before = oldDelta.compose(pending);
+                const change = pending.transform(delta, false);
+                this.queueTracking(this.trackChange(change, before, before.compose(change)));
+            } else {
+                this.queueTracking(this.trackChange(delta, oldDelta, this.quill.getContents()));
+            }
+            this.forwardDelete = false;
+        };
+        this.handleSelectionChange = (range) => {
+            this.updatePopover(range);
+        };
+        this.handleModeChange = ({ mode }) => {
+            this.setSuggesting(mode === 'suggest');
+            this.hidePopover();
+        };
+        // Deleted text is kept, so the key decides which side of it the cursor ends up on
+        this.handleKeyDown = (e) => {
+            this.forwardDelete = e.key === 'Delete';
+            const range = this.canMark(e) ? this.quill.getSelection() : null;
+            if (!range) {
+                return;
+            }
+            if (e.key === 'Backspace' || e.key === 'Delete') {
+                // Quill's own bindings outdent lists and indented lines, a format change that is tracked
+                const formats = this.quill.getFormat(range.index);
+                if (e.key === 'Backspace' && range.length === 0 && this.quill.getLine(range.index)[1] === 0 && (formats.list || formats.indent)) {
+                    return;
+                }
+                e.preventDefault();
+                this.markDeletion(this.deletedRange(range, this.forwardDelete), this.forwardDelete);
+            } else if (range.length > 0 && (e.key === 'Enter' || e.key.length === 1) && !e.ctrlKey && !e.metaKey) {
+                // Typing over a selection goes after it
+                this.markDeletion(range, true);
+            }
+        };
+        this.handlePaste = (e) => {
+            const range = this.canMark(e) ? this.quill.getSelection() : null;
+            if (range && range.length > 0) {
+                this.markDeletion(range, true);
+            }
+        };
+        // The cut event has filled the clipboard by now
+        this.handleBeforeInput = (e) => {
+            const range = this.canMark(e) && e.inputType === 'deleteByCut' ? this.quill.getSelection() : null;
+            if (range && range.length > 0) {
+                e.preventDefault();
+                this.markDeletion(range, true);
+            }
+        };
+
+        this.quill.on('text-change', this.handleTextChange);
+        this.quill.on('selection-change', this.handleSelectionChange);
+        this.quill.on('mode-change', this.handleModeChange);
+        this.quill.root.addEventListener('keydown', this.handleKeyDown, true);
+        this.quill.root.addEventListener('paste', this.handlePaste, true);
+        this.quill.root.addEventListener('beforeinput', this.handleBeforeInput, true);
+
+        this.setSuggesting(this.options.suggesting);
+    }
+
+    /**
+     * PUBLIC: Turn suggesting mode on or off
+     * Emits 'suggesting-change' with { suggesting }
+     */
+    setSuggesting(suggesting = true) {
+        suggesting = Boolean(suggesting);
+        if (suggesting === this.suggesting) {
+            return;
+        }
+
+        this.suggesting = suggesting;
+        this.quill.container.classList.toggle('quilld-suggesting', suggesting);
+        this.quill.emitter.emit('suggesting-change', { suggesting });
+    }
+
+    /**
+     * PUBLIC: Whether user changes are recorded as suggestions
+     */
+    isSuggesting() {
+        return this.suggesting;
+    }
+
+    /**
+     * PUBLIC: All suggestions in document order
+     * @returns {Array} [{ id, type: 'insert'|'delete'|'format', author: { id, name }, createdAt, index, length, text, previous }]
+     *   previous is only set for formatting: the values the suggestion replaced, e.g. { bold: null }
+     */
+    getChanges() {
+        const changes = new Map();
+        let index = 0;
+
+        this.quill.getContents().ops.forEach(op => {
+            const length = typeof op.insert === 'string' ? op.insert.length : 1;
+            const attributes = op.attributes || {};
+
+            SUGGESTION_FORMATS.forEach(name => {
+                const value = attributes[name];
+                if (!value || !value.id) {
+                    return;
+                }
+                if (!changes.has(value.id)) {
+                    const type = INLINE_TYPES[name] || value.type;
+                    changes.set(value.id, {
+                        id: value.id,
+                        type,
+                        author: value.author || {},
+                        createdAt: value.createdAt,
+                        index,
+                        length: 0,
+                        text: '',
+                        ...(type === 'format' ? { previous: {} } : {})
+                    });
+                }
+                const change = changes.get(value.id);
+                change.length = index + length - change.index;
+                change.text += typeof op.insert === 'string' ? op.insert : '';
+                if (change.previous) {
+                    change.previous = { ...value.previous, ...change.previous };
+                }
+            });
+
+            index += length;
+        });
+
+        return copy(Array.from(changes.values()));
+    }
+
+    /**
+     * PUBLIC: Apply one suggestion to the document
+     * @returns {boolean} Whether the suggestion exists and the editor could be changed
+     */
+    accept(changeId) {
+        return this.decide([changeId], true) > 0;
+    }
+
+    /**
+     * PUBLIC: Undo one suggestion
+     * @returns {boolean} Whether the suggestion exists and the editor could be changed
+     */
+    reject(changeId) {
+        return this.decide([changeId], false) > 0;
+    }
+
+    /**
+     * PUBLIC: Apply every suggestion in a single undo step
+     * @returns {number} Number of suggestions accepted
+     */
+    acceptAll() {
+        return this.decide(null, true);
+    }
+
+    /**
+     * PUBLIC: Undo every suggestion in a single undo step
+     * @returns {number} Number of suggestions rejected
+     */
+    rejectAll() {
+        return this.decide(null, false);
+    }
+
+    /**
+     * PUBLIC: Remove the popover and listeners
+     * Suggestions stay in the document
+     */
+    destroy() {
+        this.pendingFix = null;
+        this.quill.off('text-change', this.handleTextChange);
+        this.quill.off('selection-change', this.handleSelectionChange);
+        this.quill.off('mode-change', this.handleModeChange);
+        this.quill.root.removeEventListener('keydown', this.handleKeyDown, true);
+        this.quill.root.removeEventListener('paste', this.handlePaste, true);
+        this.quill.root.removeEventListener('beforeinput', this.handleBeforeInput, true);
+        this.quill.container.classList.remove('quilld-suggesting');
+        this.popover.remove();
+    }
+
+    // PRIVATE: Internal methods (not part of public API)
+    createValue() {
+        const user = this.options.user || {};
+        return {
+            id: createId(),
+            author: { id: user.id || null, name: user.name || '' },
+            createdAt: Date.now()
+        };
+    }
+
+    blockValue(value, type) {
+        return { id: value.id, type, author: value.author, createdAt: value.createdAt };
+    }
+
+    isOwn(value) {
+        const user = this.options.user || {};
+        const author = value.author || {};
+        return (author.id || null) === (user.id || null) && (author.name || '') === (user.name || '');
+    }
+
+    same(a, b) {
+        return JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+    }
+
+    /**
+     * Calls callback(content, attributes, isBlock, length) for each run of text,
+     * each line break and each embed
+     */
+    eachPiece(delta, callback) {
+        delta.ops.forEach(op => {
+            const attributes = op.attributes || {};
+            if (typeof op.insert !== 'string') {
+                const isBlock = Boolean(Parchment.query(Object.keys(op.insert)[0], Parchment.Scope.BLOCK_BLOT));
+                callback(op.insert, attributes, isBlock, 1);
+                return;
+            }
+            op.insert.split(/(\n)/).filter(Boolean).forEach(text => {
+                callback(text, attributes, text === '\n', text.length);
+            });
+        });
+    }
+
+    // An own suggestion of this type touching the range, so typing on extends one change
+    findAdjacent(doc, index, length, type) {
+        const inlineName = Object.keys(INLINE_TYPES).find(name => INLINE_TYPES[name] === type);
+        const positions = [index - 1, index + length].filter(position => position >= 0 && position < doc.length());
+
+        for (const position of positions) {
+            const op = doc.slice(position, position + 1).ops[0];
+            const attributes = (op && op.attributes) || {};
+            const block = attributes['suggest-block'];
+            const value = attributes[inlineName] || (block && block.type === type ? block : null);
+            if (value && value.id && this.isOwn(value)) {
+                return { id: value.id, author: value.author, createdAt: value.createdAt };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Work out the change that turns a user edit into suggestions
+     * @param {Delta} delta - The user edit
+     * @param {Delta} oldDelta - Document before the edit
+     * @param {Delta} doc - Document after the edit
+     * @returns {Delta} Change to apply on top of the edited document
+     */
+    trackChange(delta, oldDelta, doc) {
+        const Delta = Quill.import('delta');
+        const fix = new Delta();
+        const created = {};
+        let index = 0;
+        let oldIndex = 0;
+        let fixed = 0;
+
+        // One suggestion per kind of change in this edit, unless it continues an adjacent one
+        const valueFor = (type, position, length) => {
+            return this.findAdjacent(doc, position, length, type) || created[type] || (created[type] = this.createValue());
+        };
+        const retain = (position, length, attributes) => {
+            fix.retain(position - fixed).retain(length, attributes);
+            fixed = position + length;
+        };
+
+        delta.ops.forEach(op => {
+            if (typeof op.delete === 'number') {
+                if (this.suggesting) {
+                    const removed = oldDelta.slice(oldIndex, oldIndex + op.delete);
+                    let value = null;
+                    this.eachPiece(removed, (content, attributes, isBlock) => {
+                        const marked = this.deletedAttributes(attributes, isBlock, () => {
+                            return value || (value = valueFor('delete', index, 0));
+                        });
+                        if (marked) {
+                            fix.retain(index - fixed).insert(content, marked);
+                            fixed = index;
+                        }
+                    });
+                }
+                oldIndex += op.delete;
+            } else if (op.insert !== undefined) {
+                const length = typeof op.insert === 'string' ? op.insert.length : 1;
+                let position = index;
+                let value = null;
+                this.eachPiece(new Delta([op]), (content, attributes, isBlock, pieceLength) => {
+                    const updates = this.insertedUpdates(attributes, isBlock, () => {
+                        return value || (value = valueFor('insert', index, length));
+                    });
+                    if (updates) {
+                        retain(position, pieceLength, updates);
+                    }
+                    position += pieceLength;
+                });
+                index += length;
+            } else {
+                if (op.attributes && this.suggesting) {
+                    let position = index;
+                    this.eachPiece(oldDelta.slice(oldIndex, oldIndex + op.retain), (content, attributes, isBlock, pieceLength) => {
+                        const updates = this.formattedUpdates(op.attributes, attributes, isBlock, () => {
+                            return created.format || (created.format = this.createValue());
+                        });
+                        if (updates) {
+                            retain(position, pieceLength, updates);
+                        }
+                        position += pieceLength;
+                    });
+                }
+                index += op.retain;
+                oldIndex += op.retain;
+            }
+        });
+
+        return fix.chop();
+    }
+
+    // Deleted content comes back marked, except suggested insertions, which simply go
+    deletedAttributes(attributes, isBlock, getValue) {
+        const block = attributes['suggest-block'];
+        if (isBlock ? block && block.type === 'insert' : attributes['suggest-insert']) {
+            return null;
+        }
+        if (isBlock) {
+            return block && block.type === 'delete' ? attributes : { ...attributes, 'suggest-block': this.blockValue(getValue(), 'delete') };
+        }
+        return attributes['suggest-delete'] ? attributes : { ...attributes, 'suggest-delete': getValue() };
+    }
+
+    // Inserted content is marked while suggesting, and cleared of copied suggestions otherwise
+    insertedUpdates(attributes, isBlock, getValue) {
+        const wanted = {};
+        if (isBlock) {
+            const block = attributes['suggest-block'];
+            const own = block && block.type === 'insert' && this.isOwn(block) ? block : null;
+            wanted['suggest-block'] = this.suggesting ? own || this.blockValue(getValue(), 'insert') : null;
+        } else {
+            const inserted = attributes['suggest-insert'];
+            const own = inserted && this.isOwn(inserted) ? inserted : null;
+            wanted['suggest-insert'] = this.suggesting ? own || getValue() : null;
+            wanted['suggest-delete'] = null;
+            wanted['suggest-format'] = null;
+        }
+
+        const updates = {};
+        Object.keys(wanted)
+            .filter(name => !this.same(wanted[name], attributes[name]))
+            .forEach(name => {
+                updates[name] = wanted[name];
+            });
+        return Object.keys(updates).length > 0 ? updates : null;
+    }
+
+    // Formatting keeps the values it replaced; content marked for deletion keeps its formatting
+    formattedUpdates(changes, attributes, isBlock, getValue) {
+        const scope = isBlock ? Parchment.Scope.BLOCK : Parchment.Scope.INLINE;
+        const names = Object.keys(changes).filter(name =>
+            !SUGGESTION_FORMATS.includes(name) && Parchment.query(name, scope) && !this.same(changes[name], attributes[name])
+        );
+        if (names.length === 0) {
+            return null;
+        }
+
+        const name = isBlock ? 'suggest-block' : 'suggest-format';
+        const block = attributes['suggest-block'];
+        const existing = isBlock ? (block && block.type === 'format' ? block : null) : attributes['suggest-format'];
+
+        if (isBlock ? block && block.type === 'insert' : attributes['suggest-insert']) {
+            return null;
+        }
+        if (isBlock ? block && block.type === 'delete' : attributes['suggest-delete']) {
+            return names.reduce((updates, format) => ({ ...updates, [format]: attributes[format] === undefined ? null : attributes[format] }), {});
+        }
+
+        const previous = { ...(existing && existing.previous) };
+        names
+            .filter(format => !(format in previous))
+            .forEach(format => {
+                previous[format] = attributes[format] === undefined ? null : attributes[format];
+            });
+        // Formatting set back to what it was is no longer a suggestion
+        Object.keys(previous)
+            .filter(format => this.same(format in changes ? changes[format] : attributes[format], previous[format]))
+            .forEach(format => delete previous[format]);
+
+        let value = null;
+        if (Object.keys(previous).length > 0) {
+            const base = existing || (isBlock ? this.blockValue(getValue(), 'format') : getValue());
+            value = { ...base, previous };
+        }
+        return this.same(value, attributes[name]) ? null : { [name]: value };
+    }
+
+    canMark(e) {
+        return this.suggesting && !e.defaultPrevented && !e.isComposing && this.quill.isEnabled();
+    }
+
+    // What Backspace or Delete removes: the selection, or the character before or after the cursor
+    deletedRange(range, forward) {
+        if (range.length > 0) {
+            return range;
+        }
+        if (forward) {
+            const length = /^[\uD800-\uDBFF][\uDC00-\uDFFF]/.test(this.quill.getText(range.index, 2)) ? 2 : 1;
+            return { index: range.index, length };
+        }
+        const length = /[\uD800-\uDBFF][\uDC00-\uDFFF]$/.test(this.quill.getText(Math.max(0, range.index - 2), Math.min(range.index, 2))) ? 2 : 1;
+        return { index: range.index - length, length };
+    }
+
+    /**
+     * Mark a range for deletion instead of deleting it; own suggested insertions simply go
+     * @param {Object} range - { index, length }
+     * @param {boolean} after - Put the cursor after the range rather than before it
+     */
+    markDeletion(range, after) {
+        // Quill keeps the final line break
+        const length = Math.min(range.length, this.quill.getLength() - 1 - range.index);
+        if (range.index < 0 || length <= 0) {
+            return;
+        }
+
+        const Delta = Quill.import('delta');
+        const doc = this.quill.getContents();
+        const change = new Delta().retain(range.index);
+        let value = null;
+        let removed = 0;
+        this.eachPiece(doc.slice(range.index, range.index + length), (content, attributes, isBlock, pieceLength) => {
+            const marked = this.deletedAttributes(attributes, isBlock, () => {
+                return value || (value = this.findAdjacent(doc, range.index, length, 'delete') || this.createValue());
+            });
+            if (!marked) {
+                change.delete(pieceLength);
+                removed += pieceLength;
+            } else {
+                const name = isBlock ? 'suggest-block' : 'suggest-delete';
+                change.retain(pieceLength, { [name]: marked[name] });
+            }
+        });
+
+        this.applying = true;
+        try {
+            this.quill.updateContents(change.chop(), Quill.sources.USER);
+        } finally {
+            this.applying = false;
+        }
+        this.quill.setSelection(after ? range.index + length - removed : range.index, 0, Quill.sources.SILENT);
+    }
+
+    // Apply the fix once the user change has reached every text-change listener, so collab and comments never see it first
+    queueTracking(fix) {
+        if (fix.ops.length === 0) {
+            return;
+        }
+
+        this.pendingForward = this.forwardDelete;
+        if (this.pendingFix) {
+            this.pendingFix = this.pendingFix.compose(fix);
+            return;
+        }
+        this.pendingFix = fix;
+        queueMicrotask(() => {
+            const pending = this.pendingFix;
+            this.pendingFix = null;
+            if (pending) {
+                this.applyTracking(pending, this.pendingForward);
+            }
+        });
+    }
+
+    applyTracking(fix, forwardDelete) {
+        if (fix.ops.length === 0) {
+            return;
+        }
+
+        const range = this.quill.getSelection();
+        const history = this.quill.getModule('history');
+        const lastRecorded = history ? history.lastRecorded : 0;
+        this.applying = true;
+        try {
+            // One undo step with the change it tracks, even if history was cut off after that change
+            if (history) history.lastRecorded = Date.now();
+            this.quill.updateContents(fix, Quill.sources.USER);
+        } finally {
+            this.applying = false;
+            if (history) history.lastRecorded = lastRecorded;
+        }
+
+        // Backspace leaves the cursor before text marked for deletion, Delete after it
+        if (range && fix.ops.some(op => op.insert !== undefined)) {
+            this.quill.setSelection(fix.transformPosition(range.index, !forwardDelete), 0, Quill.sources.SILENT);
+        }
+    }
+
+    /**
+     * Accept or reject suggestions in one user change
+     * @param {Array|null} ids - Suggestion ids, or null for all
+     * @returns {number} Number of suggestions decided
+     */
+    decide(ids, accept) {
+        const changes = this.getChanges().filter(change => !ids || ids.includes(change.id));
+        if (changes.length === 0 || !this.quill.isEnabled()) {
+            return 0;
+        }
+
+        const Delta = Quill.import('delta');
+        const selected = new Set(changes.map(change => change.id));
+        const lastIndex = this.quill.getLength() - 1;
+        const delta = new Delta();
+        let index = 0;
+
+        this.quill.getContents().ops.forEach(op => {
+            const length = typeof op.insert === 'string' ? op.insert.length : 1;
+            const attributes = op.attributes || {};
+            const updates = {};
+            let remove = false;
+
+            SUGGESTION_FORMATS.forEach(name => {
+                const value = attributes[name];
+                if (!value || !selected.has(value.id)) {
+                    return;
+                }
+                const type = INLINE_TYPES[name] || value.type;
+                updates[name] = null;
+                if (type === (accept ? 'delete' : 'insert')) {
+                    remove = true;
+                } else if (type === 'format' && !accept) {
+                    Object.assign(updates, value.previous);
+                }
+            });
+
+            // Quill keeps the final line break
+            if (remove && index + length <= lastIndex) {
+                delta.delete(length);
+            } else {
+                delta.retain(length, updates);
+            }
+            index += length;
+        });
+
+        const history = this.quill.getModule('history');
+        if (history) history.cutoff();
+        this.applying = true;
+        try {
+            this.quill.updateContents(delta.chop(), Quill.sources.USER);
+        } finally {
+            this.applying = false;
+        }
+        if (history) history.cutoff();
+
+        changes.forEach(change => {
+            this.quill.emitter.emit(accept ? 'suggestion-accepted' : 'suggestion-rejected', { change });
+        });
+        return changes.length;
+    }
+
+    getChangeAt(index) {
+        return this.getChanges().find(change => index >= change.index && index <= change.index + change.length) || null;
+    }
+
+    createPopover() {
+        const t = key => this.translator.t(key);
+
+        this.popover = document.createElement('div');
+        this.popover.className = 'quilld-suggestion-popover';
+        this.popover.dir = this.translator.dir;
+        this.popover.setAttribute('role', 'group');
+        this.popover.setAttribute('aria-label', t('suggestions.label'));
+        this.popover.hidden = true;
+
+        const header = document.createElement('div');
+        header.className = 'quilld-suggestion-header';
+        this.popoverAuthor = document.createElement('strong');
+        this.popoverTime = document.createElement('time');
+        header.appendChild(this.popoverAuthor);
+        header.appendChild(document.createTextNode(' '));
+        header.appendChild(this.popoverTime);
+
+        this.popoverText = document.createElement('p');
+        this.popoverText.className = 'quilld-suggestion-type';
+
+        const actions = document.createElement('div');
+        actions.className = 'quilld-suggestion-actions';
+        [['accept', () => this.accept(this.activeChange.id)], ['reject', () => this.reject(this.activeChange.id)]]
+            .forEach(([action, onClick]) => {
+                const button = createButton(t(`suggestions.${action}`), `quilld-suggestion-${action}`, () => {
+                    if (this.activeChange) {
+                        onClick();
+                    }
+                    this.hidePopover();
+                });
+                // Keep the editor selection: mousedown on a button would blur it first
+                button.addEventListener('mousedown', e => e.preventDefault());
+                actions.appendChild(button);
+            });
+
+        this.popover.appendChild(header);
+        this.popover.appendChild(this.popoverText);
+        this.popover.appendChild(actions);
+        this.quill.container.appendChild(this.popover);
+    }
+
+    updatePopover(range) {
+        const change = range && this.quill.isEnabled() ? this.getChangeAt(range.index) : null;
+        if (!change) {
+            this.hidePopover();
+            return;
+        }
+
+        this.activeChange = change;
+        this.popoverAuthor.textContent = change.author.name || '—';
+        this.popoverTime.textContent = '';
+        if (Number.isFinite(change.createdAt)) {
+            this.popoverTime.dateTime = new Date(change.createdAt).toISOString();
+            this.popoverTime.textContent = formatDate(change.createdAt, this.translator.locale);
+        }
+        this.popoverText.textContent = change.type === 'format'
+            ? this.translator.t('suggestions.format', { formats: this.translator.list(Object.keys(change.previous)) })
+            : this.translator.t(`suggestions.${change.type}`);
+
+        const bounds = this.quill.getBounds(range.index, 0);
+        this.popover.style.left = `${bounds.left}px`;
+        this.popover.style.top = `${bounds.bottom + 4}px`;
+        this.popover.hidden = false;
+    }
+
+    hidePopover() {
+        this.activeChange = null;
+        this.popover.hidden = true;
+    }
+}
+
+Quill.register(SuggestInsert, true);
+Quill.register(SuggestDelete, true);
+Quill.register(SuggestFormat, true);
+Quill.register(SuggestBlock, true);
+
+export default SuggestionsManager;
+export { SuggestionsManager };
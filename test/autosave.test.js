@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { IndexedDBDraftStore } from '../autosave/autosave.js';
+import { quillD } from '../quilld/quilld.js';
+
+// jsdom has no IndexedDB; requests succeed and the transaction then commits or aborts
+function fakeDatabase(outcome) {
+    return {
+        transaction() {
+            const request = {};
+            const transaction = { objectStore: () => ({ get: () => request, put: () => request, delete: () => request }) };
+            setTimeout(() => {
+                request.onsuccess && request.onsuccess();
+                setTimeout(() => {
+                    if (outcome === 'abort') {
+                        transaction.error = new Error('QuotaExceededError');
+                        transaction.onabort();
+                    } else {
+                        transaction.oncomplete();
+                    }
+                });
+            });
+            return transaction;
+        }
+    };
+}
+
+function createStore(outcome) {
+    const store = new IndexedDBDraftStore();
+    store.database = Promise.resolve(fakeDatabase(outcome));
+    return store;
+}
+
+test('an IndexedDB save is only reported once the transaction commits', async () => {
+    const versions = [{ savedAt: 1 }];
+    assert.equal(await createStore('complete').save('post', versions), versions);
+    await assert.rejects(createStore('abort').save('post', versions), /QuotaExceededError/);
+    await assert.rejects(createStore('abort').clear('post'), /QuotaExceededError/);
+});
+
+test('typing dismisses the draft offered on load', async (t) => {
+    const draft = { savedAt: Date.now(), content: { delta: { ops: [{ insert: 'Older draft\n' }] } } };
+    let stored = [draft];
+    const storage = { load: async () => stored.slice(), save: async (key, versions) => (stored = versions), clear: async () => {} };
+    const container = document.createElement('div');
+    document.body.appendChild(container);
+    const editor = quillD.createEditor(container, { content: { text: 'Hello\n' }, autosave: { key: 'post', storage } });
+    t.after(() => editor.destroy());
+    const autosave = editor.managers.autosave;
+    await autosave.ready;
+    assert.ok(autosave.banner);
+
+    editor.insertText(5, '!', 'user');
+    assert.equal(autosave.banner, null);
+    assert.equal(document.querySelector('.quilld-draft-banner'), null);
+
+    await editor.saveDraft();
+    await editor.restoreDraft();
+    assert.equal(editor.getText(), 'Hello!\n');
+});
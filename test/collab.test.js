@@ -0,0 +1,100 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import Quill from 'quill';
+import CollabManager from '../collab/collab.js';
+import CollabServer from '../collab/server.js';
+import SuggestionsManager from '../suggestions/suggestions.js';
+
+let httpServer;
+let server;
+let url;
+
+before(async () => {
+    httpServer = http.createServer();
+    server = new CollabServer({ server: httpServer });
+    await new Promise(resolve => httpServer.listen(0, resolve));
+    url = `ws://localhost:${httpServer.address().port}`;
+});
+
+after(async () => {
+    await server.close();
+    await new Promise(resolve => httpServer.close(resolve));
+});
+
+function createClient(documentId, suggesting = false) {
+    const container = document.createElement('div');
+    document.body.appendChild(container);
+    const quill = new Quill(container);
+    // Suggestions first, as QuillD and QuillM set them up
+    const suggestions = suggesting ? new SuggestionsManager(quill, { suggesting: true, user: { id: 'u1', name: 'Ada' } }) : null;
+    const collab = new CollabManager(quill, { url, document: documentId, cursors: false });
+    return { quill, collab, suggestions };
+}
+
+async function waitFor(condition, timeout = 5000) {
+    const start = Date.now();
+    while (!condition()) {
+        if (Date.now() - start > timeout) {
+            throw new Error('Timed out waiting for the clients to settle');
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+test('concurrent edits converge through the server', async (t) => {
+    const a = createClient('converge');
+    const b = createClient('converge');
+    t.after(() => {
+        a.collab.destroy();
+        b.collab.destroy();
+    });
+    await waitFor(() => a.collab.getStatus() === 'connected' && b.collab.getStatus() === 'connected');
+
+    a.quill.insertText(0, 'Hello world', 'user');
+    await waitFor(() => a.collab.isSynced() && b.quill.getText() === 'Hello world\n');
+
+    // Both sides edit before either hears about the other, and keep editing while changes are in flight
+    a.quill.insertText(5, ',', 'user');
+    b.quill.insertText(11, '!', 'user');
+    a.quill.insertText(0, '> ', 'user');
+    b.quill.deleteText(6, 5, 'user');
+    a.quill.formatText(2, 5, 'bold', true, 'user');
+    b.quill.insertText(6, 'there', 'user');
+
+    await waitFor(() => a.collab.isSynced() && b.collab.isSynced() &&
+        JSON.stringify(a.quill.getContents()) === JSON.stringify(b.quill.getContents()));
+
+    const expected = [{ insert: '> ' }, { insert: 'Hello', attributes: { bold: true } }, { insert: ', there!\n' }];
+    assert.deepEqual(a.quill.getContents().ops, expected);
+    assert.deepEqual(server.getDocument('converge').delta.ops, expected);
+});
+
+test('suggestions are shared like any other change', async (t) => {
+    const a = createClient('suggest', true);
+    const b = createClient('suggest');
+    t.after(() => {
+        a.collab.destroy();
+        b.collab.destroy();
+        a.suggestions.destroy();
+    });
+    await waitFor(() => a.collab.getStatus() === 'connected' && b.collab.getStatus() === 'connected');
+
+    b.quill.insertText(0, 'Hello', 'user');
+    await waitFor(() => b.collab.isSynced() && a.quill.getText() === 'Hello\n');
+
+    a.quill.insertText(2, 'XY', 'user');
+    a.quill.deleteText(5, 2, 'user');
+    await waitFor(() => a.collab.isSynced() && b.collab.isSynced() &&
+        JSON.stringify(a.quill.getContents()) === JSON.stringify(b.quill.getContents()));
+
+    const ops = a.quill.getContents().ops;
+    assert.deepEqual(ops.map(op => [op.insert, Object.keys(op.attributes || {}).join()]), [
+        ['He', ''],
+        ['XY', 'suggest-insert'],
+        ['l', ''],
+        ['lo', 'suggest-delete'],
+        ['\n', '']
+    ]);
+    assert.deepEqual(server.getDocument('suggest').delta.ops, ops);
+});
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Quill from 'quill';
+import CommandsManager from '../commands/commands.js';
+
+function createEditor(text = '\n', options = {}) {
+    const container = document.createElement('div');
+    document.body.appendChild(container);
+    const quill = new Quill(container, { modules: { toolbar: [[{ header: [1, 2, false] }], ['bold', 'blockquote']] } });
+    quill.setText(text);
+    const commands = new CommandsManager(quill, options);
+    return { quill, commands };
+}
+
+// Quill 1.3.7 matches its keyboard bindings by keyCode
+const KEY_CODES = { Enter: 13, ArrowDown: 40 };
+
+function press(quill, key) {
+    const event = new KeyboardEvent('keydown', { key, keyCode: KEY_CODES[key], bubbles: true, cancelable: true });
+    quill.root.dispatchEvent(event);
+    return event.defaultPrevented;
+}
+
+const names = commands => commands.map(command => command.name);
+
+test('toolbar formats become commands, before registered ones', (t) => {
+    const { commands } = createEditor('\n', { commands: [{ name: 'quote', label: 'Insert quote', keywords: ['cite'], run: () => {} }] });
+    t.after(() => commands.destroy());
+
+    assert.deepEqual(names(commands.getCommands()), ['header:1', 'header:2', 'header', 'bold', 'blockquote', 'quote']);
+    assert.deepEqual(commands.getCommands('h2'), [{ name: 'header:2', label: 'Heading 2', keywords: ['header', '2', 'h2'] }]);
+    assert.deepEqual(commands.getCommands('nothing'), []);
+});
+
+test('matches at the start of a label, name or keyword rank first', (t) => {
+    const { commands } = createEditor('\n', { commands: [
+        { name: 'quote', label: 'Insert quote', keywords: ['cite'], run: () => {} },
+        { name: 'blockquote', label: 'Quote block', run: () => {} }
+    ] });
+    t.after(() => commands.destroy());
+
+    assert.deepEqual(names(commands.getCommands('quo')), ['quote', 'blockquote']);
+    assert.deepEqual(names(commands.getCommands('ci')), ['quote']);
+    assert.deepEqual(names(commands.getCommands('ock')), ['blockquote']);
+});
+
+test('choosing a command removes the typed query and runs it on the line', (t) => {
+    const { quill, commands } = createEditor('Title\n');
+    t.after(() => commands.destroy());
+    const executed = [];
+    quill.on('command-executed', detail => executed.push(detail));
+
+    quill.setSelection(0, 0);
+    quill.insertText(0, '/hea', 'user');
+    assert.equal(commands.isOpen(), true);
+    assert.deepEqual(names(commands.items), ['header:1', 'header:2', 'header']);
+
+    press(quill, 'ArrowDown');
+    assert.equal(press(quill, 'Enter'), true);
+    assert.equal(commands.isOpen(), false);
+    assert.deepEqual(quill.getContents().ops, [{ insert: 'Title' }, { insert: '\n', attributes: { header: 2 } }]);
+    assert.deepEqual(executed, [{ name: 'header:2' }]);
+});
+
+test('a slash after other text does not open the palette', (t) => {
+    const { quill, commands } = createEditor('a/b\n');
+    t.after(() => commands.destroy());
+
+    assert.equal(commands.findTrigger({ index: 3, length: 0 }), null);
+    quill.setSelection(3, 0);
+    quill.insertText(3, '/', 'user');
+    assert.equal(commands.isOpen(), false);
+});
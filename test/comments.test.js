@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Quill from 'quill';
+import CommentsManager from '../comments/comments.js';
+
+function createEditor(text) {
+    const container = document.createElement('div');
+    document.body.appendChild(container);
+    const quill = new Quill(container);
+    quill.setText(text);
+    const comments = new CommentsManager(quill, { user: { id: 'u1', name: 'Ada' } });
+    return { quill, comments };
+}
+
+const ranges = comments => comments.getThreads().map(thread => thread.range);
+
+test('a thread follows edits before and inside its text', (t) => {
+    const { quill, comments } = createEditor('Hello brave world');
+    t.after(() => comments.destroy());
+    comments.addComment('Too much?', { index: 6, length: 5 });
+
+    quill.insertText(0, 'Oh, ', 'user');
+    assert.deepEqual(ranges(comments), [{ index: 10, length: 5 }]);
+
+    quill.insertText(12, 'a', 'user');
+    assert.deepEqual(ranges(comments), [{ index: 10, length: 6 }]);
+
+    quill.deleteText(0, 4, 'user');
+    assert.deepEqual(ranges(comments), [{ index: 6, length: 6 }]);
+});
+
+test('text typed right at either edge stays outside the thread', (t) => {
+    const { quill, comments } = createEditor('Hello brave world');
+    t.after(() => comments.destroy());
+    comments.addComment('Too much?', { index: 6, length: 5 });
+
+    quill.insertText(11, '!', 'user');
+    quill.insertText(6, 'very ', 'user');
+    assert.deepEqual(ranges(comments), [{ index: 11, length: 5 }]);
+    assert.equal(quill.getText(11, 5), 'brave');
+});
+
+test('a thread whose text is deleted is detached, and a partly deleted one shrinks', (t) => {
+    const { quill, comments } = createEditor('Hello brave new world');
+    t.after(() => comments.destroy());
+    comments.addComment('Too much?', { index: 6, length: 5 });
+    comments.addComment('Which world?', { index: 12, length: 9 });
+
+    quill.deleteText(4, 10, 'user');
+    assert.deepEqual(ranges(comments), [{ index: 4, length: 0 }, { index: 4, length: 7 }]);
+    assert.equal(comments.getThreads()[0].text, 'brave');
+});
+
+test('stored threads are clamped to the document when loaded', (t) => {
+    const { comments } = createEditor('Short\n');
+    t.after(() => comments.destroy());
+
+    comments.setThreads([
+        { id: 'a', range: { index: 2, length: 40 }, comments: [] },
+        { id: 'b', range: { index: -3, length: 2 }, comments: [] },
+        { id: 'c', range: { index: 'x' }, comments: [] }
+    ]);
+    // Ranges stop before the document's final newline
+    assert.deepEqual(comments.getThreads().map(({ id, range }) => [id, range]), [
+        ['b', { index: 0, length: 2 }],
+        ['a', { index: 2, length: 3 }]
+    ]);
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import MarkdownConverter from '../markdown/markdown.js';
+
+function roundTrip(ops) {
+    return MarkdownConverter.fromMarkdown(MarkdownConverter.toMarkdown({ ops })).ops;
+}
+
+test('formatted text, lists and code blocks survive a round trip', () => {
+    const ops = [
+        { insert: 'Title' }, { insert: '\n', attributes: { header: 1 } },
+        { insert: 'Small print' }, { insert: '\n', attributes: { header: 6 } },
+        { insert: 'bold', attributes: { bold: true } }, { insert: ', ' },
+        { insert: 'italic', attributes: { italic: true } }, { insert: ', ' },
+        { insert: 'underlined', attributes: { underline: true } }, { insert: ', H' },
+        { insert: '2', attributes: { script: 'sub' } }, { insert: 'O, x' },
+        { insert: '2', attributes: { script: 'super' } }, { insert: ' and ' },
+        { insert: 'a link', attributes: { link: 'https://example.com/a' } }, { insert: '\nOne' },
+        { insert: '\n', attributes: { list: 'ordered' } }, { insert: 'Nested' },
+        { insert: '\n', attributes: { list: 'bullet', indent: 1 } }, { insert: 'Two' },
+        { insert: '\n', attributes: { list: 'ordered' } }, { insert: 'const a = 1;' },
+        { insert: '\n', attributes: { 'code-block': true } }, { insert: 'return *a*;' },
+        { insert: '\n', attributes: { 'code-block': true } }, { insert: 'End\n' }
+    ];
+    assert.deepEqual(roundTrip(ops), ops);
+});
+
+test('a quote is written as a blockquote ending in its author', () => {
+    const ops = [
+        { insert: 'Before\n' },
+        { insert: { quote: { content: '<p>To be, or not to be</p><p>— that is the <em>question</em></p>', author: 'Hamlet' } } },
+        { insert: '\n' }
+    ];
+    const markdown = MarkdownConverter.toMarkdown({ ops });
+
+    assert.equal(markdown, 'Before\n\n> To be, or not to be\n>\n> \\— that is the *question*\n> — Hamlet\n');
+    assert.deepEqual(roundTrip(ops), ops);
+});
+
+test('text that looks like Markdown stays text', () => {
+    const ops = [{ insert: '# not a header\n1. not a list\n- not a bullet\nliteral *stars*, [brackets] and `ticks`\n' }];
+    assert.deepEqual(roundTrip(ops), ops);
+});
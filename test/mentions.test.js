@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Quill from 'quill';
+import MentionsManager from '../mentions/mentions.js';
+
+const people = [{ id: 1, label: 'Ada' }, { id: 2, label: 'Alan' }, { id: 3, label: 'Grace' }];
+
+function createEditor(text = '\n', options = {}) {
+    const container = document.createElement('div');
+    document.body.appendChild(container);
+    const quill = new Quill(container);
+    quill.setText(text);
+    const source = async query => people.filter(person => person.label.toLowerCase().startsWith(query.toLowerCase()));
+    const mentions = new MentionsManager(quill, { source, debounce: 0, ...options });
+    return { quill, mentions };
+}
+
+// Quill 1.3.7 matches its keyboard bindings by keyCode
+const KEY_CODES = { Enter: 13, ArrowDown: 40 };
+
+function press(quill, key) {
+    const event = new KeyboardEvent('keydown', { key, keyCode: KEY_CODES[key], bubbles: true, cancelable: true });
+    quill.root.dispatchEvent(event);
+    return event.defaultPrevented;
+}
+
+// The debounce timer, then the source's promise
+const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+
+test('a denotation opens a query at the start of a line or after a space only', (t) => {
+    const { quill, mentions } = createEditor('@ad and mail@host and #to\ncode @x\n');
+    t.after(() => mentions.destroy());
+    quill.formatLine(26, 1, 'code-block', true);
+    const at = index => mentions.findTrigger({ index, length: 0 });
+
+    assert.deepEqual(at(3), { denotation: '@', query: 'ad', index: 0 });
+    assert.deepEqual(at(25), { denotation: '#', query: 'to', index: 22 });
+    assert.deepEqual(at(22), null);
+    assert.deepEqual(at(17), null);
+    assert.deepEqual(at(33), null);
+    assert.deepEqual(mentions.findTrigger({ index: 3, length: 1 }), null);
+});
+
+test('a query longer than maxQueryLength closes the popup', (t) => {
+    const { mentions } = createEditor('@abcdef\n', { maxQueryLength: 5 });
+    t.after(() => mentions.destroy());
+
+    assert.deepEqual(mentions.findTrigger({ index: 6, length: 0 }), { denotation: '@', query: 'abcde', index: 0 });
+    assert.equal(mentions.findTrigger({ index: 7, length: 0 }), null);
+});
+
+test('typing a query shows matches and Enter inserts the highlighted one', async (t) => {
+    const { quill, mentions } = createEditor('Hi \n');
+    t.after(() => mentions.destroy());
+    const inserted = [];
+    quill.on('mention-inserted', detail => inserted.push(detail));
+
+    quill.setSelection(3, 0);
+    quill.insertText(3, '@a', 'user');
+    await settle();
+    assert.equal(mentions.isOpen(), true);
+    assert.deepEqual(Array.from(quill.container.querySelectorAll('[role="option"]'), option => option.textContent), ['@Ada', '@Alan']);
+
+    press(quill, 'ArrowDown');
+    assert.equal(press(quill, 'Enter'), true);
+    assert.equal(mentions.isOpen(), false);
+    assert.deepEqual(quill.getContents().ops, [
+        { insert: 'Hi ' },
+        { insert: { mention: { id: '2', label: 'Alan', denotation: '@' } } },
+        { insert: ' \n' }
+    ]);
+    assert.deepEqual(inserted, [{ mention: { id: '2', label: 'Alan', denotation: '@' }, index: 3 }]);
+    assert.equal(quill.getSelection().index, 5);
+});
+
+test('getMentions lists mentions in document order with their index', (t) => {
+    const { quill, mentions } = createEditor();
+    t.after(() => mentions.destroy());
+    quill.setContents([
+        { insert: 'Ask ' },
+        { insert: { mention: { id: '3', label: 'Grace', denotation: '@' } } },
+        { insert: ' about ' },
+        { insert: { mention: { id: 'q3', label: 'roadmap', denotation: '#' } } },
+        { insert: '\n' }
+    ]);
+
+    assert.deepEqual(mentions.getMentions(), [
+        { id: '3', label: 'Grace', denotation: '@', index: 4 },
+        { id: 'q3', label: 'roadmap', denotation: '#', index: 12 }
+    ]);
+});
@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Quill from 'quill';
+import { QuillD, quillD } from '../quilld/quilld.js';
+
+const Delta = Quill.import('delta');
+
+function createEditor(options = {}) {
+    const container = document.createElement('div');
+    document.body.appendChild(container);
+    return quillD.createEditor(container, options);
+}
+
+function paste(editor, data) {
+    const event = new Event('paste', { bubbles: true, cancelable: true });
+    event.clipboardData = { getData: type => data[type] || '' };
+    editor.root.dispatchEvent(event);
+    return event.defaultPrevented;
+}
+
+test('a pasted quote is measured as the quote it becomes', (t) => {
+    const editor = createEditor({ wordCount: { maxWords: 3, enforce: true }, content: { text: 'Hello\n' } });
+    t.after(() => editor.destroy());
+    const reached = [];
+    editor.on('limit-reached', detail => reached.push(detail));
+    editor.setSelection(5, 0);
+
+    paste(editor, { 'text/plain': '> To be, or not to be, that is the question' });
+    assert.deepEqual(reached, []);
+    assert.equal(editor.getContents().ops.filter(op => op.insert.quote).length, 1);
+});
+
+test('typing past an enforced limit is blocked and deleting is not', (t) => {
+    const editor = createEditor({ wordCount: { maxWords: 2, enforce: true }, content: { text: 'One two\n' } });
+    t.after(() => editor.destroy());
+    const reached = [];
+    editor.on('limit-reached', detail => reached.push(detail));
+    editor.setSelection(7, 0);
+
+    const input = (inputType, data) => {
+        const event = Object.assign(new Event('beforeinput', { bubbles: true, cancelable: true }), { inputType, data });
+        editor.root.dispatchEvent(event);
+        return event.defaultPrevented;
+    };
+    assert.equal(input('insertText', ' three'), true);
+    assert.equal(input('insertText', 's'), false);
+    assert.equal(input('deleteContentBackward', null), false);
+    assert.deepEqual(reached, [{ limit: 'words', count: 3, max: 2, action: 'blocked' }]);
+});
+
+test('a paste past an enforced limit is cut to fit', (t) => {
+    const editor = createEditor({ wordCount: { maxWords: 3, enforce: true }, content: { text: 'One two\n' } });
+    t.after(() => editor.destroy());
+    const reached = [];
+    editor.on('limit-reached', detail => reached.push(detail));
+    editor.setSelection(7, 0);
+
+    assert.equal(paste(editor, { 'text/plain': ' three four five' }), true);
+    assert.equal(editor.getText(), 'One two three \n');
+    assert.equal(editor.getSelection().index, 14);
+    assert.ok(editor.isWithinLimits());
+    // Reaching the limit exactly is reported too, without an action
+    assert.deepEqual(reached, [
+        { limit: 'words', count: 3, max: 3 },
+        { limit: 'words', count: 5, max: 3, action: 'truncated' }
+    ]);
+});
+
+test('a pasted HTML fragment keeps its formatting when cut', (t) => {
+    const editor = createEditor({ wordCount: { maxChars: 10, enforce: true }, content: { text: 'abc\n' } });
+    t.after(() => editor.destroy());
+    editor.setSelection(3, 0);
+
+    paste(editor, { 'text/html': '<b>defghijklmn</b>' });
+    assert.deepEqual(editor.getContents().ops, [{ insert: 'abc' }, { insert: 'defghi', attributes: { bold: true } }, { insert: '\n' }]);
+});
+
+test('with pasteMode reject an oversized paste is dropped', (t) => {
+    const editor = createEditor({ wordCount: { maxWords: 3, enforce: true, pasteMode: 'reject' }, content: { text: 'One two\n' } });
+    t.after(() => editor.destroy());
+    const reached = [];
+    editor.on('limit-reached', detail => reached.push(detail));
+    editor.setSelection(7, 0);
+
+    assert.equal(paste(editor, { 'text/plain': ' three four five' }), true);
+    assert.equal(editor.getText(), 'One two\n');
+    assert.deepEqual(reached, [{ limit: 'words', count: 5, max: 3, action: 'rejected' }]);
+});
+
+test('with a locale, Chinese and Japanese text is counted word by word', () => {
+    assert.deepEqual(quillD.segmentWords('日本語のテキストです', { locale: 'ja' }), ['日本語', 'の', 'テキスト', 'です']);
+    assert.deepEqual(quillD.segmentWords('我爱北京 and well-known', { locale: 'zh' }), ['我', '爱', '北京', 'and', 'well-known']);
+    assert.deepEqual(quillD.segmentWords('我爱北京 and well-known', {}), ['我爱北京', 'and', 'well-known']);
+});
+
+test('emoji are characters, not words', () => {
+    const text = new Delta([{ insert: '👍🏽 👨‍👩‍👧 ok\n' }]);
+    assert.deepEqual(quillD.segmentWords('👍🏽 👨‍👩‍👧 ok', { locale: 'en' }), ['ok']);
+    assert.deepEqual(quillD.countDocument(text, { locale: 'en' }), { words: 1, chars: 7, charsNoSpaces: 4 });
+});
+
+test('without Intl.Segmenter each Han or kana character is a word', () => {
+    const fallback = new QuillD();
+    fallback.getSegmenter = () => null;
+
+    assert.deepEqual(fallback.segmentWords('我爱北京 and well-known', { locale: 'zh' }), ['我', '爱', '北', '京', 'and', 'well-known']);
+    assert.deepEqual(fallback.segmentWords('👍🏽 ok', { locale: 'en' }), ['ok']);
+});
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Quill from 'quill';
+import SuggestionsManager from '../suggestions/suggestions.js';
+
+// QuillM is a plain script: it finds Quill and the managers as globals and sets window.quillM
+globalThis.Quill = Quill;
+globalThis.SuggestionsManager = SuggestionsManager;
+await import('../quillm/quillm.js');
+const { QuillM, quillM } = window;
+
+function createEditor(config = {}) {
+    const container = document.createElement('div');
+    document.body.appendChild(container);
+    return quillM.createEditor(container, config);
+}
+
+test('destroy stops the suggest button following suggesting mode', () => {
+    const quill = createEditor({ extensions: { include: ['suggestions'] } });
+    const button = quill.getModule('toolbar').container.querySelector('button.ql-suggest');
+    const manager = quill.getManager('suggestions');
+
+    manager.setSuggesting(true);
+    assert.equal(button.getAttribute('aria-pressed'), 'true');
+
+    quill.destroy();
+    quill.emitter.emit('suggesting-change', { suggesting: false });
+    assert.equal(button.getAttribute('aria-pressed'), 'true');
+});
+
+// A QuillM with only the given extensions, each { name: dependencies }
+function createRegistry(extensions) {
+    const registry = new QuillM();
+    registry.extensions.clear();
+    Object.entries(extensions).forEach(([name, dependencies]) => registry.registerExtension(name, { dependencies }));
+    return registry;
+}
+
+const names = extensions => extensions.map(extension => extension.name);
+
+test('extensions are activated after the extensions they depend on', () => {
+    const registry = createRegistry({ palette: ['mentions', 'quote'], mentions: ['quote'], quote: [] });
+    assert.deepEqual(names(registry.resolveExtensions()), ['quote', 'mentions', 'palette']);
+});
+
+test('an extension whose dependency is excluded or unknown is skipped with a warning', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const registry = createRegistry({ palette: ['mentions'], mentions: [], footnotes: ['citations'], quote: [] });
+
+    assert.deepEqual(names(registry.resolveExtensions({ exclude: ['mentions'] })), ['quote']);
+    assert.deepEqual(warn.mock.calls.map(call => call.arguments[0]), [
+        'QuillM: Extension "palette" skipped, it depends on excluded extension "mentions"',
+        'QuillM: Extension "footnotes" skipped, it depends on unregistered extension "citations"'
+    ]);
+});
+
+test('a dependency cycle is an error naming the cycle', () => {
+    const registry = createRegistry({ a: ['b'], b: ['c'], c: ['a'] });
+    assert.throws(() => registry.resolveExtensions(), { message: 'QuillM: Circular extension dependency: a -> b -> c -> a' });
+});
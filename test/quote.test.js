@@ -0,0 +1,135 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Quill from 'quill';
+import QuoteManager from '../quote/quote.js';
+
+function createEditor() {
+    const container = document.createElement('div');
+    document.body.appendChild(container);
+    const quill = new Quill(container, { modules: { toolbar: [['bold']] } });
+    const quote = new QuoteManager(quill);
+    return { quill, quote };
+}
+
+// Plain-text pastes that become a quote carry the quote embed
+function pastedQuote(text) {
+    const { quote } = createEditor();
+    const delta = quote.convertPastedText(text);
+    const op = delta && delta.ops.find(item => item.insert && item.insert.quote);
+    return op ? op.insert.quote : null;
+}
+
+test('a list pasted after a heading line stays a list', () => {
+    assert.equal(pastedQuote('Shopping:\n- milk'), null);
+    assert.equal(pastedQuote('Shopping:\n- eggs\n- milk'), null);
+    assert.equal(pastedQuote('- one\n- two'), null);
+    assert.equal(pastedQuote('Todo\n\n-- later'), null);
+});
+
+test('a hyphen attribution needs two lines of prose before it', () => {
+    assert.equal(pastedQuote('Stay hungry.\n- Steve Jobs'), null);
+
+    const value = pastedQuote('Stay hungry.\nStay foolish.\n- Steve Jobs');
+    assert.ok(value);
+    assert.equal(value.author, 'Steve Jobs');
+});
+
+test('a dash attribution needs two lines of prose before it too', () => {
+    assert.equal(pastedQuote('Shopping:\n– milk'), null);
+    assert.equal(pastedQuote('Stay hungry.\n— Steve Jobs'), null);
+
+    const value = pastedQuote('Stay hungry.\nStay foolish.\n— Steve Jobs');
+    assert.ok(value);
+    assert.equal(value.author, 'Steve Jobs');
+});
+
+test('a list after a Markdown quote is not its attribution', () => {
+    const { quote } = createEditor();
+    const delta = quote.convertPastedText('> To be\n- eggs\n- milk');
+    const quotes = delta.ops.filter(op => op.insert && op.insert.quote);
+    assert.equal(quotes.length, 1);
+    assert.equal(quotes[0].insert.quote.author, '');
+    assert.ok(delta.ops.some(op => typeof op.insert === 'string' && op.insert.includes('- eggs\n- milk')));
+});
+
+function paste(quill, data) {
+    const event = new Event('paste', { bubbles: true, cancelable: true });
+    event.clipboardData = { getData: type => data[type] || '' };
+    quill.root.dispatchEvent(event);
+    return event.defaultPrevented;
+}
+
+test('only plain-text pastes are read for Markdown quotes', () => {
+    const { quill } = createEditor();
+    quill.setSelection(0, 0);
+
+    const text = 'Rich text\n> not a quote';
+    assert.equal(paste(quill, { 'text/html': '<p><b>Rich</b> text</p><p>&gt; not a quote</p>', 'text/plain': text }), false);
+    assert.equal(quill.getContents().ops.some(op => op.insert && op.insert.quote), false);
+
+    assert.equal(paste(quill, { 'text/plain': '> To be' }), true);
+    assert.equal(quill.getContents().ops.some(op => op.insert && op.insert.quote), true);
+});
+
+test('removing a quote that is not there is reported like a failed update', () => {
+    const container = document.createElement('div');
+    document.body.appendChild(container);
+    const quill = new Quill(container);
+    const notices = [];
+    const quote = new QuoteManager(quill, { notify: (message, details) => notices.push(details.code) });
+
+    assert.equal(quote.removeQuote(5), false);
+    assert.equal(quote.updateQuote(5, 'Gone'), false);
+    assert.deepEqual(notices, ['QUOTE_NOT_FOUND', 'QUOTE_NOT_FOUND']);
+});
+
+function createValidatingEditor(validation) {
+    const container = document.createElement('div');
+    document.body.appendChild(container);
+    const quill = new Quill(container);
+    const notices = [];
+    const quote = new QuoteManager(quill, { validation, notify: (message, details) => notices.push(details) });
+    return { quill, quote, notices };
+}
+
+const insertedQuote = quill => quill.getContents().ops.filter(op => op.insert.quote).map(op => op.insert.quote.content);
+
+test('validation details name the failing rule and the offending node', () => {
+    const { quote } = createValidatingEditor();
+    const details = quote.getValidationDetails('<p>Price <span class="quoted-price">$5</span></p><blockquote>Nested</blockquote>');
+
+    assert.equal(details.isValid, false);
+    assert.deepEqual(details.failures.map(({ rule, code, reason, node }) => [rule, code, reason, node.outerHTML]), [
+        ['blockquotes', 'QUOTE_BLOCKQUOTE', 'Contains HTML blockquote elements', '<blockquote>Nested</blockquote>']
+    ]);
+    assert.deepEqual(details.reasons, ['Contains HTML blockquote elements']);
+});
+
+test('reject mode refuses invalid content and reports why', () => {
+    const { quill, quote, notices } = createValidatingEditor({ mode: 'reject' });
+
+    assert.equal(quote.insertQuote('<p>Said</p><blockquote>Nested</blockquote>', 0), false);
+    assert.deepEqual(insertedQuote(quill), []);
+    assert.deepEqual(notices.map(({ code, reasons }) => [code, reasons]), [['QUOTE_INVALID_CONTENT', ['Contains HTML blockquote elements']]]);
+});
+
+test('sanitize mode cleans what it can and rejects the rest', () => {
+    const { quill, quote, notices } = createValidatingEditor({
+        mode: 'sanitize',
+        rules: { noImages: { code: 'IMAGE', reason: 'Contains an image', test: container => container.querySelector('img') } }
+    });
+
+    assert.equal(quote.insertQuote('<p>&gt; Marked</p><blockquote>Nested</blockquote><p class="quote">Block</p><p>Pic <img src="a.png"></p>', 0), true);
+    assert.deepEqual(insertedQuote(quill), ['<p>Marked</p><p>Nested</p><p>Pic </p>']);
+    assert.deepEqual(notices, []);
+
+    const strict = createValidatingEditor({ mode: 'sanitize', rules: { never: { code: 'NEVER', reason: 'Never', test: () => true } } });
+    assert.equal(strict.quote.insertQuote('<p>Anything</p>', 0), false);
+    assert.deepEqual(strict.notices.map(({ code, reasons }) => [code, reasons]), [['QUOTE_INVALID_CONTENT', ['Never']]]);
+});
+
+test('built-in rules can be turned off per editor', () => {
+    const { quote } = createValidatingEditor({ rules: { quoteClasses: false } });
+    assert.equal(quote.isValidQuoteContent('<p class="pullquote">Fine here</p>'), true);
+    assert.equal(createValidatingEditor().quote.isValidQuoteContent('<p class="pullquote">Fine here</p>'), false);
+});
@@ -0,0 +1,19 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import DeltaRenderer from '../render/render.js';
+
+const renderColor = color => DeltaRenderer.render({
+    ops: [{ insert: 'x', attributes: { color, background: color } }, { insert: '\n' }]
+});
+
+test('colors render as inline styles', () => {
+    ['#f00', '#ff000080', 'rgb(1, 2, 3)', 'rgba(1,2,3,0.5)', 'rgb(1 2 3 / 50%)', 'rebeccapurple'].forEach(color => {
+        assert.equal(renderColor(color), `<p><span style="color: ${color}; background-color: ${color};">x</span></p>`);
+    });
+});
+
+test('values that are not colors are dropped', () => {
+    ['url(https://example.com/a.png)', 'red; position: fixed', 'expression(alert(1))', '#12345', 'rgb(1, 2)', 'var(--x)'].forEach(color => {
+        assert.equal(renderColor(color), '<p>x</p>');
+    });
+});
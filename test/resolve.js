@@ -0,0 +1,19 @@
+/**
+ * Module resolution hook for the tests
+ * The modules import each other as flat siblings ('./i18n.js'), the way they are served;
+ * in the repository each one lives in a folder of its own name ('../i18n/i18n.js').
+ */
+
+import { existsSync } from 'fs';
+import { fileURLToPath } from 'url';
+
+const root = new URL('../', import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+    const parent = context.parentURL;
+    if (specifier.startsWith('./') && parent && parent.startsWith(root) && !existsSync(fileURLToPath(new URL(specifier, parent)))) {
+        const name = specifier.slice(2).replace(/\.js$/, '');
+        return nextResolve(new URL(`../${name}/${name}.js`, parent).href, context);
+    }
+    return nextResolve(specifier, context);
+}
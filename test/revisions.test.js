@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Quill from 'quill';
+import RevisionsManager from '../revisions/revisions.js';
+
+const Delta = Quill.import('delta');
+
+function createEditor(text = '\n') {
+    const container = document.createElement('div');
+    document.body.appendChild(container);
+    const quill = new Quill(container);
+    quill.setText(text);
+    return { quill, revisions: new RevisionsManager(quill) };
+}
+
+test('insertions and deletions are marked and deleted text stays in place', () => {
+    const { revisions } = createEditor();
+    const diff = revisions.diff(
+        new Delta([{ insert: 'Hello old world\n' }]),
+        new Delta([{ insert: 'Hello world\nMore\n' }])
+    );
+
+    assert.deepEqual(diff.ops, [
+        { insert: 'Hello ' },
+        { insert: 'old ', attributes: { 'suggest-delete': {} } },
+        { insert: 'world\n' },
+        { insert: 'More', attributes: { 'suggest-insert': {} } },
+        { insert: '\n', attributes: { 'suggest-block': { type: 'insert' } } }
+    ]);
+});
+
+test('formatting changes record the values they replaced', () => {
+    const { revisions } = createEditor();
+    const diff = revisions.diff(
+        new Delta([{ insert: 'Plain text\n' }]),
+        new Delta([{ insert: 'Plain ' }, { insert: 'text', attributes: { italic: true } }, { insert: '\n', attributes: { header: 2 } }])
+    );
+
+    assert.deepEqual(diff.ops, [
+        { insert: 'Plain ' },
+        { insert: 'text', attributes: { italic: true, 'suggest-format': { previous: { italic: null } } } },
+        { insert: '\n', attributes: { header: 2, 'suggest-block': { type: 'format', previous: { header: null } } } }
+    ]);
+});
+
+test('suggestion marks in a revision are not changes of their own', () => {
+    const { revisions } = createEditor();
+    const diff = revisions.diff(
+        new Delta([{ insert: 'A' }, { insert: 'x', attributes: { 'suggest-insert': { id: 's1' } } }, { insert: '\n' }]),
+        new Delta([{ insert: 'Ax\n' }])
+    );
+    assert.deepEqual(diff.ops, [{ insert: 'Ax\n' }]);
+});
+
+test('getDiff compares a stored revision with the current content', async () => {
+    const { quill, revisions } = createEditor('Now\n');
+    const revision = await revisions.createRevision('First draft');
+    quill.insertText(3, '!', 'user');
+
+    assert.deepEqual((await revisions.getDiff(revision.id)).ops, [
+        { insert: 'Now' },
+        { insert: '!', attributes: { 'suggest-insert': {} } },
+        { insert: '\n' }
+    ]);
+    await assert.rejects(revisions.getDiff('missing'), { message: 'Revisions: Revision not found' });
+});
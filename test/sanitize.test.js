@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import HtmlSanitizer from '../sanitize/sanitize.js';
+
+test('only allowlisted elements and attributes are kept, and each removal is reported', () => {
+    const { html, removed } = HtmlSanitizer.sanitize(
+        '<p onclick="steal()">Hi <b>there</b><script>alert(1)</script><font>unwrapped</font><span style="color: red">s</span></p>'
+    );
+
+    assert.equal(html, '<p>Hi <b>there</b>unwrapped<span>s</span></p>');
+    assert.deepEqual(removed, [
+        { type: 'attribute', name: 'onclick', element: 'p' },
+        { type: 'element', name: 'script' },
+        { type: 'element', name: 'font' },
+        { type: 'attribute', name: 'style', element: 'span' }
+    ]);
+});
+
+test('unsafe URLs are removed from links and images', () => {
+    const { html, removed } = HtmlSanitizer.sanitize(
+        '<a href="javascript:alert(1)" title="t">a</a><a href="/docs">b</a><img src="data:text/html,x" alt="c"><img src="data:image/png;base64,AA==">'
+    );
+
+    assert.equal(html, '<a title="t">a</a><a href="/docs">b</a><img alt="c"><img src="data:image/png;base64,AA==">');
+    assert.deepEqual(removed.map(item => item.type), ['url', 'url']);
+});
+
+test('isSafeUrl sees through case, whitespace and control characters in the scheme', () => {
+    assert.equal(HtmlSanitizer.isSafeUrl(' JaVaScRiPt:alert(1)'), false);
+    assert.equal(HtmlSanitizer.isSafeUrl('java\tscript:alert(1)'), false);
+    assert.equal(HtmlSanitizer.isSafeUrl('java\u0000script:alert(1)'), false);
+    assert.equal(HtmlSanitizer.isSafeUrl('#section'), true);
+    assert.equal(HtmlSanitizer.isSafeUrl('mailto:ada@example.com'), true);
+    assert.equal(HtmlSanitizer.isSafeUrl('ftp://example.com'), false);
+    assert.equal(HtmlSanitizer.isSafeUrl('ftp://example.com', ['ftp']), true);
+});
+
+test('the allowlist can be configured', () => {
+    const { html } = HtmlSanitizer.sanitize('<p class="lead"><mark>Hi</mark> <em>there</em></p>', {
+        allowedTags: ['p', 'mark'],
+        allowedAttributes: {}
+    });
+    assert.equal(html, '<p><mark>Hi</mark> there</p>');
+});
@@ -0,0 +1,24 @@
+/**
+ * Test setup, loaded with node --import before any test file
+ * Gives Quill a browser to run in and lets the modules' sibling imports resolve
+ */
+
+import { register } from 'module';
+import { JSDOM } from 'jsdom';
+import WebSocket from 'ws';
+
+const dom = new JSDOM('<!doctype html><html><body></body></html>', { pretendToBeVisual: true, url: 'http://localhost/' });
+
+['window', 'document', 'navigator', 'Node', 'Element', 'HTMLElement', 'Text', 'DocumentFragment', 'MutationObserver',
+    'getComputedStyle', 'requestAnimationFrame', 'cancelAnimationFrame', 'Event', 'CustomEvent', 'KeyboardEvent',
+    'MouseEvent', 'DOMParser', 'NodeFilter', 'localStorage'].forEach(name => {
+    Object.defineProperty(globalThis, name, { value: dom.window[name], configurable: true, writable: true });
+});
+globalThis.WebSocket = WebSocket;
+
+// jsdom has no layout or editing commands
+dom.window.document.execCommand = () => false;
+dom.window.Range.prototype.getBoundingClientRect = () => ({ left: 0, top: 0, right: 0, bottom: 0, width: 0, height: 0 });
+dom.window.Range.prototype.getClientRects = () => [];
+
+register('./resolve.js', import.meta.url);
@@ -0,0 +1,134 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Quill from 'quill';
+import SuggestionsManager from '../suggestions/suggestions.js';
+import CommentsManager from '../comments/comments.js';
+
+// History set up as QuillD and QuillM do
+function createEditor(text) {
+    const container = document.createElement('div');
+    document.body.appendChild(container);
+    const quill = new Quill(container, { modules: { history: { userOnly: true } } });
+    quill.setText(text);
+    quill.getModule('history').clear();
+    const suggestions = new SuggestionsManager(quill, { suggesting: true, user: { id: 'u1', name: 'Ada' } });
+    return { quill, suggestions };
+}
+
+function press(quill, key) {
+    const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true });
+    quill.root.dispatchEvent(event);
+    return event.defaultPrevented;
+}
+
+// [text, suggestion formats] per op
+function marks(quill) {
+    return quill.getContents().ops.map(op => [op.insert, Object.keys(op.attributes || {}).join()]);
+}
+
+// Tracking of insertions lands once the text-change has reached every listener
+const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+
+test('backspace marks text for deletion without removing it', () => {
+    const { quill } = createEditor('Hello world');
+    quill.setSelection(5, 0);
+
+    assert.equal(press(quill, 'Backspace'), true);
+    assert.equal(press(quill, 'Backspace'), true);
+    assert.deepEqual(marks(quill), [['Hel', ''], ['lo', 'suggest-delete'], [' world\n', '']]);
+    assert.equal(quill.getSelection().index, 3);
+
+    quill.setSelection(6, 0);
+    press(quill, 'Delete');
+    assert.deepEqual(marks(quill), [['Hel', ''], ['lo', 'suggest-delete'], [' ', ''], ['w', 'suggest-delete'], ['orld\n', '']]);
+    assert.equal(quill.getSelection().index, 7);
+});
+
+test('comment threads keep their text while it is suggested for deletion', () => {
+    const { quill, suggestions } = createEditor('Hello brave world');
+    const comments = new CommentsManager(quill);
+    const thread = comments.addComment('Too much?', { index: 6, length: 5 });
+    const range = () => comments.getThreads().find(item => item.id === thread.id).range;
+
+    quill.setSelection(6, 6);
+    press(quill, 'Delete');
+    assert.deepEqual(range(), { index: 6, length: 5 });
+    assert.equal(quill.getText(), 'Hello brave world\n');
+
+    suggestions.rejectAll();
+    assert.deepEqual(marks(quill), [['Hello brave world\n', '']]);
+    assert.deepEqual(range(), { index: 6, length: 5 });
+    comments.destroy();
+});
+
+test('a tracked insertion is undone and redone in one step', async () => {
+    const { quill } = createEditor('Hello');
+    const history = quill.getModule('history');
+
+    quill.insertText(5, '!', 'user');
+    await settle();
+    assert.deepEqual(marks(quill), [['Hello', ''], ['!', 'suggest-insert'], ['\n', '']]);
+
+    history.undo();
+    await settle();
+    assert.deepEqual(marks(quill), [['Hello\n', '']]);
+
+    history.redo();
+    await settle();
+    assert.deepEqual(marks(quill), [['Hello', ''], ['!', 'suggest-insert'], ['\n', '']]);
+    assert.equal(history.stack.undo.length, 1);
+});
+
+test('an insertion cut off in history keeps its tracking in the same undo step', async () => {
+    const { quill } = createEditor('Hello');
+    const history = quill.getModule('history');
+
+    // Quotes and revisions cut history off around their changes
+    history.cutoff();
+    quill.insertText(0, 'Oh ', 'user');
+    history.cutoff();
+    await settle();
+    assert.equal(history.stack.undo.length, 1);
+
+    history.undo();
+    await settle();
+    assert.deepEqual(marks(quill), [['Hello\n', '']]);
+});
+
+test('a tracked deletion is undone and redone in one step', async () => {
+    const { quill } = createEditor('Hello');
+    const history = quill.getModule('history');
+
+    quill.setSelection(1, 3);
+    press(quill, 'Backspace');
+    assert.deepEqual(marks(quill), [['H', ''], ['ell', 'suggest-delete'], ['o\n', '']]);
+
+    history.undo();
+    await settle();
+    assert.deepEqual(marks(quill), [['Hello\n', '']]);
+
+    history.redo();
+    await settle();
+    assert.deepEqual(marks(quill), [['H', ''], ['ell', 'suggest-delete'], ['o\n', '']]);
+    assert.equal(history.stack.undo.length, 1);
+});
+
+test('deleting an own suggested insertion removes it', async () => {
+    const { quill } = createEditor('Hello');
+
+    quill.insertText(5, ' you', 'user');
+    await settle();
+    quill.setSelection(9, 0);
+    press(quill, 'Backspace');
+    assert.deepEqual(marks(quill), [['Hello', ''], [' yo', 'suggest-insert'], ['\n', '']]);
+    assert.equal(quill.getSelection().index, 8);
+});
+
+test('typing over a selection marks it and types after it', () => {
+    const { quill } = createEditor('Hello brave world');
+    quill.setSelection(6, 5);
+
+    assert.equal(press(quill, 'x'), false);
+    assert.deepEqual(marks(quill), [['Hello ', ''], ['brave', 'suggest-delete'], [' world\n', '']]);
+    assert.deepEqual({ ...quill.getSelection() }, { index: 11, length: 0 });
+});
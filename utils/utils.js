@@ -0,0 +1,208 @@
+/**
+ * Shared Helpers
+ * Ids, copies, dates, DOM and popup listbox helpers used by the comments, suggestions, revisions, collab, quote,
+ * autosave, mentions and commands modules
+ * ES6 Module version for React projects
+ */
+
+import Quill from 'quill';
+
+const Keyboard = Quill.import('modules/keyboard');
+
+/**
+ * PUBLIC: A short id that is unique enough for threads, suggestions and revisions
+ * @returns {string} Time-ordered id
+ */
+function createId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * PUBLIC: Deep copy of a JSON value
+ */
+function copy(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * PUBLIC: Short date and time for a locale
+ * @param {number} timestamp - Milliseconds since the epoch
+ * @param {string} locale - BCP 47 tag, e.g. a Translator's locale
+ * @returns {string} Formatted date
+ */
+function formatDate(timestamp, locale) {
+    try {
+        return new Intl.DateTimeFormat(locale, { dateStyle: 'short', timeStyle: 'short' }).format(timestamp);
+    } catch (error) {
+        return new Date(timestamp).toLocaleString();
+    }
+}
+
+/**
+ * PUBLIC: A type="button" button
+ * @param {string} label - Button text
+ * @param {string} className - Class names
+ * @param {Function} onClick - Optional click handler
+ * @returns {HTMLButtonElement} Button
+ */
+function createButton(label, className, onClick = null) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = className;
+    button.textContent = label;
+    if (onClick) {
+        button.addEventListener('click', onClick);
+    }
+    return button;
+}
+
+/**
+ * PUBLIC: Keep Tab and Shift+Tab cycling inside a dialog
+ * @param {KeyboardEvent} e - The Tab keydown
+ * @param {HTMLElement} dialog - Dialog element
+ * @param {string} selector - Which of the dialog's elements take focus
+ */
+function trapFocus(e, dialog, selector) {
+    const focusable = Array.from(dialog.querySelectorAll(selector));
+    if (focusable.length === 0) {
+        return;
+    }
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const active = document.activeElement;
+
+    if (e.shiftKey && (active === first || !dialog.contains(active))) {
+        e.preventDefault();
+        last.focus();
+    } else if (!e.shiftKey && (active === last || !dialog.contains(active))) {
+        e.preventDefault();
+        first.focus();
+    }
+}
+
+/**
+ * PUBLIC: Editor bounds of a range, one rectangle per line so ranges over several lines follow the text
+ * Text lines stop before their newline; a block embed such as a quote is covered whole.
+ * @param {Object} quill - Quill instance
+ * @param {Object} range - { index, length }
+ * @returns {Array} [{ left, top, width, height }] relative to the editor container
+ */
+function getRangeRects(quill, range) {
+    if (range.length === 0) {
+        return [];
+    }
+
+    const rects = [];
+    const end = range.index + range.length;
+    let index = range.index;
+
+    quill.getLines(range.index, range.length).forEach(line => {
+        const lineStart = quill.getIndex(line);
+        const lineEnd = Math.min(lineStart + Math.max(1, line.length() - 1), end);
+        if (lineEnd > index) {
+            rects.push(quill.getBounds(index, lineEnd - index));
+        }
+        index = lineStart + line.length();
+    });
+
+    return rects;
+}
+
+/**
+ * PUBLIC: Where a user change leaves the cursor; the selection may not have caught up yet
+ * @param {Delta} delta - The change
+ * @returns {number} Cursor index
+ */
+function changeEnd(delta) {
+    const deleted = delta.ops.reduce((length, op) => length + (op.delete || 0), 0);
+    return delta.length() - deleted;
+}
+
+/**
+ * PUBLIC: Arrow keys, Enter, Tab and Escape drive a popup listbox while it is open
+ * Quill runs the first matching binding, so these go ahead of its own Enter and Tab handling.
+ * @param {Object} quill - Quill instance
+ * @param {Object} listbox - Owner of the popup, with items, isOpen(), move(step) and close()
+ * @param {Function} choose - Picks the active item
+ * @returns {Array} The bindings, for removeBindings()
+ */
+function addListboxBindings(quill, listbox, choose) {
+    const keyboard = quill.getModule('keyboard');
+    if (!keyboard) {
+        return [];
+    }
+
+    const keys = {
+        [Keyboard.keys.DOWN]: () => listbox.move(1),
+        [Keyboard.keys.UP]: () => listbox.move(-1),
+        [Keyboard.keys.ENTER]: choose,
+        [Keyboard.keys.TAB]: choose,
+        [Keyboard.keys.ESCAPE]: () => listbox.close()
+    };
+
+    return Object.keys(keys).map(key => {
+        const handler = () => {
+            if (!listbox.isOpen()) {
+                return true;
+            }
+            // Enter and Tab with nothing to pick close the popup and keep their usual meaning
+            if (listbox.items.length === 0 && (Number(key) === Keyboard.keys.ENTER || Number(key) === Keyboard.keys.TAB)) {
+                listbox.close();
+                return true;
+            }
+            keys[key]();
+            return false;
+        };
+        keyboard.addBinding({ key: Number(key) }, handler);
+        const bindings = keyboard.bindings[key];
+        const binding = bindings.pop();
+        bindings.unshift(binding);
+        return binding;
+    });
+}
+
+/**
+ * PUBLIC: Take out keyboard bindings added by addListboxBindings()
+ * @param {Object} quill - Quill instance
+ * @param {Array} bindings - Bindings to remove
+ */
+function removeBindings(quill, bindings) {
+    const keyboard = quill.getModule('keyboard');
+    if (keyboard) {
+        Object.keys(keyboard.bindings).forEach(key => {
+            keyboard.bindings[key] = keyboard.bindings[key].filter(binding => !bindings.includes(binding));
+        });
+    }
+}
+
+/**
+ * PUBLIC: Mark the active option of a popup listbox for screen readers and scroll it into view
+ * @param {Object} quill - Quill instance whose root owns the listbox
+ * @param {HTMLElement} popup - The listbox
+ * @param {number} index - Option to make active; steps past either end wrap around
+ * @returns {number} Index of the active option
+ */
+function highlightOption(quill, popup, index) {
+    const options = Array.from(popup.querySelectorAll('[role="option"]'));
+    const activeIndex = options.length > 0 ? ((index % options.length) + options.length) % options.length : 0;
+    options.forEach((option, optionIndex) => {
+        option.setAttribute('aria-selected', String(optionIndex === activeIndex));
+    });
+
+    const active = options[activeIndex];
+    if (active) {
+        quill.root.setAttribute('aria-activedescendant', active.id);
+        if (typeof active.scrollIntoView === 'function') {
+            active.scrollIntoView({ block: 'nearest' });
+        }
+    } else {
+        quill.root.removeAttribute('aria-activedescendant');
+    }
+    return activeIndex;
+}
+
+export {
+    createId, copy, formatDate, createButton, trapFocus, getRangeRects,
+    changeEnd, addListboxBindings, removeBindings, highlightOption
+};